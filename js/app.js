@@ -4,10 +4,77 @@
  * Manages app state, wizard flow, and coordinates between modules.
  */
 
-import { parseBoMCSV, generateDataSummary } from './csv-parser.js';
-import { DEFAULTS, TANK_SIZES } from './water-balance.js';
+import { generateDataSummary, DEFAULT_ACCUMULATION_POLICY } from './csv-parser.js';
+import {
+    parseWithMapping,
+    guessMapping,
+    previewDelimitedText,
+    loadSavedMappings,
+    saveMapping
+} from './generic-importer.js';
+import { DEFAULTS, TANK_SIZES, FIRST_FLUSH_DEFAULTS, ROOF_MATERIALS } from './water-balance.js';
 import { analyzeSecurityMode, analyzeDrySpell } from './security-mode.js';
 import { analyzeOpportunisticMode } from './opportunistic-mode.js';
+import { DEMAND_PRESETS, DEMAND_USES, MONTH_NAMES, describeDemandProfile } from './demand-profile.js';
+import {
+    EVAPORATION_PRESETS,
+    PLANT_FACTORS,
+    GARDEN_DEFAULTS,
+    parseEvaporationFile,
+    describeGardenDemand
+} from './garden-demand.js';
+import { END_USES, DEFAULT_CONNECTED_USES, describeEndUses } from './end-uses.js';
+import {
+    USAGE_CALCULATOR_DEFAULTS,
+    calculateHouseholdUsage,
+    describeHouseholdUsage,
+    describeUsageBreakdown
+} from './usage-calculator.js';
+import { OCCUPANCY_PERIOD_KINDS, HOLIDAY_BLOCKS, describeOccupancy } from './occupancy-calendar.js';
+import {
+    applyQualityPolicy,
+    summarizeQualityByYear,
+    generateQualityReport,
+    isUnflagged,
+    generateUnverifiedStatement,
+    generateInterpolatedStatement,
+    generateDisaggregatedStatement,
+    generateInfilledStatement,
+    DEFAULT_QUALITY_POLICY,
+    DEFAULT_RECENT_MONTHS
+} from './data-quality.js';
+import {
+    fillGaps,
+    compareInfillStrategies,
+    describeGapFilling,
+    DEFAULT_INFILL_STRATEGY
+} from './gap-filling.js';
+import { generateGapReport } from './daily-calendar.js';
+import { mergeRecords, DEFAULT_MERGE_PRECEDENCE } from './record-merge.js';
+import { parseBoMNote } from './zip-import.js';
+import { parseSourceText, readSourceText } from './source-formats.js';
+import { withRows } from './packed-rows.js';
+import { startParse } from './parse-client.js';
+import { findNearestStations, generateStationFinderResults } from './station-catalogue.js';
+import { buildSiteEstimate, describeSiteEstimate } from './site-estimate.js';
+import {
+    applyDataEdits,
+    createDataEdit,
+    describeDataEdit,
+    filterDataRows,
+    summarizeCompletenessByYear,
+    generateCompletenessGrid,
+    generateDataTable,
+    dataRecordKey,
+    loadSavedEdits,
+    saveEdits,
+    EXPLORER_PAGE_SIZE
+} from './data-editor.js';
+import { screenRainfall, describeScreening, generateScreeningReport } from './rainfall-screening.js';
+import {
+    describeDisaggregation,
+    DEFAULT_DISAGGREGATION_METHOD
+} from './monthly-disaggregation.js';
 import {
     formatNumber,
     formatLitres,
@@ -16,7 +83,10 @@ import {
     formatDate,
     formatDateRange,
     formatTankSize,
-    formatDays
+    formatDays,
+    formatInterval,
+    toDateKey,
+    clamp
 } from './utils.js';
 import {
     createTankLevelChart,
@@ -38,15 +108,64 @@ import {
  */
 const state = {
     currentStep: 'upload',
+    sources: [],  // {name, file, format, mapping, result} per uploaded file, results kept packed
+    mappingSource: null,  // source whose columns are being mapped
+    mappingText: null,  // its text, read while the mapping panel is open
+    activeParse: null,  // {promise, cancel} of the parse job running in the worker
+    parseRun: 0,  // incremented by each load so superseded parses can stop
+    parseOptions: {
+        accumulationPolicy: DEFAULT_ACCUMULATION_POLICY
+    },
+    disaggregationOptions: {
+        method: DEFAULT_DISAGGREGATION_METHOD
+    },
+    mergeOptions: {
+        precedence: DEFAULT_MERGE_PRECEDENCE,
+        fillGaps: false
+    },
+    combineOptions: {
+        method: 'merge',  // 'merge' | 'siteEstimate'
+        site: { latitude: null, longitude: null },
+        annualMean_mm: null
+    },
+    qualityOptions: {
+        policy: DEFAULT_QUALITY_POLICY,
+        recentMonths: DEFAULT_RECENT_MONTHS
+    },
+    infillOptions: {
+        strategy: DEFAULT_INFILL_STRATEGY
+    },
+    dataEdits: [],  // change log of exclusions and overrides, from data-editor.js
+    explorer: {
+        filters: { show: 'all', aboveMm: null, start: null, end: null },
+        page: 0
+    },
+    editedData: null,
+    screening: [],  // suspect-value flags from rainfall-screening.js
     rainfallData: null,
+    unfilledData: null,
+    gapFilling: null,
     parseResult: null,
     mode: null,  // 'security' | 'opportunistic'
     params: {
         roofArea_m2: DEFAULTS.roofArea_m2,
         dailyUsage_L: DEFAULTS.dailyUsage_L,
         confidenceLevel: DEFAULTS.securityConfidence,
-        waterRate_perKL: DEFAULTS.waterRate_perKL
+        waterRate_perKL: DEFAULTS.waterRate_perKL,
+        gutterCapacity_Ls: null,  // unlimited unless sub-daily data is loaded
+        firstFlush: null,  // {mode, amount, resetDryDays} when a diverter is fitted
+        runoffLosses: null,  // {initialLoss_mm, continuingLoss} instead of the flat coefficient
+        otherRoofs: [],  // {name, area_m2, material, connected, tank} besides the main roof
+        tankSetup: 'single',  // key of TANK_SETUPS
+        otherTanks: [],  // {name, dailyUsage_L} besides the main tank, for separate tanks
+        demandProfile: null,  // {monthly, weekly, occupancy} scaling the usage, or null for the same usage every day
+        occupancyPeriods: [],  // {kind, holiday, name, start, end, occupants} when the property is part-time
+        garden: null,  // garden watering settings for buildGardenDemand(), when a garden is watered
+        endUseRows: [],  // {use, share (%), connected} in priority order, when the tank supplies only some uses
+        endUses: null,  // {shares, connected} for splitEndUses(), from the rows
+        householdUsage: null  // {dailyUsage_L, breakdown} from the usage calculator, while the daily usage is its figure
     },
+    evaporation: null,  // parsed daily evaporation file, from parseEvaporationFile()
     results: null
 };
 
@@ -82,6 +201,7 @@ function cacheElements() {
         // Steps
         steps: {
             upload: document.querySelector('[data-step="upload"]'),
+            data: document.querySelector('[data-step="data"]'),
             mode: document.querySelector('[data-step="mode"]'),
             params: document.querySelector('[data-step="params"]'),
             results: document.querySelector('[data-step="results"]')
@@ -90,16 +210,90 @@ function cacheElements() {
         // Upload
         uploadZone: document.getElementById('upload-zone'),
         fileInput: document.getElementById('file-input'),
+        sourceList: document.getElementById('source-list'),
+        mappingPanel: document.getElementById('mapping-panel'),
+        mappingFileName: document.getElementById('mapping-file-name'),
+        savedMappingGroup: document.getElementById('saved-mapping-group'),
+        savedMapping: document.getElementById('saved-mapping'),
+        mappingPreview: document.getElementById('mapping-preview'),
+        mappingDelimiter: document.getElementById('mapping-delimiter'),
+        mappingHasHeader: document.getElementById('mapping-has-header'),
+        mappingDateColumn: document.getElementById('mapping-date-column'),
+        mappingDateFormat: document.getElementById('mapping-date-format'),
+        mappingReadings: document.getElementById('mapping-readings'),
+        mappingTimeColumn: document.getElementById('mapping-time-column'),
+        mappingRainfallColumn: document.getElementById('mapping-rainfall-column'),
+        mappingUnits: document.getElementById('mapping-units'),
+        mappingDecimal: document.getElementById('mapping-decimal'),
+        mappingSave: document.getElementById('mapping-save'),
+        mappingName: document.getElementById('mapping-name'),
+        mappingError: document.getElementById('mapping-error'),
+        btnMappingSkip: document.getElementById('btn-mapping-skip'),
+        btnMappingApply: document.getElementById('btn-mapping-apply'),
+        finderLatitude: document.getElementById('finder-latitude'),
+        finderLongitude: document.getElementById('finder-longitude'),
+        btnFindStations: document.getElementById('btn-find-stations'),
+        finderError: document.getElementById('finder-error'),
+        finderResults: document.getElementById('finder-results'),
+        mergeOptions: document.getElementById('merge-options'),
+        mergePrecedence: document.getElementById('merge-precedence'),
+        mergeFillGaps: document.getElementById('merge-fill-gaps'),
+        combineMethod: document.getElementById('combine-method'),
+        mergeControls: document.getElementById('merge-controls'),
+        siteEstimateOptions: document.getElementById('site-estimate-options'),
+        siteLatitude: document.getElementById('site-latitude'),
+        siteLongitude: document.getElementById('site-longitude'),
+        siteStations: document.getElementById('site-stations'),
+        siteAnnualMean: document.getElementById('site-annual-mean'),
+        accumulationPolicy: document.getElementById('accumulation-policy'),
+        disaggregationOptions: document.getElementById('disaggregation-options'),
+        disaggregationMethod: document.getElementById('disaggregation-method'),
+        qualityPolicy: document.getElementById('quality-policy'),
+        recentMonthsGroup: document.getElementById('recent-months-group'),
+        recentMonths: document.getElementById('recent-months'),
+        infillStrategy: document.getElementById('infill-strategy'),
+        qualityReport: document.getElementById('quality-report'),
+        gapDetails: document.getElementById('gap-details'),
+        gapReport: document.getElementById('gap-report'),
         uploadStatus: document.getElementById('upload-status'),
         statusLoading: document.getElementById('status-loading'),
+        statusLoadingText: document.getElementById('status-loading-text'),
+        btnCancelLoading: document.getElementById('btn-cancel-loading'),
         statusSuccess: document.getElementById('status-success'),
         statusError: document.getElementById('status-error'),
         dataSummary: document.getElementById('data-summary'),
         errorMessage: document.getElementById('error-message'),
+        resultsDataNote: document.getElementById('results-data-note'),
+        resultsEditDetails: document.getElementById('results-edit-details'),
+        resultsEditLog: document.getElementById('results-edit-log'),
+
+        // Data review
+        screeningReport: document.getElementById('screening-report'),
+        completenessGrid: document.getElementById('completeness-grid'),
+        filterShow: document.getElementById('filter-show'),
+        filterAbove: document.getElementById('filter-above'),
+        filterStart: document.getElementById('filter-start'),
+        filterEnd: document.getElementById('filter-end'),
+        dataTable: document.getElementById('data-table'),
+        btnPagePrev: document.getElementById('btn-page-prev'),
+        btnPageNext: document.getElementById('btn-page-next'),
+        pageInfo: document.getElementById('page-info'),
+        editType: document.getElementById('edit-type'),
+        editDatesLabel: document.getElementById('edit-dates-label'),
+        editStart: document.getElementById('edit-start'),
+        editEnd: document.getElementById('edit-end'),
+        editValueGroup: document.getElementById('edit-value-group'),
+        editValue: document.getElementById('edit-value'),
+        editNote: document.getElementById('edit-note'),
+        editError: document.getElementById('edit-error'),
+        btnAddEdit: document.getElementById('btn-add-edit'),
+        editLog: document.getElementById('edit-log'),
 
         // Navigation buttons
-        btnToMode: document.getElementById('btn-to-mode'),
+        btnToData: document.getElementById('btn-to-data'),
         btnBackToUpload: document.getElementById('btn-back-to-upload'),
+        btnToMode: document.getElementById('btn-to-mode'),
+        btnBackToData: document.getElementById('btn-back-to-data'),
         btnToParams: document.getElementById('btn-to-params'),
         btnBackToMode: document.getElementById('btn-back-to-mode'),
         btnCalculate: document.getElementById('btn-calculate'),
@@ -111,13 +305,72 @@ function cacheElements() {
 
         // Parameters
         roofArea: document.getElementById('roof-area'),
+        roofMaterial: document.getElementById('roof-material'),
+        runoffLossesGroup: document.getElementById('runoff-losses-group'),
+        initialLoss: document.getElementById('initial-loss'),
+        continuingLoss: document.getElementById('continuing-loss'),
+        catchmentList: document.getElementById('catchment-list'),
+        btnAddCatchment: document.getElementById('btn-add-catchment'),
+        tankSetup: document.getElementById('tank-setup'),
+        tankList: document.getElementById('tank-list'),
+        btnAddTank: document.getElementById('btn-add-tank'),
+        paramsError: document.getElementById('params-error'),
         dailyUsage: document.getElementById('daily-usage'),
-        presetBtns: document.querySelectorAll('.preset-btn'),
+        presetBtns: document.querySelectorAll('.preset-btn[data-usage]'),
+        btnUsageCalculator: document.getElementById('btn-usage-calculator'),
+        usageCalculator: document.getElementById('usage-calculator'),
+        calcOccupants: document.getElementById('calc-occupants'),
+        showerRating: document.getElementById('shower-rating'),
+        showerMinutes: document.getElementById('shower-minutes'),
+        toiletRating: document.getElementById('toilet-rating'),
+        washingMachineRating: document.getElementById('washing-machine-rating'),
+        laundryLoads: document.getElementById('laundry-loads'),
+        calcGardenArea: document.getElementById('calc-garden-area'),
+        gardenWatering: document.getElementById('garden-watering'),
+        calcGardenNote: document.getElementById('calc-garden-note'),
+        poolArea: document.getElementById('pool-area'),
+        poolCovered: document.getElementById('pool-covered'),
+        usageCalcResult: document.getElementById('usage-calc-result'),
+        btnApplyUsage: document.getElementById('btn-apply-usage'),
+        demandPreset: document.getElementById('demand-preset'),
+        demandMonths: document.getElementById('demand-months'),
+        demandWeekly: document.getElementById('demand-weekly'),
+        demandWeeklyGroup: document.getElementById('demand-weekly-group'),
+        weekdayUsage: document.getElementById('weekday-usage'),
+        weekendUsage: document.getElementById('weekend-usage'),
+        occupancyEnabled: document.getElementById('occupancy-enabled'),
+        occupancyDetails: document.getElementById('occupancy-details'),
+        usualOccupants: document.getElementById('usual-occupants'),
+        occupantsOtherwise: document.getElementById('occupants-otherwise'),
+        occupancyList: document.getElementById('occupancy-list'),
+        btnAddOccupancy: document.getElementById('btn-add-occupancy'),
+        endUsesEnabled: document.getElementById('end-uses-enabled'),
+        endUsesDetails: document.getElementById('end-uses-details'),
+        endUseList: document.getElementById('end-use-list'),
+        endUseTotal: document.getElementById('end-use-total'),
+        gardenEnabled: document.getElementById('garden-enabled'),
+        gardenDetails: document.getElementById('garden-details'),
+        gardenArea: document.getElementById('garden-area'),
+        plantType: document.getElementById('plant-type'),
+        plantFactor: document.getElementById('plant-factor'),
+        skipRain: document.getElementById('skip-rain'),
+        evaporationPreset: document.getElementById('evaporation-preset'),
+        evaporationFile: document.getElementById('evaporation-file'),
+        evaporationStatus: document.getElementById('evaporation-status'),
         confidenceGroup: document.getElementById('confidence-group'),
         confidenceSlider: document.getElementById('confidence'),
         confidenceValue: document.getElementById('confidence-value'),
         waterRateGroup: document.getElementById('water-rate-group'),
         waterRate: document.getElementById('water-rate'),
+        gutterGroup: document.getElementById('gutter-group'),
+        gutterCapacity: document.getElementById('gutter-capacity'),
+        gutterHint: document.getElementById('gutter-hint'),
+        firstFlushMode: document.getElementById('first-flush-mode'),
+        firstFlushAmountGroup: document.getElementById('first-flush-amount-group'),
+        firstFlushAmount: document.getElementById('first-flush-amount'),
+        firstFlushUnit: document.getElementById('first-flush-unit'),
+        firstFlushResetGroup: document.getElementById('first-flush-reset-group'),
+        firstFlushReset: document.getElementById('first-flush-reset'),
 
         // Results - Security
         securityResults: document.getElementById('security-results'),
@@ -127,7 +380,21 @@ function cacheElements() {
         reliabilityDetail: document.getElementById('reliability-detail'),
         stressStat: document.getElementById('stress-stat'),
         stressDetail: document.getElementById('stress-detail'),
+        securityOverflowStat: document.getElementById('security-overflow-stat'),
+        securityOverflowDetail: document.getElementById('security-overflow-detail'),
         failureTableBody: document.getElementById('failure-table-body'),
+        securityInfillSection: document.getElementById('security-infill-section'),
+        securityInfillTableBody: document.getElementById('security-infill-table-body'),
+        securityOccupancySection: document.getElementById('security-occupancy-section'),
+        securityOccupancyTableBody: document.getElementById('security-occupancy-table-body'),
+        securityUseSection: document.getElementById('security-use-section'),
+        securityUseTableBody: document.getElementById('security-use-table-body'),
+        securityTankSection: document.getElementById('security-tank-section'),
+        securityTankHeading: document.getElementById('security-tank-heading'),
+        securityTankTableBody: document.getElementById('security-tank-table-body'),
+        securityCatchmentSection: document.getElementById('security-catchment-section'),
+        securityCatchmentTableBody: document.getElementById('security-catchment-table-body'),
+        securityCatchmentHint: document.getElementById('security-catchment-hint'),
         drySpellCard: document.getElementById('dry-spell-card'),
 
         // Results - Opportunistic
@@ -138,7 +405,20 @@ function cacheElements() {
         roofPotentialDetail: document.getElementById('roof-potential-detail'),
         waterCost: document.getElementById('water-cost'),
         waterCostDetail: document.getElementById('water-cost-detail'),
-        comparisonTableBody: document.getElementById('comparison-table-body')
+        firstFlushCard: document.getElementById('first-flush-card'),
+        firstFlushStat: document.getElementById('first-flush-stat'),
+        firstFlushDetail: document.getElementById('first-flush-detail'),
+        comparisonTableBody: document.getElementById('comparison-table-body'),
+        opportunisticInfillSection: document.getElementById('opportunistic-infill-section'),
+        opportunisticInfillTableBody: document.getElementById('opportunistic-infill-table-body'),
+        opportunisticUseSection: document.getElementById('opportunistic-use-section'),
+        opportunisticUseTableBody: document.getElementById('opportunistic-use-table-body'),
+        opportunisticTankSection: document.getElementById('opportunistic-tank-section'),
+        opportunisticTankHeading: document.getElementById('opportunistic-tank-heading'),
+        opportunisticTankTableBody: document.getElementById('opportunistic-tank-table-body'),
+        opportunisticCatchmentSection: document.getElementById('opportunistic-catchment-section'),
+        opportunisticCatchmentTableBody: document.getElementById('opportunistic-catchment-table-body'),
+        opportunisticCatchmentHint: document.getElementById('opportunistic-catchment-hint')
     };
 }
 
@@ -149,15 +429,91 @@ function bindEvents() {
     // File upload
     elements.uploadZone.addEventListener('click', () => elements.fileInput.click());
     elements.fileInput.addEventListener('change', handleFileSelect);
+    elements.btnCancelLoading.addEventListener('click', cancelParse);
 
     // Drag and drop
     elements.uploadZone.addEventListener('dragover', handleDragOver);
     elements.uploadZone.addEventListener('dragleave', handleDragLeave);
     elements.uploadZone.addEventListener('drop', handleDrop);
 
+    // Loaded files
+    elements.sourceList.addEventListener('click', (event) => {
+        const button = event.target.closest('.btn-remove');
+        if (button) {
+            removeSource(parseInt(button.dataset.index, 10));
+        }
+
+        const mapButton = event.target.closest('.btn-map');
+        if (mapButton) {
+            showMappingPanel(state.sources[parseInt(mapButton.dataset.index, 10)]);
+        }
+    });
+
+    // Column mapping
+    elements.mappingDelimiter.addEventListener('change', renderMappingPreview);
+    elements.mappingHasHeader.addEventListener('change', renderMappingPreview);
+    elements.mappingReadings.addEventListener('change', () => {
+        elements.mappingTimeColumn.disabled = elements.mappingReadings.value !== 'subDaily';
+    });
+    elements.savedMapping.addEventListener('change', handleSavedMappingSelect);
+    elements.btnMappingApply.addEventListener('click', applyMapping);
+
+    // Station finder
+    elements.btnFindStations.addEventListener('click', findStations);
+    elements.btnMappingSkip.addEventListener('click', () => removeSource(state.sources.indexOf(state.mappingSource)));
+
+    // Parse options
+    elements.mergePrecedence.addEventListener('change', handleMergeOptionsChange);
+    elements.mergeFillGaps.addEventListener('change', handleMergeOptionsChange);
+    elements.combineMethod.addEventListener('change', handleCombineOptionsChange);
+    elements.siteLatitude.addEventListener('change', handleCombineOptionsChange);
+    elements.siteLongitude.addEventListener('change', handleCombineOptionsChange);
+    elements.siteAnnualMean.addEventListener('change', handleCombineOptionsChange);
+    elements.siteStations.addEventListener('change', handleSiteStationChange);
+    elements.accumulationPolicy.addEventListener('change', handleAccumulationPolicyChange);
+    elements.disaggregationMethod.addEventListener('change', handleDisaggregationMethodChange);
+    elements.qualityPolicy.addEventListener('change', handleQualityPolicyChange);
+    elements.recentMonths.addEventListener('input', handleQualityPolicyChange);
+    elements.infillStrategy.addEventListener('change', handleInfillStrategyChange);
+
+    // Data review
+    elements.filterShow.addEventListener('change', handleExplorerFilterChange);
+    elements.filterAbove.addEventListener('change', handleExplorerFilterChange);
+    elements.filterStart.addEventListener('change', handleExplorerFilterChange);
+    elements.filterEnd.addEventListener('change', handleExplorerFilterChange);
+    elements.btnPagePrev.addEventListener('click', () => changeExplorerPage(-1));
+    elements.btnPageNext.addEventListener('click', () => changeExplorerPage(1));
+    elements.dataTable.addEventListener('click', (event) => {
+        const button = event.target.closest('.btn-edit-day');
+        if (button) {
+            editDay(button.dataset.date);
+        }
+    });
+    elements.screeningReport.addEventListener('click', (event) => {
+        const showButton = event.target.closest('.btn-show-flag');
+        if (showButton) {
+            showScreeningFlag(state.screening[parseInt(showButton.dataset.index, 10)]);
+        }
+
+        const excludeButton = event.target.closest('.btn-exclude-flag');
+        if (excludeButton) {
+            excludeScreeningFlag(state.screening[parseInt(excludeButton.dataset.index, 10)]);
+        }
+    });
+    elements.editType.addEventListener('change', updateEditForm);
+    elements.btnAddEdit.addEventListener('click', addDataEdit);
+    elements.editLog.addEventListener('click', (event) => {
+        const button = event.target.closest('.btn-remove-edit');
+        if (button) {
+            removeDataEdit(parseInt(button.dataset.index, 10));
+        }
+    });
+
     // Navigation
-    elements.btnToMode.addEventListener('click', () => showStep('mode'));
+    elements.btnToData.addEventListener('click', () => showStep('data'));
     elements.btnBackToUpload.addEventListener('click', () => showStep('upload'));
+    elements.btnToMode.addEventListener('click', () => showStep('mode'));
+    elements.btnBackToData.addEventListener('click', () => showStep('data'));
     elements.btnToParams.addEventListener('click', () => showStep('params'));
     elements.btnBackToMode.addEventListener('click', () => showStep('mode'));
     elements.btnCalculate.addEventListener('click', runCalculation);
@@ -171,15 +527,95 @@ function bindEvents() {
 
     // Parameter inputs
     elements.roofArea.addEventListener('input', updateParams);
-    elements.dailyUsage.addEventListener('input', updateParams);
+    elements.roofMaterial.addEventListener('change', handleRoofMaterialChange);
+    elements.initialLoss.addEventListener('input', updateParams);
+    elements.continuingLoss.addEventListener('input', updateParams);
+    elements.btnAddCatchment.addEventListener('click', addOtherRoof);
+    elements.catchmentList.addEventListener('input', handleOtherRoofChange);
+    elements.catchmentList.addEventListener('change', handleOtherRoofChange);
+    elements.catchmentList.addEventListener('click', (event) => {
+        if (event.target.classList.contains('btn-remove')) {
+            removeOtherRoof(parseInt(event.target.dataset.index, 10));
+        }
+    });
+    elements.tankSetup.addEventListener('change', handleTankSetupChange);
+    elements.btnAddTank.addEventListener('click', addOtherTank);
+    elements.tankList.addEventListener('input', handleOtherTankChange);
+    elements.tankList.addEventListener('click', (event) => {
+        if (event.target.classList.contains('btn-remove')) {
+            removeOtherTank(parseInt(event.target.dataset.index, 10));
+        }
+    });
+    elements.dailyUsage.addEventListener('input', () => {
+        setHouseholdUsage(null);
+        updateParams();
+    });
+    elements.demandPreset.addEventListener('change', handleDemandPresetChange);
+    elements.demandMonths.addEventListener('input', handleDemandMonthChange);
+    elements.demandWeekly.addEventListener('change', handleDemandWeeklyChange);
+    elements.weekdayUsage.addEventListener('input', updateParams);
+    elements.weekendUsage.addEventListener('input', updateParams);
+    elements.occupancyEnabled.addEventListener('change', handleOccupancyToggle);
+    elements.gardenEnabled.addEventListener('change', () => {
+        elements.gardenDetails.hidden = !elements.gardenEnabled.checked;
+        renderEndUses();
+        updateUsageCalculator();
+
+        // A calculated usage must not count the garden twice, or lose it
+        if (state.params.householdUsage) {
+            applyCalculatedUsage();
+        } else {
+            updateParams();
+        }
+    });
+    elements.gardenArea.addEventListener('input', updateParams);
+    elements.plantType.addEventListener('change', () => {
+        elements.plantFactor.value = PLANT_FACTORS[elements.plantType.value].factor;
+        updateParams();
+    });
+    elements.plantFactor.addEventListener('input', updateParams);
+    elements.skipRain.addEventListener('input', updateParams);
+    elements.evaporationPreset.addEventListener('change', updateParams);
+    elements.evaporationFile.addEventListener('change', handleEvaporationFile);
+    elements.endUsesEnabled.addEventListener('change', handleEndUsesToggle);
+    elements.endUseList.addEventListener('input', handleEndUseChange);
+    elements.endUseList.addEventListener('change', handleEndUseChange);
+    elements.endUseList.addEventListener('click', (event) => {
+        if (event.target.classList.contains('btn-move')) {
+            moveEndUseUp(parseInt(event.target.dataset.index, 10));
+        }
+    });
+    elements.usualOccupants.addEventListener('input', updateParams);
+    elements.occupantsOtherwise.addEventListener('input', updateParams);
+    elements.btnAddOccupancy.addEventListener('click', () => addOccupancyPeriod('holiday'));
+    elements.occupancyList.addEventListener('input', handleOccupancyPeriodChange);
+    elements.occupancyList.addEventListener('change', handleOccupancyPeriodChange);
+    elements.occupancyList.addEventListener('click', (event) => {
+        if (event.target.classList.contains('btn-remove')) {
+            removeOccupancyPeriod(parseInt(event.target.dataset.index, 10));
+        }
+    });
     elements.confidenceSlider.addEventListener('input', updateConfidenceDisplay);
     elements.waterRate.addEventListener('input', updateParams);
+    elements.gutterCapacity.addEventListener('input', updateParams);
+    elements.firstFlushMode.addEventListener('change', handleFirstFlushModeChange);
+    elements.firstFlushAmount.addEventListener('input', updateParams);
+    elements.firstFlushReset.addEventListener('input', updateParams);
 
     // Usage presets
     elements.presetBtns.forEach(btn => {
         btn.addEventListener('click', () => selectUsagePreset(btn));
     });
 
+    // Usage calculator
+    elements.btnUsageCalculator.addEventListener('click', () => {
+        elements.usageCalculator.hidden = !elements.usageCalculator.hidden;
+        updateUsageCalculator();
+    });
+    elements.usageCalculator.addEventListener('input', updateUsageCalculator);
+    elements.usageCalculator.addEventListener('change', updateUsageCalculator);
+    elements.btnApplyUsage.addEventListener('click', applyCalculatedUsage);
+
     // Chart toggles - click
     document.querySelectorAll('.chart-header').forEach(header => {
         header.addEventListener('click', () => {
@@ -188,159 +624,1710 @@ function bindEvents() {
         });
     });
 
-    // Chart toggles - keyboard (Enter and Space)
-    document.querySelectorAll('.chart-header').forEach(header => {
-        header.addEventListener('keydown', (event) => {
-            if (event.key === 'Enter' || event.key === ' ') {
-                event.preventDefault();
-                const chartName = header.dataset.chart;
-                toggleChart(chartName);
-            }
-        });
+    // Chart toggles - keyboard (Enter and Space)
+    document.querySelectorAll('.chart-header').forEach(header => {
+        header.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                const chartName = header.dataset.chart;
+                toggleChart(chartName);
+            }
+        });
+    });
+
+    // Chart export buttons
+    document.querySelectorAll('.btn-export').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const canvasId = btn.dataset.chart;
+            exportChart(canvasId);
+        });
+    });
+}
+
+/**
+ * Show a wizard step
+ */
+function showStep(stepName) {
+    state.currentStep = stepName;
+
+    // Hide all steps
+    Object.values(elements.steps).forEach(step => {
+        step.hidden = true;
+    });
+
+    // Show target step
+    elements.steps[stepName].hidden = false;
+
+    // Update conditional UI
+    if (stepName === 'data') {
+        renderExplorer();
+    }
+    if (stepName === 'params') {
+        updateParamsVisibility();
+    }
+}
+
+/**
+ * Handle file selection
+ */
+function handleFileSelect(event) {
+    const files = Array.from(event.target.files);
+    if (files.length > 0) {
+        processFiles(files);
+    }
+}
+
+/**
+ * Handle drag over
+ */
+function handleDragOver(event) {
+    event.preventDefault();
+    elements.uploadZone.classList.add('drag-over');
+}
+
+/**
+ * Handle drag leave
+ */
+function handleDragLeave(event) {
+    event.preventDefault();
+    elements.uploadZone.classList.remove('drag-over');
+}
+
+/**
+ * Handle file drop
+ */
+function handleDrop(event) {
+    event.preventDefault();
+    elements.uploadZone.classList.remove('drag-over');
+
+    const files = Array.from(event.dataTransfer.files);
+    if (files.length > 0) {
+        processFiles(files);
+    }
+}
+
+/**
+ * Process uploaded files, adding them to the loaded sources
+ */
+async function processFiles(files) {
+    // Show loading state
+    elements.uploadStatus.hidden = false;
+    elements.statusLoading.hidden = false;
+    elements.statusSuccess.hidden = true;
+    elements.statusError.hidden = true;
+    elements.btnToData.disabled = true;
+
+    const run = state.parseRun;
+    try {
+        for (const file of files) {
+            state.sources.push(await readSourceFile(file));
+        }
+
+        await loadSources();
+    } catch (error) {
+        // Ignore files cancelled by starting over
+        if (run === state.parseRun) {
+            showDataError(error);
+            renderSourceList();
+        }
+    }
+
+    // Allow the same file to be chosen again after removing it
+    elements.fileInput.value = '';
+}
+
+/**
+ * Read and parse an uploaded CSV, or the CSV and station note inside a BoM zip
+ */
+async function readSourceFile(file) {
+    const source = { name: file.name, file, mapping: null, location: null, note: null };
+    const { format, zip, result } = await runParseJob(file.name, { file, ...parseJobOptions(source) });
+
+    return {
+        ...source,
+        name: zip ? zip.csvName : file.name,
+        note: zip ? zip.noteText : null,
+        format,
+        result: result && result.success ? result : null,
+        parsedWith: parseJobKey(source)
+    };
+}
+
+/**
+ * Parse the loaded sources once every non-BoM file has a column mapping
+ */
+async function loadSources() {
+    renderSourceList();
+
+    const unmapped = state.sources.find(source => source.format === 'mapped' && !source.mapping);
+    if (unmapped) {
+        await showMappingPanel(unmapped);
+        return;
+    }
+
+    hideMappingPanel();
+
+    if (state.sources.length === 0) {
+        clearLoadedData();
+        return;
+    }
+
+    // A newer load supersedes any parse still running
+    const run = ++state.parseRun;
+    cancelParse();
+
+    try {
+        await parseSources(run);
+    } catch (error) {
+        if (run === state.parseRun) {
+            showDataError(error);
+        }
+    }
+
+    renderSourceList();
+}
+
+/**
+ * Parse one loaded source in its format
+ * Daily files are parsed in the parse worker, reusing the last result if the options are unchanged.
+ * A daily result can be given as the rain-day pattern donor for monthly totals.
+ */
+async function parseSource(source, donor = null) {
+    if (source.format === 'monthly') {
+        const text = await readSourceText(source.file);
+        return parseSourceText(text, source.format, { disaggregationMethod: state.disaggregationOptions.method, donor });
+    }
+
+    if (source.result && source.parsedWith === parseJobKey(source)) {
+        return source.result;
+    }
+
+    const { result } = await runParseJob(source.name, { file: source.file, format: source.format, ...parseJobOptions(source) });
+    source.parsedWith = parseJobKey(source);
+    return result;
+}
+
+/**
+ * Importer options for a daily source
+ */
+function parseJobOptions(source) {
+    return {
+        accumulationPolicy: state.parseOptions.accumulationPolicy,
+        mapping: source.mapping
+    };
+}
+
+/**
+ * Identify the options a source was parsed with
+ */
+function parseJobKey(source) {
+    return JSON.stringify(parseJobOptions(source));
+}
+
+/**
+ * Run a parse job in the worker, showing its progress on the upload spinner
+ */
+async function runParseJob(name, job) {
+    elements.statusLoadingText.textContent = `Reading ${name}...`;
+    state.activeParse = startParse(job, progress => {
+        elements.statusLoadingText.textContent = describeParseProgress(name, progress);
+    });
+
+    try {
+        return await state.activeParse.promise;
+    } finally {
+        state.activeParse = null;
+    }
+}
+
+/**
+ * Describe a parse job's progress for the upload spinner
+ */
+function describeParseProgress(name, progress) {
+    if (progress.stage === 'reading') {
+        return `Reading ${name}... ${formatPercent(progress.loaded / progress.total, 0)}`;
+    }
+    if (progress.stage === 'extracting') {
+        return `Unzipping ${name}...`;
+    }
+    return progress.total
+        ? `Parsing ${name}... ${formatPercent(progress.parsed / progress.total, 0)}`
+        : `Parsing ${name}...`;
+}
+
+/**
+ * Stop the parse job that is running, if any
+ */
+function cancelParse() {
+    if (state.activeParse) {
+        state.activeParse.cancel();
+    }
+}
+
+/**
+ * Parse every loaded source and merge them if there are several
+ * Stops quietly if a newer load starts while a file is being parsed.
+ */
+async function parseSources(run) {
+    elements.uploadStatus.hidden = false;
+    elements.statusLoading.hidden = false;
+    elements.statusSuccess.hidden = true;
+    elements.statusError.hidden = true;
+    elements.btnToData.disabled = true;
+
+    // Daily files first, so monthly totals can borrow the first one's rain-day pattern
+    const ordered = [
+        ...state.sources.filter(source => source.format !== 'monthly'),
+        ...state.sources.filter(source => source.format === 'monthly')
+    ];
+
+    // Sources keep their results packed; rows are unpacked only to build the record
+    const rowsBySource = new Map();
+    let donor = null;
+    for (const source of ordered) {
+        const result = await parseSource(source, donor);
+        if (run !== state.parseRun) return;
+
+        source.result = result.success ? result : null;
+
+        if (!result.success) {
+            const message = result.errors.join('. ');
+            throw new Error(state.sources.length > 1 ? `${source.name}: ${message}` : message);
+        }
+
+        // Details the note leaves out keep the values from the file or catalogue
+        if (source.note) {
+            for (const [field, value] of Object.entries(parseBoMNote(source.note))) {
+                if (value !== null) {
+                    result.metadata[field] = value;
+                }
+            }
+        }
+
+        rowsBySource.set(source, withRows(result));
+        if (!donor && source.format !== 'monthly') {
+            donor = rowsBySource.get(source);
+        }
+    }
+
+    const parsed = state.sources.map(source => ({ name: source.name, result: rowsBySource.get(source) }));
+
+    let result = parsed[0].result;
+    if (parsed.length > 1 && state.combineOptions.method === 'siteEstimate') {
+        const located = state.sources.map(source => ({ name: source.name, result: rowsBySource.get(source), ...stationLocation(source) }));
+        result = buildSiteEstimate(located, state.combineOptions.site, { annualMean_mm: state.combineOptions.annualMean_mm });
+    } else if (parsed.length > 1) {
+        result = mergeRecords(parsed, state.mergeOptions);
+    }
+
+    state.parseResult = result;
+    state.dataEdits = loadSavedEdits(dataRecordKey(result.metadata));
+    elements.qualityReport.innerHTML = generateQualityReport(summarizeQualityByYear(result.data));
+
+    // Without quality flags there is nothing for the policy to act on
+    elements.qualityPolicy.disabled = result.data.every(day => day.missing || isUnflagged(day));
+
+    const { gaps, duplicates } = result.metadata;
+    elements.gapDetails.hidden = gaps.length === 0 && duplicates.length === 0;
+    elements.gapReport.innerHTML = elements.gapDetails.hidden ? '' : generateGapReport(gaps, duplicates);
+
+    // Show warnings if any
+    if (result.warnings.length > 0) {
+        console.warn('CSV parsing warnings:', result.warnings);
+    }
+
+    prepareRainfallData();
+}
+
+/**
+ * Render the list of loaded files
+ */
+function renderSourceList() {
+    elements.sourceList.innerHTML = '';
+    elements.sourceList.hidden = state.sources.length === 0;
+    elements.mergeOptions.hidden = state.sources.length < 2;
+    elements.mergeControls.hidden = state.combineOptions.method !== 'merge';
+    elements.siteEstimateOptions.hidden = state.combineOptions.method !== 'siteEstimate';
+    renderSiteStations();
+    elements.disaggregationOptions.hidden = !state.sources.some(source => source.format === 'monthly');
+
+    state.sources.forEach((source, index) => {
+        const item = document.createElement('li');
+        item.className = 'source-item';
+
+        let detail = 'Not loaded';
+        if (source.result) {
+            const { station, stationName, dateRange } = source.result.metadata;
+            const label = source.format === 'mapped' && !station
+                ? 'Mapped columns'
+                : `Station ${station || 'unknown'}${stationName ? ` ${stationName}` : ''}`;
+            const kind = source.format === 'monthly' ? ' • Monthly totals' : '';
+            detail = `${label}${kind} • ${formatDateRange(dateRange.start, dateRange.end)}`;
+        } else if (source.format === 'mapped' && !source.mapping) {
+            detail = 'Awaiting column mapping';
+        }
+
+        const mapButton = source.format === 'mapped'
+            ? `<button class="btn-map" data-index="${index}" aria-label="Change column mapping">Columns</button>`
+            : '';
+
+        item.innerHTML = `
+            <div class="source-details">
+                <span class="source-name"></span>
+                <span class="source-detail">${detail}</span>
+            </div>
+            <div class="source-actions">
+                ${mapButton}
+                <button class="btn-remove" data-index="${index}" aria-label="Remove file">Remove</button>
+            </div>
+        `;
+        item.querySelector('.source-name').textContent = source.name;
+        elements.sourceList.appendChild(item);
+    });
+}
+
+/**
+ * Show an editable location for each station in a site estimate
+ */
+function renderSiteStations() {
+    elements.siteStations.innerHTML = '';
+    if (state.combineOptions.method !== 'siteEstimate') return;
+
+    state.sources.forEach((source, index) => {
+        if (!source.result) return;
+
+        const location = stationLocation(source);
+        const row = document.createElement('div');
+        row.className = 'site-station';
+
+        const name = document.createElement('span');
+        name.className = 'site-station-name';
+        name.textContent = source.result.metadata.station || source.name;
+        row.appendChild(name);
+
+        ['latitude', 'longitude'].forEach(field => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.0001';
+            input.dataset.index = index;
+            input.dataset.field = field;
+            input.setAttribute('aria-label', `${name.textContent} ${field}`);
+            input.value = typeof location[field] === 'number' ? location[field] : '';
+            row.appendChild(input);
+        });
+
+        elements.siteStations.appendChild(row);
+    });
+}
+
+/**
+ * Station location for a site estimate: typed by the user, else from the file or catalogue
+ */
+function stationLocation(source) {
+    if (source.location) {
+        return source.location;
+    }
+
+    const { latitude, longitude } = source.result.metadata;
+    return { latitude, longitude };
+}
+
+/**
+ * List catalogued stations near typed coordinates
+ */
+function findStations() {
+    elements.finderError.hidden = true;
+    elements.finderResults.innerHTML = '';
+
+    const latitude = parseFloat(elements.finderLatitude.value);
+    const longitude = parseFloat(elements.finderLongitude.value);
+
+    try {
+        const matches = findNearestStations(latitude, longitude);
+        elements.finderResults.innerHTML = generateStationFinderResults(matches);
+    } catch (error) {
+        elements.finderError.textContent = error.message;
+        elements.finderError.hidden = false;
+    }
+}
+
+/**
+ * Remove a loaded file and rebuild the record from the rest
+ */
+function removeSource(index) {
+    state.sources.splice(index, 1);
+    loadSources();
+}
+
+/**
+ * Show the column mapping panel for a non-BoM file
+ */
+async function showMappingPanel(source) {
+    state.mappingSource = source;
+    state.mappingText = await readSourceText(source.file);
+
+    elements.uploadStatus.hidden = true;
+    elements.btnToData.disabled = true;
+    elements.mappingFileName.textContent = source.name;
+    elements.mappingError.hidden = true;
+    elements.mappingSave.checked = false;
+    elements.mappingName.value = '';
+
+    const saved = Object.keys(loadSavedMappings());
+    elements.savedMappingGroup.hidden = saved.length === 0;
+    elements.savedMapping.innerHTML = '<option value="">Choose a saved mapping...</option>';
+    saved.forEach(name => elements.savedMapping.add(new Option(name, name)));
+
+    setMappingControls(source.mapping || guessMapping(state.mappingText));
+    elements.mappingPanel.hidden = false;
+}
+
+/**
+ * Hide the column mapping panel
+ */
+function hideMappingPanel() {
+    state.mappingSource = null;
+    state.mappingText = null;
+    elements.mappingPanel.hidden = true;
+}
+
+/**
+ * Fill the mapping controls from a mapping
+ */
+function setMappingControls(mapping) {
+    elements.mappingDelimiter.value = mapping.delimiter;
+    elements.mappingHasHeader.checked = mapping.hasHeader;
+    renderMappingPreview();
+
+    elements.mappingDateColumn.value = mapping.dateColumn;
+    elements.mappingDateFormat.value = mapping.dateFormat;
+    elements.mappingReadings.value = mapping.readings || 'daily';
+    elements.mappingTimeColumn.value = mapping.timeColumn === undefined ? -1 : mapping.timeColumn;
+    elements.mappingTimeColumn.disabled = elements.mappingReadings.value !== 'subDaily';
+    elements.mappingRainfallColumn.value = mapping.rainfallColumn;
+    elements.mappingUnits.value = mapping.units;
+    elements.mappingDecimal.value = mapping.decimal;
+}
+
+/**
+ * Read the mapping described by the mapping controls
+ */
+function readMappingControls() {
+    return {
+        delimiter: elements.mappingDelimiter.value,
+        hasHeader: elements.mappingHasHeader.checked,
+        dateColumn: parseInt(elements.mappingDateColumn.value, 10),
+        dateFormat: elements.mappingDateFormat.value,
+        readings: elements.mappingReadings.value,
+        timeColumn: parseInt(elements.mappingTimeColumn.value, 10),
+        rainfallColumn: parseInt(elements.mappingRainfallColumn.value, 10),
+        units: elements.mappingUnits.value,
+        decimal: elements.mappingDecimal.value
+    };
+}
+
+/**
+ * Show the first rows of the file being mapped and refresh the column choices
+ */
+function renderMappingPreview() {
+    const preview = previewDelimitedText(state.mappingText, readMappingControls());
+
+    [elements.mappingDateColumn, elements.mappingRainfallColumn].forEach(select => {
+        const selected = select.value;
+        select.innerHTML = '';
+        preview.columns.forEach((column, index) => select.add(new Option(column, index)));
+        if (selected !== '' && selected < preview.columns.length) {
+            select.value = selected;
+        }
+    });
+
+    const selectedTime = elements.mappingTimeColumn.value;
+    elements.mappingTimeColumn.innerHTML = '';
+    elements.mappingTimeColumn.add(new Option('In the date column', -1));
+    preview.columns.forEach((column, index) => elements.mappingTimeColumn.add(new Option(column, index)));
+    if (selectedTime !== '' && selectedTime < preview.columns.length) {
+        elements.mappingTimeColumn.value = selectedTime;
+    }
+
+    // Build with textContent as cells come straight from the file
+    const table = document.createElement('table');
+    table.className = 'results-table';
+    const headRow = table.createTHead().insertRow();
+    preview.columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    preview.rows.forEach(row => {
+        const tr = body.insertRow();
+        preview.columns.forEach((column, index) => {
+            tr.insertCell().textContent = row[index] || '';
+        });
+    });
+
+    elements.mappingPreview.innerHTML = '';
+    elements.mappingPreview.appendChild(table);
+}
+
+/**
+ * Apply a mapping saved earlier in this browser
+ */
+function handleSavedMappingSelect() {
+    const mapping = loadSavedMappings()[elements.savedMapping.value];
+    if (mapping) {
+        setMappingControls(mapping);
+    }
+}
+
+/**
+ * Check the chosen mapping reads the file, then load it
+ */
+function applyMapping() {
+    const mapping = readMappingControls();
+    const trial = parseWithMapping(state.mappingText, mapping);
+
+    if (!trial.success) {
+        elements.mappingError.textContent = trial.errors.join('. ');
+        elements.mappingError.hidden = false;
+        return;
+    }
+
+    if (elements.mappingSave.checked) {
+        const name = elements.mappingName.value.trim() || state.mappingSource.name;
+        if (!saveMapping(name, mapping)) {
+            console.warn('Could not save column mapping - browser storage unavailable');
+        }
+    }
+
+    state.mappingSource.mapping = mapping;
+    state.mappingSource.result = trial;
+    state.mappingSource.parsedWith = parseJobKey(state.mappingSource);
+    loadSources();
+}
+
+/**
+ * Forget all loaded rainfall data
+ */
+function clearLoadedData() {
+    state.parseResult = null;
+    state.dataEdits = [];
+    state.editedData = null;
+    state.screening = [];
+    state.rainfallData = null;
+    state.unfilledData = null;
+    state.gapFilling = null;
+
+    elements.uploadStatus.hidden = true;
+    elements.btnToData.disabled = true;
+    elements.qualityReport.innerHTML = '';
+    elements.gapDetails.hidden = true;
+    elements.gapReport.innerHTML = '';
+}
+
+/**
+ * Derive the simulation input from the parsed data and current data options
+ */
+function prepareRainfallData() {
+    const { policy, recentMonths } = state.qualityOptions;
+    const edited = applyDataEdits(state.parseResult.data, state.dataEdits);
+    const quality = applyQualityPolicy(edited.data, policy, recentMonths);
+    const gapFilling = fillGaps(quality.data, state.infillOptions.strategy);
+
+    state.editedData = edited.data;
+    state.screening = screenRainfall(edited.data);
+    state.unfilledData = quality.data;
+    state.gapFilling = gapFilling;
+    state.rainfallData = gapFilling.data;
+
+    let summary = generateDataSummary(state.parseResult);
+    if (state.parseResult.metadata.disaggregation) {
+        summary += ` • ${describeDisaggregation(state.parseResult.metadata.disaggregation)}`;
+    }
+    if (state.parseResult.metadata.siteEstimate) {
+        summary += ` • ${describeSiteEstimate(state.parseResult.metadata.siteEstimate)}`;
+    }
+    if (state.dataEdits.length > 0) {
+        summary += ` • Edits: ${describeEditCount()} affecting ${formatDays(edited.editedDays)}`;
+    }
+    if (state.screening.length > 0) {
+        summary += ` • ${describeScreening(state.screening)} on the next step`;
+    }
+    if (quality.excludedDays > 0) {
+        summary += ` • Quality: ${quality.excludedDays.toLocaleString()} unchecked readings treated as missing`;
+    }
+    if (quality.data.some(day => day.missing)) {
+        summary += ` • ${describeGapFilling(gapFilling)}`;
+    }
+
+    // Show success
+    elements.statusLoading.hidden = true;
+    elements.statusError.hidden = true;
+    elements.statusSuccess.hidden = false;
+    elements.dataSummary.textContent = summary;
+    elements.btnToData.disabled = false;
+}
+
+/**
+ * Show a data loading or preparation error
+ */
+function showDataError(error) {
+    elements.statusLoading.hidden = true;
+    elements.statusSuccess.hidden = true;
+    elements.statusError.hidden = false;
+    elements.errorMessage.textContent = error.message;
+    elements.btnToData.disabled = true;
+}
+
+/**
+ * Show the data review step: completeness grid, daily table and change log
+ */
+function renderExplorer() {
+    elements.screeningReport.innerHTML = generateScreeningReport(state.screening);
+    elements.completenessGrid.innerHTML = generateCompletenessGrid(summarizeCompletenessByYear(state.editedData));
+    renderDataTable();
+    renderEditLog(elements.editLog, true);
+}
+
+/**
+ * Show the current page of days matching the explorer filters
+ */
+function renderDataTable() {
+    const rows = filterDataRows(state.editedData, state.explorer.filters);
+    const pages = Math.max(1, Math.ceil(rows.length / EXPLORER_PAGE_SIZE));
+    state.explorer.page = Math.min(Math.max(state.explorer.page, 0), pages - 1);
+
+    const offset = state.explorer.page * EXPLORER_PAGE_SIZE;
+    elements.dataTable.innerHTML = generateDataTable(rows.slice(offset, offset + EXPLORER_PAGE_SIZE));
+    elements.pageInfo.textContent = `Page ${formatNumber(state.explorer.page + 1)} of ${formatNumber(pages)} • ${formatDays(rows.length)}`;
+    elements.btnPagePrev.disabled = state.explorer.page === 0;
+    elements.btnPageNext.disabled = state.explorer.page === pages - 1;
+}
+
+/**
+ * Read the explorer filters and go back to the first page
+ */
+function handleExplorerFilterChange() {
+    const aboveMm = parseFloat(elements.filterAbove.value);
+
+    state.explorer.filters = {
+        show: elements.filterShow.value,
+        aboveMm: isNaN(aboveMm) ? null : aboveMm,
+        start: elements.filterStart.value || null,
+        end: elements.filterEnd.value || null
+    };
+    state.explorer.page = 0;
+    renderDataTable();
+}
+
+/**
+ * Move through the explorer's pages
+ */
+function changeExplorerPage(step) {
+    state.explorer.page += step;
+    renderDataTable();
+}
+
+/**
+ * Filter the daily table to the dates of a screening flag
+ */
+function showScreeningFlag(flag) {
+    elements.filterShow.value = 'all';
+    elements.filterAbove.value = '';
+    elements.filterStart.value = flag.start;
+    elements.filterEnd.value = flag.end;
+    handleExplorerFilterChange();
+    elements.dataTable.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Exclude the dates of a screening flag, noting why in the change log
+ */
+function excludeScreeningFlag(flag) {
+    state.dataEdits.push(createDataEdit('exclude', {
+        start: flag.start,
+        end: flag.end,
+        note: flag.message
+    }, state.parseResult.data));
+    handleDataEditsChange();
+}
+
+/**
+ * List the change log, with undo buttons on the data review step
+ */
+function renderEditLog(container, removable) {
+    container.innerHTML = '';
+
+    if (state.dataEdits.length === 0) {
+        container.innerHTML = '<p class="param-hint">No edits made.</p>';
+        return;
+    }
+
+    // Build with textContent as notes are typed by the user
+    const list = document.createElement('ol');
+    list.className = 'edit-log';
+    state.dataEdits.forEach((edit, index) => {
+        const item = document.createElement('li');
+        item.textContent = describeDataEdit(edit);
+
+        if (removable) {
+            const button = document.createElement('button');
+            button.className = 'btn-remove-edit';
+            button.dataset.index = index;
+            button.textContent = 'Undo';
+            item.appendChild(button);
+        }
+
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Number of edits in the change log, in words
+ */
+function describeEditCount() {
+    const count = state.dataEdits.length;
+    return `${count} manual ${count === 1 ? 'edit' : 'edits'}`;
+}
+
+/**
+ * Show the fields for the chosen kind of edit
+ */
+function updateEditForm() {
+    const override = elements.editType.value === 'override';
+
+    elements.editEnd.hidden = override;
+    elements.editValueGroup.hidden = !override;
+    elements.editDatesLabel.textContent = override ? 'Date' : 'From, To';
+}
+
+/**
+ * Start replacing a day's value from its button in the daily table
+ */
+function editDay(dateKey) {
+    const day = state.editedData.find(row => toDateKey(row.date) === dateKey);
+
+    elements.editType.value = 'override';
+    elements.editStart.value = dateKey;
+    elements.editValue.value = day && !day.missing ? Math.round(day.rainfall_mm * 10) / 10 : '';
+    elements.editError.hidden = true;
+    updateEditForm();
+    elements.editValue.focus();
+}
+
+/**
+ * Add the edit described by the edit form to the change log
+ */
+function addDataEdit() {
+    try {
+        state.dataEdits.push(createDataEdit(elements.editType.value, {
+            start: elements.editStart.value,
+            end: elements.editEnd.value,
+            value_mm: parseFloat(elements.editValue.value),
+            note: elements.editNote.value
+        }, state.parseResult.data));
+    } catch (error) {
+        elements.editError.textContent = error.message;
+        elements.editError.hidden = false;
+        return;
+    }
+
+    elements.editError.hidden = true;
+    elements.editNote.value = '';
+    handleDataEditsChange();
+}
+
+/**
+ * Undo one edit in the change log
+ */
+function removeDataEdit(index) {
+    state.dataEdits.splice(index, 1);
+    handleDataEditsChange();
+}
+
+/**
+ * Save the change log and rebuild the simulation input with it
+ */
+function handleDataEditsChange() {
+    if (!saveEdits(dataRecordKey(state.parseResult.metadata), state.dataEdits)) {
+        console.warn('Could not save data edits - browser storage unavailable');
+    }
+
+    try {
+        prepareRainfallData();
+    } catch (error) {
+        showDataError(error);
+    }
+
+    renderExplorer();
+}
+
+/**
+ * Re-apply the quality policy when its options change
+ */
+function handleQualityPolicyChange() {
+    state.qualityOptions.policy = elements.qualityPolicy.value;
+    state.qualityOptions.recentMonths = parseInt(elements.recentMonths.value, 10) || DEFAULT_RECENT_MONTHS;
+    elements.recentMonthsGroup.hidden = state.qualityOptions.policy !== 'recentUnchecked';
+
+    if (!state.parseResult) return;
+
+    try {
+        prepareRainfallData();
+    } catch (error) {
+        showDataError(error);
+    }
+}
+
+/**
+ * Re-fill gaps when the infill strategy changes
+ */
+function handleInfillStrategyChange() {
+    state.infillOptions.strategy = elements.infillStrategy.value;
+
+    if (!state.parseResult) return;
+
+    try {
+        prepareRainfallData();
+    } catch (error) {
+        showDataError(error);
+    }
+}
+
+/**
+ * Re-parse the loaded file when the accumulation policy changes
+ */
+function handleAccumulationPolicyChange() {
+    state.parseOptions.accumulationPolicy = elements.accumulationPolicy.value;
+
+    if (state.sources.length === 0) return;
+
+    loadSources();
+}
+
+/**
+ * Re-split monthly totals when the disaggregation method changes
+ */
+function handleDisaggregationMethodChange() {
+    state.disaggregationOptions.method = elements.disaggregationMethod.value;
+
+    if (!state.sources.some(source => source.format === 'monthly')) return;
+
+    loadSources();
+}
+
+/**
+ * Re-merge the loaded files when the merge options change
+ */
+function handleMergeOptionsChange() {
+    state.mergeOptions.precedence = elements.mergePrecedence.value;
+    state.mergeOptions.fillGaps = elements.mergeFillGaps.checked;
+
+    if (state.sources.length < 2) return;
+
+    loadSources();
+}
+
+/**
+ * Handle a change to how several files are combined
+ */
+function handleCombineOptionsChange() {
+    const parseOptional = value => (value === '' ? null : parseFloat(value));
+
+    state.combineOptions.method = elements.combineMethod.value;
+    state.combineOptions.site = {
+        latitude: parseOptional(elements.siteLatitude.value),
+        longitude: parseOptional(elements.siteLongitude.value)
+    };
+    state.combineOptions.annualMean_mm = parseOptional(elements.siteAnnualMean.value);
+
+    if (state.sources.length < 2) return;
+
+    loadSources();
+}
+
+/**
+ * Handle an edited station location in the site estimate options
+ */
+function handleSiteStationChange(event) {
+    const source = state.sources[parseInt(event.target.dataset.index, 10)];
+    const location = { ...stationLocation(source) };
+    location[event.target.dataset.field] = event.target.value === '' ? null : parseFloat(event.target.value);
+    source.location = location;
+
+    loadSources();
+}
+
+/**
+ * Select mode
+ */
+function selectMode(mode) {
+    state.mode = mode;
+
+    // Update UI
+    elements.modeCards.forEach(card => {
+        card.classList.toggle('selected', card.dataset.mode === mode);
+    });
+
+    elements.btnToParams.disabled = false;
+}
+
+/**
+ * Update parameters visibility based on mode
+ */
+function updateParamsVisibility() {
+    const isSecurityMode = state.mode === 'security';
+
+    elements.confidenceGroup.hidden = !isSecurityMode;
+    elements.waterRateGroup.hidden = isSecurityMode;
+
+    // Gutter capacity only matters when rainfall intensity is known
+    const { subDailyDays, interval_s } = state.parseResult.metadata;
+    elements.gutterGroup.hidden = !(subDailyDays > 0);
+    if (subDailyDays > 0) {
+        elements.gutterHint.textContent = `Your data has ${formatInterval(interval_s)} readings. Leave blank if gutters never overflow. A 90 mm downpipe carries roughly 2-3 L/s.`;
+    }
+}
+
+/**
+ * Update params from inputs
+ */
+function updateParams() {
+    state.params.roofArea_m2 = parseFloat(elements.roofArea.value) || DEFAULTS.roofArea_m2;
+    state.params.dailyUsage_L = parseFloat(elements.dailyUsage.value) || DEFAULTS.dailyUsage_L;
+    state.params.waterRate_perKL = parseFloat(elements.waterRate.value) || DEFAULTS.waterRate_perKL;
+    state.params.gutterCapacity_Ls = elements.gutterGroup.hidden
+        ? null
+        : parseFloat(elements.gutterCapacity.value) || null;
+
+    const material = ROOF_MATERIALS[elements.roofMaterial.value];
+    const initialLoss_mm = parseFloat(elements.initialLoss.value);
+    const continuingLossPercent = parseFloat(elements.continuingLoss.value);
+    state.params.runoffLosses = material
+        ? {
+            initialLoss_mm: isNaN(initialLoss_mm) ? material.initialLoss_mm : initialLoss_mm,
+            continuingLoss: isNaN(continuingLossPercent) ? material.continuingLoss : clamp(continuingLossPercent, 0, 99) / 100
+        }
+        : null;
+
+    const mode = elements.firstFlushMode.value;
+    state.params.firstFlush = mode
+        ? {
+            mode,
+            amount: parseFloat(elements.firstFlushAmount.value) || FIRST_FLUSH_DEFAULTS[mode],
+            resetDryDays: parseInt(elements.firstFlushReset.value, 10) || FIRST_FLUSH_DEFAULTS.resetDryDays
+        }
+        : null;
+
+    state.params.demandProfile = buildDemandProfile();
+    state.params.garden = buildGarden();
+    state.params.endUses = buildEndUses();
+}
+
+/**
+ * End-use settings from the connected-use rows, or null when the tank supplies the whole household
+ */
+function buildEndUses() {
+    if (!elements.endUsesEnabled.checked) {
+        return null;
+    }
+
+    return {
+        shares: Object.fromEntries(state.params.endUseRows.map(row => [row.use, row.share / 100])),
+        connected: state.params.endUseRows.filter(row => row.connected).map(row => row.use)
+    };
+}
+
+/**
+ * Show the end uses, starting from typical shares with a BASIX-style connection
+ */
+function handleEndUsesToggle() {
+    elements.endUsesDetails.hidden = !elements.endUsesEnabled.checked;
+
+    if (elements.endUsesEnabled.checked && state.params.endUseRows.length === 0) {
+        const order = [...DEFAULT_CONNECTED_USES, ...Object.keys(END_USES).filter(use => !DEFAULT_CONNECTED_USES.includes(use))];
+        state.params.endUseRows = order.map(use => ({
+            use,
+            share: endUseShare(use),
+            connected: DEFAULT_CONNECTED_USES.includes(use)
+        }));
+        renderEndUses();
+    }
+
+    updateParams();
+}
+
+/**
+ * Apply an edit to an end use
+ */
+function handleEndUseChange(event) {
+    const { index, field } = event.target.dataset;
+    if (!field) return;
+
+    const row = state.params.endUseRows[parseInt(index, 10)];
+    if (field === 'connected') {
+        row.connected = event.target.checked;
+    } else {
+        row.share = Math.max(0, parseFloat(event.target.value) || 0);
+        updateEndUseTotal();
+    }
+    updateParams();
+}
+
+/**
+ * Give an end use a higher priority
+ */
+function moveEndUseUp(index) {
+    if (index < 1) return;
+
+    const rows = state.params.endUseRows;
+    [rows[index - 1], rows[index]] = [rows[index], rows[index - 1]];
+    renderEndUses();
+    updateParams();
+}
+
+/**
+ * Show an editable row for each end use, in priority order
+ */
+function renderEndUses() {
+    elements.endUseList.innerHTML = '';
+
+    // Weather-driven watering replaces the garden's share of the daily usage
+    const weatherGarden = elements.gardenEnabled.checked;
+
+    state.params.endUseRows.forEach((endUse, index) => {
+        const label = END_USES[endUse.use].label;
+        const row = document.createElement('div');
+        row.className = 'catchment-row';
+
+        const name = document.createElement('span');
+        name.className = 'end-use-name';
+        name.textContent = label;
+        row.appendChild(name);
+
+        const share = document.createElement('input');
+        share.type = 'number';
+        share.min = '0';
+        share.max = '100';
+        share.step = '1';
+        share.value = endUse.share;
+        share.disabled = weatherGarden && endUse.use === 'garden';
+        share.dataset.index = index;
+        share.dataset.field = 'share';
+        share.setAttribute('aria-label', `${label} share of daily usage`);
+        row.appendChild(share);
+        row.appendChild(document.createTextNode(share.disabled ? 'by weather' : '%'));
+
+        const connected = document.createElement('label');
+        connected.className = 'checkbox-label';
+        connected.innerHTML = `<input type="checkbox" data-index="${index}" data-field="connected"> From tank`;
+        connected.querySelector('input').checked = endUse.connected;
+        row.appendChild(connected);
+
+        const move = document.createElement('button');
+        move.className = 'btn-move';
+        move.dataset.index = index;
+        move.textContent = 'Move up';
+        move.disabled = index === 0;
+        move.setAttribute('aria-label', `Supply ${label} first`);
+        row.appendChild(move);
+
+        elements.endUseList.appendChild(row);
+    });
+
+    updateEndUseTotal();
+}
+
+/**
+ * Note how the end-use shares add up
+ */
+function updateEndUseTotal() {
+    const weatherGarden = elements.gardenEnabled.checked;
+    const total = state.params.endUseRows
+        .filter(row => !(weatherGarden && row.use === 'garden'))
+        .reduce((sum, row) => sum + row.share, 0);
+
+    elements.endUseTotal.textContent = Math.abs(total - 100) < 0.05
+        ? ''
+        : `Shares add up to ${formatNumber(total, 1)}%, so they're scaled to make up the daily usage`;
+}
+
+/**
+ * Garden watering settings from the garden inputs, or null without a garden
+ */
+function buildGarden() {
+    if (!elements.gardenEnabled.checked) {
+        return null;
+    }
+
+    const plantFactor = parseFloat(elements.plantFactor.value);
+    const skipRain_mm = parseFloat(elements.skipRain.value);
+    const climate = EVAPORATION_PRESETS[elements.evaporationPreset.value].monthly;
+    const uploaded = state.evaporation ? state.evaporation.monthly : null;
+
+    return {
+        area_m2: parseFloat(elements.gardenArea.value) || 0,
+        plantFactor: isNaN(plantFactor) ? GARDEN_DEFAULTS.plantFactor : Math.max(0, plantFactor),
+        skipRain_mm: isNaN(skipRain_mm) ? GARDEN_DEFAULTS.skipRain_mm : Math.max(0, skipRain_mm),
+        monthlyEvaporation_mm: climate.map((mm, month) => (uploaded && uploaded[month] !== null ? uploaded[month] : mm)),
+        evaporationSeries: state.evaporation ? state.evaporation.series : null
+    };
+}
+
+/**
+ * Read an uploaded daily evaporation file
+ */
+async function handleEvaporationFile() {
+    const file = elements.evaporationFile.files[0];
+    state.evaporation = null;
+    elements.evaporationStatus.textContent = '';
+
+    if (file) {
+        const evaporation = parseEvaporationFile(await file.text());
+        if (evaporation.errors.length > 0) {
+            elements.evaporationStatus.textContent = `Couldn't read ${file.name}: ${evaporation.errors[0]}`;
+        } else {
+            state.evaporation = evaporation;
+            elements.evaporationStatus.textContent = `${formatNumber(evaporation.days)} days of evaporation read from the "${evaporation.column}" column`;
+        }
+    }
+
+    updateParams();
+}
+
+/**
+ * Demand profile from the seasonal, weekend and occupancy inputs, or null for the same usage every day
+ */
+function buildDemandProfile() {
+    const multiplier = input => {
+        const percent = parseFloat(input.value);
+        return isNaN(percent) ? 1 : Math.max(0, percent) / 100;
+    };
+
+    const monthly = elements.demandPreset.value === 'constant'
+        ? null
+        : Array.from(elements.demandMonths.querySelectorAll('input'), multiplier);
+    const weekly = elements.demandWeekly.checked
+        ? { weekday: multiplier(elements.weekdayUsage), weekend: multiplier(elements.weekendUsage) }
+        : null;
+
+    const occupancy = elements.occupancyEnabled.checked ? buildOccupancy() : null;
+
+    return monthly || weekly || occupancy ? { monthly, weekly, occupancy } : null;
+}
+
+/**
+ * Occupancy calendar from the occupancy inputs
+ */
+function buildOccupancy() {
+    const occupantsOtherwise = parseInt(elements.occupantsOtherwise.value, 10);
+
+    return {
+        usualOccupants: Math.max(1, parseInt(elements.usualOccupants.value, 10) || 1),
+        occupantsOtherwise: isNaN(occupantsOtherwise) ? 0 : Math.max(0, occupantsOtherwise),
+        periods: state.params.occupancyPeriods.map(period => ({ ...period }))
+    };
+}
+
+/**
+ * Show the occupancy calendar, starting with weekends
+ */
+function handleOccupancyToggle() {
+    elements.occupancyDetails.hidden = !elements.occupancyEnabled.checked;
+
+    if (elements.occupancyEnabled.checked && state.params.occupancyPeriods.length === 0) {
+        addOccupancyPeriod('weekends');
+    } else {
+        updateParams();
+    }
+}
+
+/**
+ * Add an occupied period, with the usual number of people
+ */
+function addOccupancyPeriod(kind) {
+    state.params.occupancyPeriods.push({
+        kind,
+        holiday: 'christmas',
+        name: '',
+        start: '',
+        end: '',
+        occupants: Math.max(1, parseInt(elements.usualOccupants.value, 10) || 1)
+    });
+    renderOccupancyPeriods();
+    updateParams();
+}
+
+/**
+ * Remove an occupied period
+ */
+function removeOccupancyPeriod(index) {
+    state.params.occupancyPeriods.splice(index, 1);
+    renderOccupancyPeriods();
+    updateParams();
+}
+
+/**
+ * Apply an edit to an occupied period
+ */
+function handleOccupancyPeriodChange(event) {
+    const { index, field } = event.target.dataset;
+    if (!field) return;
+
+    const period = state.params.occupancyPeriods[parseInt(index, 10)];
+    if (field === 'occupants') {
+        period.occupants = Math.max(0, parseInt(event.target.value, 10) || 0);
+    } else if (field === 'start' || field === 'end') {
+        // Date ranges repeat every year, so only the month and day are kept
+        period[field] = event.target.value.slice(5);
+    } else {
+        period[field] = event.target.value;
+    }
+
+    if (field === 'kind' && event.type === 'change') {
+        renderOccupancyPeriods();
+    }
+    updateParams();
+}
+
+/**
+ * Show an editable row for each occupied period
+ */
+function renderOccupancyPeriods() {
+    elements.occupancyList.innerHTML = '';
+
+    state.params.occupancyPeriods.forEach((period, index) => {
+        const row = document.createElement('div');
+        row.className = 'catchment-row';
+
+        const kind = document.createElement('select');
+        kind.dataset.index = index;
+        kind.dataset.field = 'kind';
+        kind.setAttribute('aria-label', 'Kind of period');
+        Object.entries(OCCUPANCY_PERIOD_KINDS).forEach(([key, label]) => kind.add(new Option(label, key)));
+        kind.value = period.kind;
+        row.appendChild(kind);
+
+        if (period.kind === 'holiday') {
+            const holiday = document.createElement('select');
+            holiday.dataset.index = index;
+            holiday.dataset.field = 'holiday';
+            holiday.setAttribute('aria-label', 'Holiday');
+            Object.entries(HOLIDAY_BLOCKS).forEach(([key, block]) => holiday.add(new Option(block.label, key)));
+            holiday.value = period.holiday;
+            row.appendChild(holiday);
+        } else if (period.kind === 'custom') {
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.placeholder = 'Name';
+            name.value = period.name;
+            name.dataset.index = index;
+            name.dataset.field = 'name';
+            name.setAttribute('aria-label', 'Period name');
+            row.appendChild(name);
+
+            // Any year will do: a leap year lets 29 Feb be picked
+            ['start', 'end'].forEach(field => {
+                const date = document.createElement('input');
+                date.type = 'date';
+                date.value = period[field] ? `2000-${period[field]}` : '';
+                date.dataset.index = index;
+                date.dataset.field = field;
+                date.setAttribute('aria-label', field === 'start' ? 'First day, every year' : 'Last day, every year');
+                row.appendChild(date);
+            });
+        }
+
+        const occupants = document.createElement('input');
+        occupants.type = 'number';
+        occupants.min = '0';
+        occupants.step = '1';
+        occupants.value = period.occupants;
+        occupants.dataset.index = index;
+        occupants.dataset.field = 'occupants';
+        occupants.setAttribute('aria-label', 'People at the property');
+        row.appendChild(occupants);
+        row.appendChild(document.createTextNode('people'));
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-remove';
+        remove.dataset.index = index;
+        remove.textContent = 'Remove';
+        remove.setAttribute('aria-label', 'Remove period');
+        row.appendChild(remove);
+
+        elements.occupancyList.appendChild(row);
     });
+}
 
-    // Chart export buttons
-    document.querySelectorAll('.btn-export').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const canvasId = btn.dataset.chart;
-            exportChart(canvasId);
-        });
-    });
+/**
+ * Fill the monthly usage with the chosen climate preset
+ */
+function handleDemandPresetChange() {
+    const preset = DEMAND_PRESETS[elements.demandPreset.value];
+
+    elements.demandMonths.hidden = elements.demandPreset.value === 'constant';
+    if (preset) {
+        renderDemandMonths(preset.monthly);
+    }
+
+    updateParams();
 }
 
 /**
- * Show a wizard step
+ * Editing a month makes the profile custom
  */
-function showStep(stepName) {
-    state.currentStep = stepName;
+function handleDemandMonthChange() {
+    elements.demandPreset.value = 'custom';
+    updateParams();
+}
 
-    // Hide all steps
-    Object.values(elements.steps).forEach(step => {
-        step.hidden = true;
+/**
+ * Show the weekday and weekend usage
+ */
+function handleDemandWeeklyChange() {
+    elements.demandWeeklyGroup.hidden = !elements.demandWeekly.checked;
+    updateParams();
+}
+
+/**
+ * Render an input per month, as percentages of the daily usage
+ */
+function renderDemandMonths(monthly) {
+    elements.demandMonths.innerHTML = '';
+
+    MONTH_NAMES.forEach((name, index) => {
+        const label = document.createElement('label');
+        label.className = 'demand-month';
+        label.textContent = name;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.max = '500';
+        input.step = '5';
+        input.value = Math.round(monthly[index] * 100);
+        label.appendChild(input);
+
+        elements.demandMonths.appendChild(label);
     });
+}
 
-    // Show target step
-    elements.steps[stepName].hidden = false;
+/**
+ * Fill the runoff losses with the chosen roof material's preset
+ */
+function handleRoofMaterialChange() {
+    const material = ROOF_MATERIALS[elements.roofMaterial.value];
 
-    // Update conditional UI
-    if (stepName === 'params') {
-        updateParamsVisibility();
+    elements.runoffLossesGroup.hidden = !material;
+    if (material) {
+        elements.initialLoss.value = material.initialLoss_mm;
+        elements.continuingLoss.value = material.continuingLoss * 100;
     }
+
+    updateParams();
 }
 
 /**
- * Handle file selection
+ * Add a row for a shed, carport or other roof
  */
-function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        processFile(file);
-    }
+function addOtherRoof() {
+    state.params.otherRoofs.push({
+        name: `Roof ${state.params.otherRoofs.length + 2}`,
+        area_m2: null,
+        material: '',
+        connected: true,
+        tank: 0
+    });
+    renderOtherRoofs();
 }
 
 /**
- * Handle drag over
+ * Remove one of the other roofs
  */
-function handleDragOver(event) {
-    event.preventDefault();
-    elements.uploadZone.classList.add('drag-over');
+function removeOtherRoof(index) {
+    state.params.otherRoofs.splice(index, 1);
+    renderOtherRoofs();
 }
 
 /**
- * Handle drag leave
+ * Handle an edited field on one of the other roofs
  */
-function handleDragLeave(event) {
-    event.preventDefault();
-    elements.uploadZone.classList.remove('drag-over');
+function handleOtherRoofChange(event) {
+    const { index, field } = event.target.dataset;
+    if (!field) return;
+
+    const roof = state.params.otherRoofs[parseInt(index, 10)];
+    if (field === 'connected') {
+        roof.connected = event.target.checked;
+    } else if (field === 'tank') {
+        roof.tank = parseInt(event.target.value, 10);
+    } else if (field === 'area_m2') {
+        roof.area_m2 = parseFloat(event.target.value) || null;
+    } else {
+        roof[field] = event.target.value;
+    }
 }
 
 /**
- * Handle file drop
+ * Show an editable row for each roof besides the main one
  */
-function handleDrop(event) {
-    event.preventDefault();
-    elements.uploadZone.classList.remove('drag-over');
+function renderOtherRoofs() {
+    elements.catchmentList.innerHTML = '';
+
+    state.params.otherRoofs.forEach((roof, index) => {
+        const row = document.createElement('div');
+        row.className = 'catchment-row';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = roof.name;
+        name.dataset.index = index;
+        name.dataset.field = 'name';
+        name.setAttribute('aria-label', 'Roof name');
+        row.appendChild(name);
+
+        const area = document.createElement('input');
+        area.type = 'number';
+        area.min = '1';
+        area.step = '1';
+        area.placeholder = 'm²';
+        area.value = roof.area_m2 || '';
+        area.dataset.index = index;
+        area.dataset.field = 'area_m2';
+        area.setAttribute('aria-label', `${roof.name} area in m²`);
+        row.appendChild(area);
+
+        const material = document.createElement('select');
+        material.dataset.index = index;
+        material.dataset.field = 'material';
+        material.setAttribute('aria-label', `${roof.name} roof runoff`);
+        material.add(new Option('Flat 85%', ''));
+        Object.entries(ROOF_MATERIALS).forEach(([key, preset]) => material.add(new Option(preset.label, key)));
+        material.value = roof.material;
+        row.appendChild(material);
+
+        if (state.params.tankSetup === 'separate') {
+            const tank = document.createElement('select');
+            tank.dataset.index = index;
+            tank.dataset.field = 'tank';
+            tank.setAttribute('aria-label', `Tank fed by ${roof.name}`);
+            tankNames().forEach((tankName, tankIndex) => tank.add(new Option(tankName, tankIndex)));
+            tank.value = roof.tank;
+            row.appendChild(tank);
+        }
 
-    const file = event.dataTransfer.files[0];
-    if (file) {
-        processFile(file);
+        const connected = document.createElement('label');
+        connected.className = 'checkbox-label';
+        connected.innerHTML = `<input type="checkbox" data-index="${index}" data-field="connected"> To tank`;
+        connected.querySelector('input').checked = roof.connected;
+        row.appendChild(connected);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-remove';
+        remove.dataset.index = index;
+        remove.textContent = 'Remove';
+        remove.setAttribute('aria-label', `Remove ${roof.name}`);
+        row.appendChild(remove);
+
+        elements.catchmentList.appendChild(row);
+    });
+}
+
+/**
+ * Roof catchments for the analyses: the main roof plus any other roofs
+ * with an area, or null when there is only the main roof
+ */
+function buildCatchments() {
+    const others = state.params.otherRoofs.filter(roof => roof.area_m2 > 0);
+    if (others.length === 0) {
+        return null;
     }
+
+    return [
+        {
+            name: 'Main roof',
+            area_m2: state.params.roofArea_m2,
+            runoffLosses: state.params.runoffLosses,
+            connected: true,
+            tank: 0
+        },
+        ...others.map(roof => {
+            const preset = ROOF_MATERIALS[roof.material];
+            return {
+                name: roof.name.trim() || 'Other roof',
+                area_m2: roof.area_m2,
+                runoffLosses: preset ? { initialLoss_mm: preset.initialLoss_mm, continuingLoss: preset.continuingLoss } : null,
+                connected: roof.connected,
+                tank: roof.tank
+            };
+        })
+    ];
 }
 
 /**
- * Process uploaded file
+ * Parameters shared by both analyses and their sensitivity runs
  */
-async function processFile(file) {
-    // Show loading state
-    elements.uploadStatus.hidden = false;
-    elements.statusLoading.hidden = false;
-    elements.statusSuccess.hidden = true;
-    elements.statusError.hidden = true;
-    elements.btnToMode.disabled = true;
+function systemParams() {
+    return {
+        roofArea_m2: state.params.roofArea_m2,
+        runoffLosses: state.params.runoffLosses,
+        catchments: buildCatchments(),
+        dailyUsage_L: state.params.dailyUsage_L,
+        gutterCapacity_Ls: state.params.gutterCapacity_Ls,
+        firstFlush: state.params.firstFlush,
+        tankSetup: buildTankSetup(),
+        demandProfile: state.params.demandProfile,
+        garden: state.params.garden,
+        endUses: state.params.endUses
+    };
+}
 
-    try {
-        const text = await file.text();
+/**
+ * Tank setup for the analyses, or null for one tank
+ */
+function buildTankSetup() {
+    const setup = state.params.tankSetup;
+    if (setup === 'single') {
+        return null;
+    }
 
-        // Small delay to show loading state
-        await new Promise(resolve => setTimeout(resolve, 100));
+    if (setup !== 'separate') {
+        return { setup };
+    }
 
-        const result = parseBoMCSV(text);
+    return {
+        setup,
+        tanks: tankNames().map((name, index) => ({
+            name,
+            dailyUsage_L: index === 0 ? state.params.dailyUsage_L : state.params.otherTanks[index - 1].dailyUsage_L
+        }))
+    };
+}
 
-        if (result.success) {
-            state.parseResult = result;
-            state.rainfallData = result.data;
+/**
+ * Names of the separate tanks, the main tank first
+ */
+function tankNames() {
+    return ['Main tank', ...state.params.otherTanks.map((tank, index) => tank.name.trim() || `Tank ${index + 2}`)];
+}
 
-            // Show success
-            elements.statusLoading.hidden = true;
-            elements.statusSuccess.hidden = false;
-            elements.dataSummary.textContent = generateDataSummary(result);
-            elements.btnToMode.disabled = false;
+/**
+ * Show the tank list when tanks are separate
+ */
+function handleTankSetupChange() {
+    state.params.tankSetup = elements.tankSetup.value;
 
-            // Show warnings if any
-            if (result.warnings.length > 0) {
-                console.warn('CSV parsing warnings:', result.warnings);
-            }
-        } else {
-            throw new Error(result.errors.join('. '));
-        }
-    } catch (error) {
-        elements.statusLoading.hidden = true;
-        elements.statusError.hidden = false;
-        elements.errorMessage.textContent = error.message;
+    if (state.params.tankSetup === 'separate' && state.params.otherTanks.length === 0) {
+        addOtherTank();
     }
+
+    elements.tankList.hidden = state.params.tankSetup !== 'separate';
+    elements.btnAddTank.hidden = state.params.tankSetup !== 'separate';
+    renderOtherRoofs();
 }
 
 /**
- * Select mode
+ * Add a separate tank with its own usage
  */
-function selectMode(mode) {
-    state.mode = mode;
+function addOtherTank() {
+    state.params.otherTanks.push({ name: `Tank ${state.params.otherTanks.length + 2}`, dailyUsage_L: 100 });
+    renderOtherTanks();
+    renderOtherRoofs();
+}
 
-    // Update UI
-    elements.modeCards.forEach(card => {
-        card.classList.toggle('selected', card.dataset.mode === mode);
+/**
+ * Remove a separate tank, moving its roofs to the main tank
+ */
+function removeOtherTank(index) {
+    state.params.otherTanks.splice(index, 1);
+    state.params.otherRoofs.forEach(roof => {
+        if (roof.tank === index + 1) {
+            roof.tank = 0;
+        } else if (roof.tank > index + 1) {
+            roof.tank--;
+        }
     });
-
-    elements.btnToParams.disabled = false;
+    renderOtherTanks();
+    renderOtherRoofs();
 }
 
 /**
- * Update parameters visibility based on mode
+ * Handle an edited field on a separate tank
  */
-function updateParamsVisibility() {
-    const isSecurityMode = state.mode === 'security';
+function handleOtherTankChange(event) {
+    const { index, field } = event.target.dataset;
+    if (!field) return;
 
-    elements.confidenceGroup.hidden = !isSecurityMode;
-    elements.waterRateGroup.hidden = isSecurityMode;
+    const tank = state.params.otherTanks[parseInt(index, 10)];
+    if (field === 'dailyUsage_L') {
+        tank.dailyUsage_L = parseFloat(event.target.value) || 0;
+    } else {
+        tank.name = event.target.value;
+        renderOtherRoofs();
+    }
 }
 
 /**
- * Update params from inputs
+ * Show an editable row for each separate tank besides the main one
  */
-function updateParams() {
-    state.params.roofArea_m2 = parseFloat(elements.roofArea.value) || DEFAULTS.roofArea_m2;
-    state.params.dailyUsage_L = parseFloat(elements.dailyUsage.value) || DEFAULTS.dailyUsage_L;
-    state.params.waterRate_perKL = parseFloat(elements.waterRate.value) || DEFAULTS.waterRate_perKL;
+function renderOtherTanks() {
+    elements.tankList.innerHTML = '';
+
+    state.params.otherTanks.forEach((tank, index) => {
+        const row = document.createElement('div');
+        row.className = 'catchment-row';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = tank.name;
+        name.dataset.index = index;
+        name.dataset.field = 'name';
+        name.setAttribute('aria-label', 'Tank name');
+        row.appendChild(name);
+
+        const usage = document.createElement('input');
+        usage.type = 'number';
+        usage.min = '1';
+        usage.step = '10';
+        usage.value = tank.dailyUsage_L || '';
+        usage.dataset.index = index;
+        usage.dataset.field = 'dailyUsage_L';
+        usage.setAttribute('aria-label', `${tank.name} daily usage in litres`);
+        row.appendChild(usage);
+
+        const unit = document.createElement('span');
+        unit.textContent = 'L/day';
+        row.appendChild(unit);
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-remove';
+        remove.dataset.index = index;
+        remove.textContent = 'Remove';
+        remove.setAttribute('aria-label', `Remove ${tank.name}`);
+        row.appendChild(remove);
+
+        elements.tankList.appendChild(row);
+    });
+}
+
+/**
+ * Show the first-flush settings for the chosen diverter sizing, with typical values
+ */
+function handleFirstFlushModeChange() {
+    const mode = elements.firstFlushMode.value;
+
+    elements.firstFlushAmountGroup.hidden = !mode;
+    elements.firstFlushResetGroup.hidden = !mode;
+    if (mode) {
+        elements.firstFlushAmount.value = FIRST_FLUSH_DEFAULTS[mode];
+        elements.firstFlushAmount.step = mode === 'perArea' ? '0.1' : '5';
+        elements.firstFlushUnit.textContent = mode === 'perArea' ? 'L/m²' : 'litres';
+        elements.firstFlushReset.value = elements.firstFlushReset.value || FIRST_FLUSH_DEFAULTS.resetDryDays;
+    }
+
+    updateParams();
 }
 
 /**
@@ -359,34 +2346,175 @@ function selectUsagePreset(btn) {
     const usage = parseInt(btn.dataset.usage, 10);
     elements.dailyUsage.value = usage;
     state.params.dailyUsage_L = usage;
+    setHouseholdUsage(null);
 
     // Update active state
     elements.presetBtns.forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
 }
 
+/**
+ * Household usage from the calculator inputs
+ */
+function calculateUsageFromInputs() {
+    const number = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : Math.max(0, value);
+    };
+
+    return calculateHouseholdUsage({
+        ...USAGE_CALCULATOR_DEFAULTS,
+        occupants: Math.max(1, parseInt(elements.calcOccupants.value, 10) || 1),
+        showerRating: elements.showerRating.value,
+        showerMinutes: number(elements.showerMinutes, USAGE_CALCULATOR_DEFAULTS.showerMinutes),
+        toiletRating: elements.toiletRating.value,
+        washingMachineRating: elements.washingMachineRating.value,
+        loadsPerWeek: number(elements.laundryLoads, USAGE_CALCULATOR_DEFAULTS.loadsPerWeek),
+        // Weather-driven garden watering replaces the calculator's garden
+        gardenArea_m2: elements.gardenEnabled.checked ? 0 : number(elements.calcGardenArea, 0),
+        gardenWatering_mm: number(elements.gardenWatering, USAGE_CALCULATOR_DEFAULTS.gardenWatering_mm),
+        poolArea_m2: number(elements.poolArea, 0),
+        poolCovered: elements.poolCovered.checked
+    });
+}
+
+/**
+ * Show the calculated usage as the inputs change
+ */
+function updateUsageCalculator() {
+    const weatherGarden = elements.gardenEnabled.checked;
+    elements.calcGardenArea.disabled = weatherGarden;
+    elements.gardenWatering.disabled = weatherGarden;
+    elements.calcGardenNote.hidden = !weatherGarden;
+
+    const usage = calculateUsageFromInputs();
+    elements.usageCalcResult.textContent =
+        `About ${formatLitres(usage.dailyUsage_L)} a day: ${describeUsageBreakdown(usage.breakdown)}`;
+}
+
+/**
+ * Write the calculated usage into the daily usage, keeping its breakdown
+ */
+function applyCalculatedUsage() {
+    const usage = calculateUsageFromInputs();
+    elements.dailyUsage.value = Math.round(usage.dailyUsage_L);
+    elements.presetBtns.forEach(btn => btn.classList.remove('active'));
+    setHouseholdUsage(usage);
+    updateParams();
+}
+
+/**
+ * Keep the calculator's breakdown while the daily usage is its figure, and
+ * split connected uses by it
+ */
+function setHouseholdUsage(usage) {
+    state.params.householdUsage = usage;
+    elements.btnUsageCalculator.classList.toggle('active', Boolean(usage));
+
+    if (usage && state.params.endUseRows.length > 0) {
+        state.params.endUseRows.forEach(row => {
+            row.share = endUseShare(row.use);
+        });
+        renderEndUses();
+    }
+}
+
+/**
+ * Share (%) of daily usage for an end use: the calculator's, or the typical share
+ */
+function endUseShare(use) {
+    const usage = state.params.householdUsage;
+    return usage
+        ? Math.round(usage.breakdown[use] / usage.dailyUsage_L * 1000) / 10
+        : END_USES[use].share * 100;
+}
+
 /**
  * Run calculation and show results
  */
 function runCalculation() {
     updateParams();
 
-    if (state.mode === 'security') {
-        runSecurityAnalysis();
-    } else {
-        runOpportunisticAnalysis();
+    try {
+        if (state.mode === 'security') {
+            runSecurityAnalysis();
+        } else {
+            runOpportunisticAnalysis();
+        }
+    } catch (error) {
+        elements.paramsError.textContent = error.message;
+        elements.paramsError.hidden = false;
+        return;
     }
+    elements.paramsError.hidden = true;
+
+    elements.resultsDataNote.textContent = [
+        describeRunoff(state.params.runoffLosses),
+        describeHouseholdUsage(state.params.householdUsage),
+        describeDemandProfile(state.params.demandProfile, state.results.demand),
+        describeOccupancy(state.params.demandProfile && state.params.demandProfile.occupancy, state.rainfallData),
+        describeGardenDemand(state.results.gardenDemand),
+        describeEndUses(state.params.endUses, state.results.connectedAnnual_L, state.results.demand),
+        generateUnverifiedStatement(state.results.inputQuality),
+        generateInterpolatedStatement(state.results.inputQuality),
+        generateDisaggregatedStatement(state.results.inputQuality),
+        generateInfilledStatement(state.results.inputQuality),
+        describeScreening(state.screening),
+        state.dataEdits.length > 0 ? `Rainfall record changed by ${describeEditCount()} (listed below)` : '',
+        describeGapFilling(state.gapFilling),
+        state.parseResult.metadata.siteEstimate ? describeSiteEstimate(state.parseResult.metadata.siteEstimate) : '',
+        describeGutterOverflow(state.results.gutterOverflow),
+        describeFirstFlush(state.results.firstFlush)
+    ].filter(Boolean).join(' • ');
+
+    elements.resultsEditDetails.hidden = state.dataEdits.length === 0;
+    renderEditLog(elements.resultsEditLog, false);
 
     showStep('results');
 }
 
+/**
+ * Describe roof runoff lost to gutter overflow, for the results data note
+ */
+function describeGutterOverflow(gutterOverflow) {
+    if (!gutterOverflow || gutterOverflow.totalOverflow_L === 0) {
+        return '';
+    }
+
+    return `Gutters overflowed on ${formatDays(gutterOverflow.overflowDays)}, losing ${formatLitres(gutterOverflow.annualOverflow_L)} a year ` +
+        `(${formatPercent(gutterOverflow.sharePercent / 100)} of roof runoff)`;
+}
+
+/**
+ * Describe the runoff loss model, for the results data note
+ */
+function describeRunoff(runoffLosses) {
+    if (!runoffLosses) {
+        return '';
+    }
+
+    return `Roof runoff after a ${formatNumber(runoffLosses.initialLoss_mm, 1)} mm initial loss per event ` +
+        `and ${formatPercent(runoffLosses.continuingLoss, 0)} continuing loss`;
+}
+
+/**
+ * Describe roof runoff dumped by the first-flush diverter, for the results data note
+ */
+function describeFirstFlush(firstFlush) {
+    if (!firstFlush) {
+        return '';
+    }
+
+    return `First flush of ${formatLitres(firstFlush.volume_L)} diverted ${formatLitres(firstFlush.annualDiverted_L)} a year ` +
+        `over about ${formatNumber(firstFlush.eventsPerYear)} rain events (${formatPercent(firstFlush.sharePercent / 100)} of roof runoff)`;
+}
+
 /**
  * Run security mode analysis
  */
 function runSecurityAnalysis() {
     const results = analyzeSecurityMode(state.rainfallData, {
-        roofArea_m2: state.params.roofArea_m2,
-        dailyUsage_L: state.params.dailyUsage_L,
+        ...systemParams(),
         confidenceLevel: state.params.confidenceLevel
     });
 
@@ -397,13 +2525,15 @@ function runSecurityAnalysis() {
     elements.opportunisticResults.hidden = true;
 
     // Populate hero
-    elements.recommendedTank.textContent = formatTankSize(results.recommendedTankSize_L);
+    elements.recommendedTank.textContent = results.tankSystem
+        ? results.tankSystem.description
+        : formatTankSize(results.recommendedTankSize_L);
     elements.confidenceStatement.textContent = results.confidenceStatement;
 
     // Reliability card
     const reliability = results.actualReliability;
     elements.reliabilityStat.textContent = `${reliability.toFixed(1)}%`;
-    const emptyDays = results.stressStatistics.totalDays - Math.round(results.stressStatistics.totalDays * reliability / 100);
+    const emptyDays = results.stressStatistics.daysEmpty;
     elements.reliabilityDetail.textContent = emptyDays === 0
         ? 'Tank never ran empty'
         : `${emptyDays} days would have run empty`;
@@ -415,6 +2545,12 @@ function runSecurityAnalysis() {
     elements.stressStat.textContent = `${stressDays.toLocaleString()} days`;
     elements.stressDetail.textContent = `${stressPercent.toFixed(1)}% of days below 20% capacity`;
 
+    // Overflow and first-flush card
+    elements.securityOverflowStat.textContent = `${formatLitres(results.annualOverflow_L)}/year`;
+    elements.securityOverflowDetail.textContent = results.firstFlush
+        ? `Overflow from a full tank • First flush diverts a further ${formatLitres(results.firstFlush.annualDiverted_L)}/year`
+        : 'Overflow from a full tank • No first-flush diverter';
+
     // Failure table
     elements.failureTableBody.innerHTML = '';
     results.smallerTankAnalysis.forEach(analysis => {
@@ -428,6 +2564,26 @@ function runSecurityAnalysis() {
         elements.failureTableBody.appendChild(row);
     });
 
+    renderOccupancyTable(results.occupiedPeriods);
+
+    renderUseTable(elements.securityUseSection, elements.securityUseTableBody, results.supplyByUse, null);
+
+    renderTankTable(
+        elements.securityTankSection,
+        elements.securityTankHeading,
+        elements.securityTankTableBody,
+        results.tankSystem
+    );
+
+    renderCatchmentTable(
+        elements.securityCatchmentSection,
+        elements.securityCatchmentTableBody,
+        elements.securityCatchmentHint,
+        results.catchments,
+        elements.recommendedTank.textContent,
+        null
+    );
+
     // Dry spell card
     const drySpell = analyzeDrySpell(
         results.worstDrySpell,
@@ -449,6 +2605,31 @@ function runSecurityAnalysis() {
             </span>
         </div>
     `;
+
+    // Gap-filling sensitivity
+    const hasGaps = state.unfilledData.some(day => day.missing);
+    elements.securityInfillSection.hidden = !hasGaps;
+    elements.securityInfillTableBody.innerHTML = '';
+    if (hasGaps) {
+        const sensitivity = compareInfillStrategies(state.unfilledData, data =>
+            analyzeSecurityMode(data, {
+                ...systemParams(),
+                confidenceLevel: state.params.confidenceLevel
+            }).recommendedTankSize_L
+        );
+
+        sensitivity.forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.strategy === state.gapFilling.strategy) {
+                row.classList.add('current-strategy');
+            }
+            row.innerHTML = `
+                <td>${entry.label}</td>
+                <td class="tank-size">${entry.error ? entry.error : formatTankSize(entry.result)}</td>
+            `;
+            elements.securityInfillTableBody.appendChild(row);
+        });
+    }
 }
 
 /**
@@ -456,8 +2637,7 @@ function runSecurityAnalysis() {
  */
 function runOpportunisticAnalysis() {
     const results = analyzeOpportunisticMode(state.rainfallData, {
-        roofArea_m2: state.params.roofArea_m2,
-        dailyUsage_L: state.params.dailyUsage_L,
+        ...systemParams(),
         waterRate_perKL: state.params.waterRate_perKL
     });
 
@@ -469,7 +2649,8 @@ function runOpportunisticAnalysis() {
 
     // Best value hero
     const bestValue = results.comparisons[results.bestValueIndex];
-    elements.bestValueTank.textContent = formatTankSize(bestValue.tankSize_L);
+    const each = results.sizesPerTank ? ' each' : '';
+    elements.bestValueTank.textContent = `${formatTankSize(bestValue.tankSize_L)}${each}`;
     elements.bestValueSubtitle.textContent =
         `Offsets ${bestValue.percentOffset.toFixed(0)}% of mains water • Saves ${formatCurrency(bestValue.annualSavings)}/year`;
 
@@ -480,8 +2661,18 @@ function runOpportunisticAnalysis() {
 
     // Water cost card
     elements.waterCost.textContent = `${formatCurrency(results.waterCost.annualCost)}/year`;
-    elements.waterCostDetail.textContent =
-        `Based on ${formatNumber(results.waterCost.annualDemand_kL, 1)} kL/year at ${formatCurrency(results.waterCost.ratePerKL, 2)}/kL`;
+    elements.waterCostDetail.textContent = results.connectedAnnual_L === null
+        ? `Based on ${formatNumber(results.waterCost.annualDemand_kL, 1)} kL/year at ${formatCurrency(results.waterCost.ratePerKL, 2)}/kL`
+        : `Based on the ${formatNumber(results.waterCost.annualDemand_kL, 1)} kL/year of tank-connected uses ` +
+            `(of ${formatNumber(results.waterCost.householdDemand_kL, 1)} kL household use) at ${formatCurrency(results.waterCost.ratePerKL, 2)}/kL`;
+
+    // First-flush card
+    elements.firstFlushCard.hidden = !results.firstFlush;
+    if (results.firstFlush) {
+        elements.firstFlushStat.textContent = `${formatLitres(results.firstFlush.annualDiverted_L)}/year`;
+        elements.firstFlushDetail.textContent =
+            `Diverted before the tank, worth ${formatCurrency(results.firstFlush.annualDiverted_L / 1000 * results.waterCost.ratePerKL)}/year at your water rate`;
+    }
 
     // Comparison table
     elements.comparisonTableBody.innerHTML = '';
@@ -494,7 +2685,7 @@ function runOpportunisticAnalysis() {
 
         row.innerHTML = `
             <td class="tank-size">
-                ${formatTankSize(comparison.tankSize_L)}
+                ${formatTankSize(comparison.tankSize_L)}${each}
                 ${isBest ? '<span class="best-badge">Best Value</span>' : ''}
             </td>
             <td>${comparison.percentOffset.toFixed(0)}%</td>
@@ -507,9 +2698,167 @@ function runOpportunisticAnalysis() {
                     <span class="efficiency-value">${comparison.captureEfficiency.toFixed(0)}%</span>
                 </div>
             </td>
+            <td>${formatLitres(comparison.annualOverflow_L)}/yr</td>
         `;
         elements.comparisonTableBody.appendChild(row);
     });
+
+    renderUseTable(
+        elements.opportunisticUseSection,
+        elements.opportunisticUseTableBody,
+        results.supplyByUse,
+        results.waterCost.ratePerKL
+    );
+
+    renderTankTable(
+        elements.opportunisticTankSection,
+        elements.opportunisticTankHeading,
+        elements.opportunisticTankTableBody,
+        results.tankSystem
+    );
+
+    renderCatchmentTable(
+        elements.opportunisticCatchmentSection,
+        elements.opportunisticCatchmentTableBody,
+        elements.opportunisticCatchmentHint,
+        results.catchments,
+        elements.bestValueTank.textContent,
+        results.waterCost.ratePerKL
+    );
+
+    // Gap-filling sensitivity
+    const hasGaps = state.unfilledData.some(day => day.missing);
+    elements.opportunisticInfillSection.hidden = !hasGaps;
+    elements.opportunisticInfillTableBody.innerHTML = '';
+    if (hasGaps) {
+        const sensitivity = compareInfillStrategies(state.unfilledData, data => {
+            const analysis = analyzeOpportunisticMode(data, {
+                ...systemParams(),
+                waterRate_perKL: state.params.waterRate_perKL
+            });
+            return analysis.comparisons[analysis.bestValueIndex];
+        });
+
+        sensitivity.forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.strategy === state.gapFilling.strategy) {
+                row.classList.add('current-strategy');
+            }
+            row.innerHTML = entry.error
+                ? `<td>${entry.label}</td><td colspan="3">${entry.error}</td>`
+                : `
+                    <td>${entry.label}</td>
+                    <td class="tank-size">${formatTankSize(entry.result.tankSize_L)}</td>
+                    <td>${entry.result.percentOffset.toFixed(0)}%</td>
+                    <td class="savings">${formatCurrency(entry.result.annualSavings)}/yr</td>
+                `;
+            elements.opportunisticInfillTableBody.appendChild(row);
+        });
+    }
+}
+
+/**
+ * Show how often the tank ran dry over each occupied period
+ */
+function renderOccupancyTable(occupiedPeriods) {
+    elements.securityOccupancySection.hidden = !occupiedPeriods;
+    elements.securityOccupancyTableBody.innerHTML = '';
+    if (!occupiedPeriods) return;
+
+    occupiedPeriods.forEach(period => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="period-name"></td>
+            <td>${formatNumber(period.occupants)}</td>
+            <td class="${period.occurrencesDry === 0 ? 'no-failures' : 'failure-desc'}">${period.description}</td>
+        `;
+        row.querySelector('.period-name').textContent = period.name;
+        elements.securityOccupancyTableBody.appendChild(row);
+    });
+}
+
+/**
+ * Show what the tank and mains supply to each use, with the mains cost at the water rate if given
+ */
+function renderUseTable(section, body, supplyByUse, ratePerKL) {
+    section.hidden = !supplyByUse;
+    body.innerHTML = '';
+    if (!supplyByUse) return;
+
+    const years = state.rainfallData.length / 365.25;
+    Object.entries(supplyByUse).forEach(([use, supply]) => {
+        const cost = ratePerKL === null
+            ? ''
+            : ` <small>(${formatCurrency(supply.mains_L / years / 1000 * ratePerKL)})</small>`;
+        const fromTank = supply.connected === false
+            ? '<small>Not connected</small>'
+            : `${formatLitres(supply.tank_L / years)}/yr <small>(${formatPercent(supply.tank_L / supply.demand_L, 0)})</small>`;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${END_USES[use] ? END_USES[use].label : DEMAND_USES[use]}</td>
+            <td>${formatLitres(supply.demand_L / years)}/yr</td>
+            <td>${fromTank}</td>
+            <td>${formatLitres(supply.mains_L / years)}/yr${cost}</td>
+        `;
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Show each tank's levels, empty days and overflow for a multi-tank system
+ */
+function renderTankTable(section, heading, body, tankSystem) {
+    section.hidden = !tankSystem;
+    body.innerHTML = '';
+    if (!tankSystem) return;
+
+    heading.textContent = `Your tanks: ${tankSystem.description}`;
+    tankSystem.tanks.forEach(tank => {
+        const years = tank.levels_L.length / 365.25;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><span class="tank-name"></span><br><small>${formatTankSize(tank.size_L)}</small></td>
+            <td>${formatPercent(tank.averageLevel_L / tank.size_L, 0)} <small>(lowest ${formatPercent(tank.minLevel_L / tank.size_L, 0)})</small></td>
+            <td>${formatNumber(tank.daysEmpty)}</td>
+            <td>${formatLitres(tank.totalOverflow_L / years)}/yr</td>
+        `;
+        row.querySelector('.tank-name').textContent = tank.name;
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Show what each roof catchment adds to the tank, with savings at the water rate if given
+ */
+function renderCatchmentTable(section, body, hint, catchments, tankLabel, ratePerKL) {
+    section.hidden = !catchments;
+    body.innerHTML = '';
+    if (!catchments) return;
+
+    catchments.forEach(catchment => {
+        const supply = `${formatLitres(catchment.annualSupply_L)}/yr`;
+        const savings = ratePerKL === null
+            ? ''
+            : ` (${formatCurrency(catchment.annualSupply_L / 1000 * ratePerKL)}/yr)`;
+        const emptyDays = catchment.emptyDaysAvoided > 0
+            ? ` • ${formatDays(catchment.emptyDaysAvoided)} fewer empty`
+            : '';
+
+        const row = document.createElement('tr');
+        if (!catchment.connected) {
+            row.classList.add('unconnected-roof');
+        }
+        row.innerHTML = `
+            <td><span class="catchment-name"></span><br><small>${formatNumber(catchment.area_m2)} m² • ${catchment.connected ? 'Connected' : 'Not connected'}</small></td>
+            <td>${formatLitres(catchment.annualRunoff_L)}/yr</td>
+            <td>${catchment.connected ? '' : 'If connected: +'}${supply}${savings}${emptyDays}</td>
+        `;
+        row.querySelector('.catchment-name').textContent = catchment.name;
+        body.appendChild(row);
+    });
+
+    hint.textContent = `Tank supply is the extra rainwater used from ${tankLabel} of storage with each roof connected, ` +
+        'compared with it disconnected. Empty days are counted over the whole record.';
 }
 
 /**
@@ -589,7 +2938,7 @@ function createOpportunisticCharts() {
         chartInstances.opportunisticTankLevel = createTankLevelChart(
             tankLevelCanvas,
             bestValueSimulation,
-            bestValue.tankSize_L
+            bestValue.capacity_L
         );
 
         // Add insights
@@ -597,7 +2946,7 @@ function createOpportunisticCharts() {
         if (insightsEl) {
             insightsEl.innerHTML = '<h5>Summary</h5>' + generateTankLevelInsights(
                 bestValueSimulation,
-                bestValue.tankSize_L
+                bestValue.capacity_L
             );
         }
     }
@@ -695,16 +3044,61 @@ function resetApp() {
     });
 
     state.currentStep = 'upload';
-    state.rainfallData = null;
-    state.parseResult = null;
+    state.parseRun++;
+    cancelParse();
+    state.sources = [];
+    hideMappingPanel();
+    state.mergeOptions.precedence = DEFAULT_MERGE_PRECEDENCE;
+    state.mergeOptions.fillGaps = false;
+    state.combineOptions.method = 'merge';
+    state.combineOptions.site = { latitude: null, longitude: null };
+    state.combineOptions.annualMean_mm = null;
+    state.parseOptions.accumulationPolicy = DEFAULT_ACCUMULATION_POLICY;
+    state.disaggregationOptions.method = DEFAULT_DISAGGREGATION_METHOD;
+    state.qualityOptions.policy = DEFAULT_QUALITY_POLICY;
+    state.qualityOptions.recentMonths = DEFAULT_RECENT_MONTHS;
+    state.infillOptions.strategy = DEFAULT_INFILL_STRATEGY;
     state.mode = null;
     state.results = null;
+    clearLoadedData();
 
     // Reset UI
     elements.fileInput.value = '';
-    elements.uploadStatus.hidden = true;
-    elements.btnToMode.disabled = true;
+    elements.mergePrecedence.value = DEFAULT_MERGE_PRECEDENCE;
+    elements.mergeFillGaps.checked = false;
+    elements.combineMethod.value = 'merge';
+    elements.siteLatitude.value = '';
+    elements.siteLongitude.value = '';
+    elements.siteAnnualMean.value = '';
+    renderSourceList();
+    elements.accumulationPolicy.value = DEFAULT_ACCUMULATION_POLICY;
+    elements.disaggregationMethod.value = DEFAULT_DISAGGREGATION_METHOD;
+    elements.qualityPolicy.value = DEFAULT_QUALITY_POLICY;
+    elements.qualityPolicy.disabled = false;
+    elements.recentMonths.value = DEFAULT_RECENT_MONTHS;
+    elements.recentMonthsGroup.hidden = true;
+    elements.infillStrategy.value = DEFAULT_INFILL_STRATEGY;
+    elements.resultsDataNote.textContent = '';
+    elements.resultsEditDetails.hidden = true;
+    elements.resultsEditLog.innerHTML = '';
+    state.explorer.filters = { show: 'all', aboveMm: null, start: null, end: null };
+    state.explorer.page = 0;
+    elements.filterShow.value = 'all';
+    elements.filterAbove.value = '';
+    elements.filterStart.value = '';
+    elements.filterEnd.value = '';
+    elements.editType.value = 'exclude';
+    elements.editStart.value = '';
+    elements.editEnd.value = '';
+    elements.editValue.value = '';
+    elements.editNote.value = '';
+    elements.editError.hidden = true;
+    updateEditForm();
     elements.btnToParams.disabled = true;
+    elements.finderLatitude.value = '';
+    elements.finderLongitude.value = '';
+    elements.finderError.hidden = true;
+    elements.finderResults.innerHTML = '';
 
     // Clear mode selection
     elements.modeCards.forEach(card => card.classList.remove('selected'));
@@ -712,9 +3106,77 @@ function resetApp() {
     // Reset params to defaults
     elements.roofArea.value = DEFAULTS.roofArea_m2;
     elements.dailyUsage.value = DEFAULTS.dailyUsage_L;
+    elements.usageCalculator.hidden = true;
+    elements.calcOccupants.value = USAGE_CALCULATOR_DEFAULTS.occupants;
+    elements.showerRating.value = USAGE_CALCULATOR_DEFAULTS.showerRating;
+    elements.showerMinutes.value = USAGE_CALCULATOR_DEFAULTS.showerMinutes;
+    elements.toiletRating.value = USAGE_CALCULATOR_DEFAULTS.toiletRating;
+    elements.washingMachineRating.value = USAGE_CALCULATOR_DEFAULTS.washingMachineRating;
+    elements.laundryLoads.value = USAGE_CALCULATOR_DEFAULTS.loadsPerWeek;
+    elements.calcGardenArea.value = USAGE_CALCULATOR_DEFAULTS.gardenArea_m2;
+    elements.gardenWatering.value = USAGE_CALCULATOR_DEFAULTS.gardenWatering_mm;
+    elements.calcGardenArea.disabled = false;
+    elements.gardenWatering.disabled = false;
+    elements.calcGardenNote.hidden = true;
+    elements.poolArea.value = USAGE_CALCULATOR_DEFAULTS.poolArea_m2;
+    elements.poolCovered.checked = USAGE_CALCULATOR_DEFAULTS.poolCovered;
+    elements.usageCalcResult.textContent = '';
+    setHouseholdUsage(null);
     elements.confidenceSlider.value = DEFAULTS.securityConfidence * 100;
     elements.confidenceValue.textContent = `${DEFAULTS.securityConfidence * 100}%`;
     elements.waterRate.value = DEFAULTS.waterRate_perKL;
+    elements.gutterCapacity.value = '';
+    elements.gutterGroup.hidden = true;
+    state.params.gutterCapacity_Ls = null;
+    elements.roofMaterial.value = '';
+    elements.initialLoss.value = '';
+    elements.continuingLoss.value = '';
+    elements.runoffLossesGroup.hidden = true;
+    state.params.runoffLosses = null;
+    state.params.otherRoofs = [];
+    state.params.tankSetup = 'single';
+    state.params.otherTanks = [];
+    elements.tankSetup.value = 'single';
+    elements.tankList.hidden = true;
+    elements.btnAddTank.hidden = true;
+    elements.paramsError.hidden = true;
+    renderOtherTanks();
+    elements.demandPreset.value = 'constant';
+    elements.demandMonths.hidden = true;
+    elements.demandWeekly.checked = false;
+    elements.demandWeeklyGroup.hidden = true;
+    elements.weekdayUsage.value = 100;
+    elements.weekendUsage.value = 100;
+    elements.occupancyEnabled.checked = false;
+    elements.occupancyDetails.hidden = true;
+    elements.usualOccupants.value = 4;
+    elements.occupantsOtherwise.value = 0;
+    state.params.occupancyPeriods = [];
+    renderOccupancyPeriods();
+    state.params.demandProfile = null;
+    elements.gardenEnabled.checked = false;
+    elements.gardenDetails.hidden = true;
+    elements.gardenArea.value = 50;
+    elements.plantType.value = 'mixed';
+    elements.plantFactor.value = GARDEN_DEFAULTS.plantFactor;
+    elements.skipRain.value = GARDEN_DEFAULTS.skipRain_mm;
+    elements.evaporationPreset.value = GARDEN_DEFAULTS.evaporationPreset;
+    elements.evaporationFile.value = '';
+    elements.evaporationStatus.textContent = '';
+    state.evaporation = null;
+    state.params.garden = null;
+    elements.endUsesEnabled.checked = false;
+    elements.endUsesDetails.hidden = true;
+    state.params.endUseRows = [];
+    state.params.endUses = null;
+    renderEndUses();
+    renderOtherRoofs();
+    elements.firstFlushMode.value = '';
+    elements.firstFlushAmount.value = '';
+    elements.firstFlushReset.value = '';
+    elements.firstFlushAmountGroup.hidden = true;
+    elements.firstFlushResetGroup.hidden = true;
+    state.params.firstFlush = null;
 
     // Reset preset buttons
     elements.presetBtns.forEach(btn => {
@@ -0,0 +1,76 @@
+/**
+ * Rainfall Climatology
+ *
+ * Long-term average rainfall by calendar day, derived from the directly
+ * observed days of a record. Used wherever a "typical" value is needed for
+ * a day that was not measured on its own.
+ */
+
+/**
+ * Number of slots in a climatology year (leap-year calendar so 29 Feb has a slot)
+ */
+export const CLIMATOLOGY_DAYS = 366;
+
+/**
+ * Cumulative day counts at the start of each month in a leap year
+ */
+const MONTH_OFFSETS = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+
+/**
+ * Get the climatology slot for a date
+ * Every year is mapped onto a leap-year calendar so that the same calendar
+ * day always lands in the same slot.
+ *
+ * @param {Date} date - The date
+ * @returns {number} Slot index (0 = 1 Jan, 365 = 31 Dec)
+ */
+export function dayOfYearIndex(date) {
+    return MONTH_OFFSETS[date.getMonth()] + date.getDate() - 1;
+}
+
+/**
+ * Whether a day's rainfall was measured directly for that day
+ *
+ * @param {Object} day - Rainfall data row
+ * @returns {boolean} True if the value is a single-day observation
+ */
+export function isObservedDay(day) {
+    return !day.missing && !day.accumulated;
+}
+
+/**
+ * Build a smoothed mean daily rainfall for each calendar day
+ *
+ * @param {Array} rainfallData - Array of {date, rainfall_mm, missing} objects
+ * @param {number} [windowDays=15] - Half-width of the smoothing window in days
+ * @returns {Float64Array} Mean rainfall (mm/day) for each climatology slot
+ */
+export function buildDailyClimatology(rainfallData, windowDays = 15) {
+    const sums = new Float64Array(CLIMATOLOGY_DAYS);
+    const counts = new Float64Array(CLIMATOLOGY_DAYS);
+
+    for (const day of rainfallData) {
+        if (!isObservedDay(day)) continue;
+
+        const slot = dayOfYearIndex(day.date);
+        sums[slot] += day.rainfall_mm;
+        counts[slot]++;
+    }
+
+    // Circular moving window so late December borrows from early January
+    const climatology = new Float64Array(CLIMATOLOGY_DAYS);
+    for (let slot = 0; slot < CLIMATOLOGY_DAYS; slot++) {
+        let windowSum = 0;
+        let windowCount = 0;
+
+        for (let offset = -windowDays; offset <= windowDays; offset++) {
+            const j = (slot + offset + CLIMATOLOGY_DAYS) % CLIMATOLOGY_DAYS;
+            windowSum += sums[j];
+            windowCount += counts[j];
+        }
+
+        climatology[slot] = windowCount > 0 ? windowSum / windowCount : 0;
+    }
+
+    return climatology;
+}
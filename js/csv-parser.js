@@ -4,71 +4,107 @@
  * Expected format:
  * Product code,Bureau of Meteorology station number,Year,Month,Day,Rainfall amount (millimetres),Period over which rainfall was measured (days),Quality
  * IDCJAC0009,070351,2016,03,18,7.4,1,N
+ *
+ * A period greater than 1 means the amount is an accumulated total for that
+ * many days ending on the row's date (e.g. a Monday reading covering the
+ * weekend). The earlier days in the period are left blank in the file.
+ */
+
+import { buildDailyClimatology, dayOfYearIndex } from './climatology.js';
+import { buildContinuousCalendar, describeCalendarIssues } from './daily-calendar.js';
+import { describeProvenance } from './record-merge.js';
+import { applyCatalogueDetails } from './station-catalogue.js';
+import { addDays, toDateKey, formatNumber, formatInterval } from './utils.js';
+
+/**
+ * Ways of spreading a multi-day accumulated total over the days it covers
  */
+export const ACCUMULATION_POLICIES = {
+    even: 'Split evenly across the period',
+    last: 'Lump on the last day',
+    climatology: 'Proportional to climatology'
+};
+
+export const DEFAULT_ACCUMULATION_POLICY = 'even';
+
+/**
+ * Lines read between parsing progress reports
+ */
+const PROGRESS_INTERVAL_LINES = 5000;
 
 /**
  * Parse a BoM rainfall CSV file
  * @param {string} csvText - Raw CSV text content
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.accumulationPolicy='even'] - Key of ACCUMULATION_POLICIES
+ * @param {Function} [options.onProgress] - Called as lines are read, see reportParseProgress()
  * @returns {Object} Parsed result with data, metadata, and any errors
  */
-export function parseBoMCSV(csvText) {
-    const result = {
-        success: false,
-        data: [],
-        metadata: {
-            station: null,
-            productCode: null,
-            dateRange: { start: null, end: null },
-            totalDays: 0,
-            missingDays: 0,
-            totalRainfall: 0
-        },
-        errors: [],
-        warnings: []
-    };
-
+export function parseBoMCSV(csvText, options = {}) {
     if (!csvText || typeof csvText !== 'string') {
+        const result = createParseResult();
+        result.metadata.accumulationPolicy = options.accumulationPolicy || DEFAULT_ACCUMULATION_POLICY;
         result.errors.push('No file content provided');
         return result;
     }
 
     // Split into lines, handling both Windows and Unix line endings
-    const lines = csvText.split(/\r?\n/).filter(line => line.trim());
+    const lines = csvText.split(/\r?\n/);
+    const parser = createBoMCSVParser(options);
 
-    if (lines.length < 2) {
-        result.errors.push('File appears to be empty or has no data rows');
-        return result;
-    }
+    lines.forEach((line, i) => {
+        reportParseProgress(options.onProgress, i, lines.length);
+        parser.addLine(line);
+    });
 
-    // Validate header
-    const header = lines[0];
-    const headerValidation = validateBoMFormat(header);
-    if (!headerValidation.valid) {
-        result.errors.push(headerValidation.message);
-        return result;
+    return parser.finish();
+}
+
+/**
+ * Create a BoM rainfall CSV parser that is given the file a line at a time
+ *
+ * Lets the parse worker parse a file as it reads it, without holding the
+ * whole text. Blank lines are skipped and rows are numbered without them.
+ *
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.accumulationPolicy='even'] - Key of ACCUMULATION_POLICIES
+ * @returns {Object} {addLine, finish}: addLine(line) reads the next line, finish() returns the parse result
+ */
+export function createBoMCSVParser(options = {}) {
+    const { accumulationPolicy = DEFAULT_ACCUMULATION_POLICY } = options;
+
+    const result = createParseResult();
+    result.metadata.accumulationPolicy = accumulationPolicy;
+
+    if (!ACCUMULATION_POLICIES[accumulationPolicy]) {
+        result.errors.push(`Unknown accumulation policy: ${accumulationPolicy}`);
     }
 
-    // Parse data rows
     const dataRows = [];
-    let missingCount = 0;
-    let totalRainfall = 0;
+    const accumulations = [];
+    let lineCount = 0;
+    let headerProblem = null;
 
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+    const addLine = rawLine => {
+        const line = rawLine.trim();
+        if (!line || result.errors.length > 0) return;
 
-        const parsed = parseDataRow(line, i + 1);
+        lineCount++;
 
-        if (parsed.error) {
-            // Skip rows with errors but continue processing
-            result.warnings.push(`Row ${i + 1}: ${parsed.error}`);
-            continue;
+        // Validate header
+        if (lineCount === 1) {
+            const headerValidation = validateBoMFormat(line);
+            headerProblem = headerValidation.valid ? null : headerValidation.message;
+            return;
         }
+        if (headerProblem) return;
 
-        if (parsed.missing) {
-            missingCount++;
-        } else {
-            totalRainfall += parsed.rainfall_mm;
+        const parsed = parseDataRow(line, lineCount);
+
+        if (parsed.error) {
+            // Skip rows with errors but continue processing
+            result.warnings.push(`Row ${lineCount}: ${parsed.error}`);
+            return;
         }
 
         // Store station info from first valid row
@@ -77,29 +113,154 @@ export function parseBoMCSV(csvText) {
             result.metadata.productCode = parsed.productCode;
         }
 
-        dataRows.push({
+        const row = {
             date: parsed.date,
             rainfall_mm: parsed.rainfall_mm,
             missing: parsed.missing,
-            quality: parsed.quality
+            quality: parsed.quality,
+            accumulated: false
+        };
+        dataRows.push(row);
+
+        if (!parsed.missing && parsed.period > 1) {
+            accumulations.push({ row, period: parsed.period });
+        }
+    };
+
+    const finish = () => {
+        if (result.errors.length > 0) {
+            return result;
+        }
+
+        if (lineCount < 2) {
+            result.errors.push('File appears to be empty or has no data rows');
+            return result;
+        }
+
+        if (headerProblem) {
+            result.errors.push(headerProblem);
+            return result;
+        }
+
+        // Spread multi-day totals over the blank days they cover
+        return completeParseResult(result, dataRows, dailyRows => {
+            const keptRows = new Set(dailyRows);
+            const keptAccumulations = accumulations.filter(({ row }) => keptRows.has(row));
+            if (keptAccumulations.length > 0) {
+                const spread = distributeAccumulations(dailyRows, keptAccumulations, accumulationPolicy);
+                result.metadata.accumulations = keptAccumulations.length;
+                result.metadata.accumulatedDays = spread.accumulatedDays;
+                result.warnings.push(...spread.warnings);
+            }
         });
+    };
+
+    return { addLine, finish };
+}
+
+/**
+ * Report how far an importer is through a file's lines
+ *
+ * Reports every few thousand lines, so long files show progress without
+ * a message per line.
+ *
+ * @param {Function|undefined} onProgress - Importer option, called with {stage: 'parsing', parsed, total}
+ * @param {number} line - Index of the line being read
+ * @param {number} total - Lines in the file
+ */
+export function reportParseProgress(onProgress, line, total) {
+    if (onProgress && line % PROGRESS_INTERVAL_LINES === 0) {
+        onProgress({ stage: 'parsing', parsed: line, total });
     }
+}
+
+/**
+ * Create an empty parse result
+ *
+ * Every importer returns this shape so the rest of the app can treat
+ * records alike whatever file they came from.
+ *
+ * @returns {Object} Unsuccessful result with default metadata
+ */
+export function createParseResult() {
+    return {
+        success: false,
+        data: [],
+        metadata: {
+            station: null,
+            stationName: null,
+            latitude: null,
+            longitude: null,
+            elevation_m: null,
+            productCode: null,
+            dateRange: { start: null, end: null },
+            totalDays: 0,
+            missingDays: 0,
+            totalRainfall: 0,
+            accumulations: 0,
+            accumulatedDays: 0,
+            accumulationPolicy: DEFAULT_ACCUMULATION_POLICY,
+            insertedDays: 0,
+            interpolatedDays: 0,
+            disaggregatedDays: 0,
+            subDailyDays: 0,
+            interval_s: null,
+            eventLog: false,
+            gaps: [],
+            duplicates: []
+        },
+        errors: [],
+        warnings: []
+    };
+}
 
+/**
+ * Turn parsed rows into a complete daily record
+ *
+ * Sorts the rows, makes the calendar continuous, fills in the totals and
+ * adds the data-requirement warnings.
+ *
+ * @param {Object} result - Result from createParseResult(), updated in place
+ * @param {Array} dataRows - Parsed rows in any order
+ * @param {Function} [adjustDays] - Called with the continuous rows before totals are taken
+ * @returns {Object} The completed result
+ */
+export function completeParseResult(result, dataRows, adjustDays = null) {
     if (dataRows.length === 0) {
         result.errors.push('No valid data rows found in file');
         return result;
     }
 
-    // Sort by date (defensive - BoM data should be chronological)
+    // Sort by date (defensive - most files are already chronological)
     dataRows.sort((a, b) => a.date - b.date);
 
+    // One row per calendar day: insert absent dates, drop repeated dates
+    const calendar = buildContinuousCalendar(dataRows);
+    result.metadata.insertedDays = calendar.insertedDays;
+    result.metadata.gaps = calendar.gaps;
+    result.metadata.duplicates = calendar.duplicates;
+    result.warnings.push(...describeCalendarIssues(calendar));
+
+    const dailyRows = calendar.data;
+
+    if (adjustDays) {
+        adjustDays(dailyRows);
+    }
+
+    const missingCount = dailyRows.filter(d => d.missing).length;
+    const totalRainfall = dailyRows.reduce((sum, d) => sum + d.rainfall_mm, 0);
+
     // Calculate metadata
-    result.data = dataRows;
-    result.metadata.totalDays = dataRows.length;
+    result.data = dailyRows;
+    result.metadata.totalDays = dailyRows.length;
     result.metadata.missingDays = missingCount;
     result.metadata.totalRainfall = totalRainfall;
-    result.metadata.dateRange.start = dataRows[0].date;
-    result.metadata.dateRange.end = dataRows[dataRows.length - 1].date;
+    result.metadata.interpolatedDays = dailyRows.filter(d => d.interpolated).length;
+    result.metadata.disaggregatedDays = dailyRows.filter(d => d.disaggregated).length;
+    result.metadata.subDailyDays = dailyRows.filter(d => d.subDaily).length;
+    result.metadata.dateRange.start = dailyRows[0].date;
+    result.metadata.dateRange.end = dailyRows[dailyRows.length - 1].date;
+    applyCatalogueDetails(result.metadata);
 
     // Check for minimum data requirements
     const yearsOfData = (result.metadata.dateRange.end - result.metadata.dateRange.start) / (365.25 * 24 * 60 * 60 * 1000);
@@ -107,7 +268,7 @@ export function parseBoMCSV(csvText) {
         result.warnings.push('Less than 1 year of data - results may not reflect seasonal variation');
     }
 
-    const missingPercent = (missingCount / dataRows.length) * 100;
+    const missingPercent = (missingCount / dailyRows.length) * 100;
     if (missingPercent > 10) {
         result.warnings.push(`High amount of missing data (${missingPercent.toFixed(1)}%) - results may be less reliable`);
     }
@@ -169,9 +330,52 @@ function parseDataRow(line, lineNumber) {
     const month = parseInt(columns[3], 10);
     const day = parseInt(columns[4], 10);
     const rainfallStr = columns[5].trim();
+    const periodStr = columns.length > 6 ? columns[6].trim() : '';
     const quality = columns.length > 7 ? columns[7].trim() : '';
 
-    // Validate date components
+    const { date, error } = buildDate(year, month, day);
+    if (error) {
+        return { error };
+    }
+
+    // Parse rainfall - empty means missing data
+    const missing = rainfallStr === '' || rainfallStr.toLowerCase() === 'null';
+    const rainfall_mm = missing ? 0 : parseFloat(rainfallStr);
+
+    if (!missing && isNaN(rainfall_mm)) {
+        return { error: `Invalid rainfall value: ${rainfallStr}` };
+    }
+
+    if (!missing && rainfall_mm < 0) {
+        return { error: `Negative rainfall value: ${rainfall_mm}` };
+    }
+
+    // Blank period means a normal single-day reading
+    const period = periodStr === '' ? 1 : parseInt(periodStr, 10);
+
+    if (isNaN(period) || period < 1) {
+        return { error: `Invalid measurement period: ${periodStr}` };
+    }
+
+    return {
+        productCode,
+        station,
+        date,
+        rainfall_mm: missing ? 0 : rainfall_mm,
+        missing,
+        quality,
+        period
+    };
+}
+
+/**
+ * Validate date components and build a local-midnight date
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Object} {date} on success or {error} describing the problem
+ */
+export function buildDate(year, month, day) {
     if (isNaN(year) || isNaN(month) || isNaN(day)) {
         return { error: 'Invalid date values' };
     }
@@ -196,34 +400,95 @@ function parseDataRow(line, lineNumber) {
         return { error: `Invalid date: ${year}-${month}-${day}` };
     }
 
-    // Parse rainfall - empty means missing data
-    const missing = rainfallStr === '' || rainfallStr.toLowerCase() === 'null';
-    const rainfall_mm = missing ? 0 : parseFloat(rainfallStr);
+    return { date };
+}
 
-    if (!missing && isNaN(rainfall_mm)) {
-        return { error: `Invalid rainfall value: ${rainfallStr}` };
+/**
+ * Spread accumulated multi-day totals over the days they cover
+ *
+ * The covered days are the blank rows immediately before the reporting row.
+ * Rows are updated in place: covered days stop being missing and every day
+ * in the period is flagged as accumulated.
+ *
+ * @param {Array} dataRows - Parsed rows sorted by date
+ * @param {Array} accumulations - Array of {row, period} for multi-day readings
+ * @param {string} policy - Key of ACCUMULATION_POLICIES
+ * @returns {Object} Number of days affected and any warnings
+ */
+function distributeAccumulations(dataRows, accumulations, policy) {
+    const rowsByDate = new Map(dataRows.map(row => [toDateKey(row.date), row]));
+
+    // Lumped totals aren't single-day observations, so keep them out of the climatology
+    for (const { row } of accumulations) {
+        row.accumulated = true;
     }
+    const climatology = policy === 'climatology' ? buildDailyClimatology(dataRows) : null;
+    const warnings = [];
+    let accumulatedDays = 0;
+
+    for (const { row, period } of accumulations) {
+        // Walk back from the reporting day, stopping at any day that has its own value
+        const days = [row];
+        for (let offset = 1; offset < period; offset++) {
+            const covered = rowsByDate.get(toDateKey(addDays(row.date, -offset)));
+            if (!covered || !covered.missing || covered.accumulated) {
+                const blankDays = offset - 1;
+                warnings.push(
+                    `${toDateKey(row.date)}: ${period}-day total has only ${blankDays} blank day${blankDays === 1 ? '' : 's'} before it`
+                );
+                break;
+            }
+            days.unshift(covered);
+        }
 
-    if (!missing && rainfall_mm < 0) {
-        return { error: `Negative rainfall value: ${rainfall_mm}` };
+        const total = row.rainfall_mm;
+        const weights = accumulationWeights(days, policy, climatology);
+        const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+        days.forEach((day, i) => {
+            day.rainfall_mm = total * weights[i] / weightSum;
+            day.missing = false;
+            day.accumulated = true;
+            day.quality = row.quality;
+        });
+
+        accumulatedDays += days.length;
     }
 
-    return {
-        productCode,
-        station,
-        date,
-        rainfall_mm: missing ? 0 : rainfall_mm,
-        missing,
-        quality
-    };
+    return { accumulatedDays, warnings };
+}
+
+/**
+ * Relative share of an accumulated total for each covered day
+ *
+ * @param {Array} days - Covered rows, oldest first (last is the reporting day)
+ * @param {string} policy - Key of ACCUMULATION_POLICIES
+ * @param {Float64Array|null} climatology - Daily climatology for 'climatology'
+ * @returns {number[]} Weights, one per day
+ */
+function accumulationWeights(days, policy, climatology) {
+    if (policy === 'last') {
+        return days.map((day, i) => (i === days.length - 1 ? 1 : 0));
+    }
+
+    if (policy === 'climatology') {
+        const weights = days.map(day => climatology[dayOfYearIndex(day.date)]);
+        // Fall back to an even split if the record has no rain at this time of year
+        if (weights.some(w => w > 0)) {
+            return weights;
+        }
+    }
+
+    return days.map(() => 1);
 }
 
 /**
  * Parse a CSV line handling quoted values
  * @param {string} line - CSV line
+ * @param {string} [delimiter=','] - Column separator
  * @returns {string[]} Array of column values
  */
-function parseCSVLine(line) {
+export function parseCSVLine(line, delimiter = ',') {
     const result = [];
     let current = '';
     let inQuotes = false;
@@ -233,7 +498,7 @@ function parseCSVLine(line) {
 
         if (char === '"') {
             inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
+        } else if (char === delimiter && !inQuotes) {
             result.push(current);
             current = '';
         } else {
@@ -265,7 +530,22 @@ export function generateDataSummary(parseResult) {
     let summary = `${metadata.totalDays.toLocaleString()} days of data (${startDate} – ${endDate}, ~${years} years)`;
 
     if (metadata.station) {
-        summary += ` • Station: ${metadata.station}`;
+        summary += metadata.merge || metadata.siteEstimate ? ` • Stations: ${metadata.station}` : ` • Station: ${metadata.station}`;
+    }
+
+    if (metadata.stationName) {
+        summary += ` ${metadata.stationName}`;
+    }
+
+    if (typeof metadata.latitude === 'number' && typeof metadata.longitude === 'number') {
+        summary += ` • Location: ${metadata.latitude.toFixed(3)}, ${metadata.longitude.toFixed(3)}`;
+        if (typeof metadata.elevation_m === 'number') {
+            summary += ` (${formatNumber(metadata.elevation_m)} m elevation)`;
+        }
+    }
+
+    if (metadata.merge) {
+        summary += ` • ${describeProvenance(metadata.merge, metadata.totalDays)}`;
     }
 
     if (metadata.missingDays > 0) {
@@ -273,5 +553,33 @@ export function generateDataSummary(parseResult) {
         summary += ` • Missing: ${metadata.missingDays} days (${missingPercent}%)`;
     }
 
+    if (metadata.interpolatedDays > 0) {
+        const interpolatedPercent = ((metadata.interpolatedDays / metadata.totalDays) * 100).toFixed(1);
+        summary += ` • Interpolated: ${metadata.interpolatedDays.toLocaleString()} days (${interpolatedPercent}%)`;
+    }
+
+    if (metadata.disaggregatedDays > 0) {
+        const disaggregatedPercent = ((metadata.disaggregatedDays / metadata.totalDays) * 100).toFixed(1);
+        summary += ` • From monthly totals: ${metadata.disaggregatedDays.toLocaleString()} days (${disaggregatedPercent}%)`;
+    }
+
+    if (metadata.interval_s) {
+        summary += metadata.eventLog
+            ? ` • Sub-daily: event log, added up over ${formatInterval(metadata.interval_s)} intervals`
+            : ` • Sub-daily: ${formatInterval(metadata.interval_s)} readings`;
+    }
+
+    if (metadata.insertedDays > 0) {
+        summary += ` • Absent dates: ${metadata.insertedDays} inserted as missing`;
+    }
+
+    if (metadata.duplicates.length > 0) {
+        summary += ` • Repeated dates: ${metadata.duplicates.length}`;
+    }
+
+    if (metadata.accumulations > 0) {
+        summary += ` • Accumulated: ${metadata.accumulations} multi-day totals over ${metadata.accumulatedDays} days`;
+    }
+
     return summary;
 }
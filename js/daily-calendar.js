@@ -0,0 +1,168 @@
+/**
+ * Daily Calendar Continuity
+ *
+ * The simulators step through rows one day at a time, so the data must hold
+ * exactly one row per calendar day. This module inserts placeholder rows for
+ * dates absent from a file and resolves duplicated dates.
+ */
+
+import { addDays, toDateKey, formatDate, formatNumber } from './utils.js';
+
+/**
+ * Build a continuous daily series from rows sorted by date
+ *
+ * Duplicate dates keep their first reading: a blank row gives way to a later
+ * repeat with a value, and between two differing values the first is kept.
+ * Absent dates are inserted as missing rows flagged with `inserted: true`.
+ *
+ * @param {Array} dataRows - Parsed rows sorted by date (stable, so file order is kept within a date)
+ * @returns {Object} Continuous data plus gap and duplicate details
+ */
+export function buildContinuousCalendar(dataRows) {
+    const data = [];
+    const gaps = [];
+    const duplicates = [];
+    let insertedDays = 0;
+    let previous = null;
+
+    for (const row of dataRows) {
+        if (previous && toDateKey(row.date) === toDateKey(previous.date)) {
+            recordDuplicate(duplicates, previous, row);
+            if (previous.missing && !row.missing) {
+                data[data.length - 1] = row;
+                previous = row;
+            }
+            continue;
+        }
+
+        if (previous) {
+            // Fill any run of absent dates between the previous row and this one
+            let expected = addDays(previous.date, 1);
+            const gapStart = expected;
+            let gapDays = 0;
+
+            while (expected < row.date) {
+                data.push(createPlaceholderRow(expected));
+                gapDays++;
+                expected = addDays(expected, 1);
+            }
+
+            if (gapDays > 0) {
+                gaps.push({ startDate: gapStart, endDate: addDays(row.date, -1), days: gapDays });
+                insertedDays += gapDays;
+            }
+        }
+
+        data.push(row);
+        previous = row;
+    }
+
+    return { data, gaps, duplicates, insertedDays };
+}
+
+/**
+ * Create a missing row for a date absent from the file
+ *
+ * @param {Date} date - The absent date
+ * @returns {Object} Placeholder rainfall row
+ */
+function createPlaceholderRow(date) {
+    return {
+        date,
+        rainfall_mm: 0,
+        missing: true,
+        quality: '',
+        accumulated: false,
+        inserted: true
+    };
+}
+
+/**
+ * Record a repeated date, noting whether its readings disagree
+ *
+ * A blank row doesn't conflict with a reading; only two different readings do.
+ *
+ * @param {Array} duplicates - Duplicate list to update
+ * @param {Object} kept - Row kept so far for this date
+ * @param {Object} repeat - Repeated row
+ */
+function recordDuplicate(duplicates, kept, repeat) {
+    const valueOf = row => (row.missing ? null : row.rainfall_mm);
+    let duplicate = duplicates[duplicates.length - 1];
+
+    if (!duplicate || toDateKey(duplicate.date) !== toDateKey(kept.date)) {
+        duplicate = { date: kept.date, count: 1, values: [valueOf(kept)], conflicting: false };
+        duplicates.push(duplicate);
+    }
+
+    duplicate.count++;
+    duplicate.values.push(valueOf(repeat));
+    duplicate.conflicting = new Set(duplicate.values.filter(value => value !== null)).size > 1;
+}
+
+/**
+ * Describe calendar problems as parser warnings
+ *
+ * @param {Object} calendar - Result from buildContinuousCalendar()
+ * @returns {string[]} Warning messages
+ */
+export function describeCalendarIssues(calendar) {
+    const warnings = calendar.gaps.map(gap =>
+        gap.days === 1
+            ? `Date ${toDateKey(gap.startDate)} absent from file - inserted as missing`
+            : `Dates ${toDateKey(gap.startDate)} to ${toDateKey(gap.endDate)} absent from file (${gap.days} days) - inserted as missing`
+    );
+
+    for (const duplicate of calendar.duplicates) {
+        const values = duplicate.values.map(v => (v === null ? 'blank' : `${v} mm`)).join(', ');
+        warnings.push(duplicate.conflicting
+            ? `Date ${toDateKey(duplicate.date)} appears ${duplicate.count} times with conflicting values (${values}) - first reading kept`
+            : `Date ${toDateKey(duplicate.date)} appears ${duplicate.count} times - ${hasBlankAndReading(duplicate) ? 'blank rows' : 'repeats'} ignored`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Whether a repeated date has both blank rows and a reading
+ *
+ * @param {Object} duplicate - Entry from buildContinuousCalendar() duplicates
+ * @returns {boolean} True when the reading was kept over blank rows
+ */
+function hasBlankAndReading(duplicate) {
+    return duplicate.values.includes(null) && duplicate.values.some(value => value !== null);
+}
+
+/**
+ * Generate the absent-date and duplicate table for the upload summary
+ *
+ * @param {Array} gaps - Gap list from buildContinuousCalendar()
+ * @param {Array} duplicates - Duplicate list from buildContinuousCalendar()
+ * @returns {string} HTML string
+ */
+export function generateGapReport(gaps, duplicates) {
+    let html = '<table class="results-table gap-table">';
+    html += '<thead><tr><th>From</th><th>To</th><th>Problem</th></tr></thead>';
+    html += '<tbody>';
+
+    for (const gap of gaps) {
+        html += '<tr>';
+        html += `<td>${formatDate(gap.startDate)}</td>`;
+        html += `<td>${formatDate(gap.endDate)}</td>`;
+        html += `<td>${formatNumber(gap.days)} absent ${gap.days === 1 ? 'day' : 'days'} inserted as missing</td>`;
+        html += '</tr>';
+    }
+
+    for (const duplicate of duplicates) {
+        const values = duplicate.values.map(v => (v === null ? 'blank' : `${v} mm`)).join(', ');
+        html += '<tr>';
+        html += `<td>${formatDate(duplicate.date)}</td>`;
+        html += `<td>${formatDate(duplicate.date)}</td>`;
+        html += `<td class="${duplicate.conflicting ? 'failure-desc' : ''}">`;
+        html += `Listed ${duplicate.count} times${duplicate.conflicting ? ` with conflicting values (${values}), first reading kept` : ''}`;
+        html += '</td></tr>';
+    }
+
+    html += '</tbody></table>';
+    return html;
+}
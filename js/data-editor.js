@@ -0,0 +1,351 @@
+/**
+ * Rainfall Data Explorer and Editor
+ *
+ * Lets users look through the parsed daily record before simulating, and
+ * correct it: exclude date ranges (e.g. a blocked gauge) or override a
+ * suspicious value (e.g. a mis-keyed 900 mm day). Edits are kept as a
+ * change log of {type, start, end, value_mm, previous_mm, note, madeAt},
+ * dates as YYYY-MM-DD keys, and applied on top of the parsed rows so the
+ * file itself is never changed.
+ */
+
+import { isUnchecked } from './data-quality.js';
+import { toDateKey, fromDateKey, formatDate, formatNumber, formatPercent } from './utils.js';
+
+/**
+ * Ways of correcting the record
+ */
+export const EDIT_TYPES = {
+    exclude: 'Exclude dates (treat as missing)',
+    override: 'Replace a daily value'
+};
+
+/**
+ * Which days the explorer table lists
+ */
+export const DAY_FILTERS = {
+    all: 'All days',
+    missing: 'Missing days',
+    unchecked: 'Unchecked readings',
+    edited: 'Edited days'
+};
+
+export const EXPLORER_PAGE_SIZE = 50;
+
+/**
+ * localStorage key for saved edits, by record
+ */
+const STORAGE_KEY = 'dryspell.dataEdits';
+
+const MONTH_LABELS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+/**
+ * Apply the change log to parsed rows
+ *
+ * Later edits win where edits overlap. Replaced values count as checked,
+ * as the user has reviewed them. An edited day is no longer a spread,
+ * filled or split value; an override keeps the day's sub-daily timing
+ * scaled to the new total, and an exclusion drops it.
+ *
+ * @param {Array} rainfallData - Parsed rainfall data
+ * @param {Array} edits - Change log
+ * @returns {Object} {data, editedDays}
+ */
+export function applyDataEdits(rainfallData, edits) {
+    if (edits.length === 0) {
+        return { data: rainfallData, editedDays: 0 };
+    }
+
+    let editedDays = 0;
+    const data = rainfallData.map(day => {
+        const key = toDateKey(day.date);
+        const edit = edits.findLast(candidate => candidate.start <= key && key <= candidate.end);
+        if (!edit) {
+            return day;
+        }
+
+        editedDays++;
+        const { subDaily, accumulated, interpolated, disaggregated, ...reading } = day;
+        if (edit.type === 'exclude') {
+            return { ...reading, rainfall_mm: 0, missing: true, accumulated: false, excludedByEdit: true };
+        }
+
+        const edited = { ...reading, rainfall_mm: edit.value_mm, missing: false, quality: 'Y', accumulated: false, edited: true };
+        const rescaled = rescaleSubDaily(subDaily, edit.value_mm);
+        if (rescaled) {
+            edited.subDaily = rescaled;
+        }
+        return edited;
+    });
+
+    return { data, editedDays };
+}
+
+/**
+ * Scale a day's sub-daily amounts to a replaced daily total
+ *
+ * Keeps the timing of the day's rain for gutter overflow. A day whose
+ * readings add up to nothing has no timing to keep.
+ *
+ * @param {Object|undefined} subDaily - Row's {interval_s, amounts}
+ * @param {number} total_mm - Replacement daily total
+ * @returns {Object|null} Scaled {interval_s, amounts}, or null to drop them
+ */
+function rescaleSubDaily(subDaily, total_mm) {
+    if (!subDaily) {
+        return null;
+    }
+
+    const recorded_mm = subDaily.amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!(recorded_mm > 0)) {
+        return null;
+    }
+
+    return {
+        interval_s: subDaily.interval_s,
+        amounts: subDaily.amounts.map(amount => amount * total_mm / recorded_mm)
+    };
+}
+
+/**
+ * Create a change log entry, checking it against the record
+ *
+ * @param {string} type - Key of EDIT_TYPES
+ * @param {Object} fields - Form fields
+ * @param {string} fields.start - First date, YYYY-MM-DD
+ * @param {string} [fields.end] - Last date for exclusions, YYYY-MM-DD (default: start)
+ * @param {number} [fields.value_mm] - Replacement value for overrides
+ * @param {string} [fields.note] - Reason for the edit
+ * @param {Array} rainfallData - Parsed rainfall data
+ * @returns {Object} Change log entry
+ */
+export function createDataEdit(type, fields, rainfallData) {
+    if (!EDIT_TYPES[type]) {
+        throw new Error(`Unknown edit type: ${type}`);
+    }
+
+    const first = toDateKey(rainfallData[0].date);
+    const last = toDateKey(rainfallData[rainfallData.length - 1].date);
+    const start = fields.start;
+    const end = type === 'override' ? start : fields.end || start;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+        throw new Error('Choose the date to edit');
+    }
+    if (end < start) {
+        throw new Error('The end date is before the start date');
+    }
+    if (start < first || end > last) {
+        throw new Error(`Dates must fall within the record (${first} to ${last})`);
+    }
+
+    const edit = { type, start, end, note: (fields.note || '').trim(), madeAt: new Date().toISOString() };
+
+    if (type === 'override') {
+        if (typeof fields.value_mm !== 'number' || isNaN(fields.value_mm) || fields.value_mm < 0) {
+            throw new Error('Enter a rainfall value of 0 mm or more');
+        }
+
+        const day = rainfallData.find(row => toDateKey(row.date) === start);
+        edit.value_mm = fields.value_mm;
+        edit.previous_mm = day && !day.missing ? day.rainfall_mm : null;
+    }
+
+    return edit;
+}
+
+/**
+ * Describe one change log entry
+ *
+ * @param {Object} edit - Change log entry
+ * @returns {string} Human-readable description
+ */
+export function describeDataEdit(edit) {
+    const note = edit.note ? `: ${edit.note}` : '';
+
+    if (edit.type === 'exclude') {
+        const period = edit.start === edit.end
+            ? formatDate(fromDateKey(edit.start))
+            : `${formatDate(fromDateKey(edit.start))} – ${formatDate(fromDateKey(edit.end))}`;
+        return `Excluded ${period}${note}`;
+    }
+
+    const previous = edit.previous_mm === null ? 'missing' : `${formatNumber(edit.previous_mm, 1)} mm`;
+    return `Set ${formatDate(fromDateKey(edit.start))} to ${formatNumber(edit.value_mm, 1)} mm (was ${previous})${note}`;
+}
+
+/**
+ * Select the days shown in the explorer table
+ *
+ * @param {Array} rainfallData - Rainfall data with edits applied
+ * @param {Object} filters - Filters
+ * @param {string} [filters.show='all'] - Key of DAY_FILTERS
+ * @param {number|null} [filters.aboveMm=null] - Only days with more rain than this
+ * @param {string|null} [filters.start=null] - First date, YYYY-MM-DD
+ * @param {string|null} [filters.end=null] - Last date, YYYY-MM-DD
+ * @returns {Array} Matching rows
+ */
+export function filterDataRows(rainfallData, filters) {
+    const { show = 'all', aboveMm = null, start = null, end = null } = filters;
+
+    return rainfallData.filter(day => {
+        if (show === 'missing' && !day.missing) return false;
+        if (show === 'unchecked' && !isUnchecked(day)) return false;
+        if (show === 'edited' && !day.edited && !day.excludedByEdit) return false;
+        if (aboveMm !== null && (day.missing || day.rainfall_mm <= aboveMm)) return false;
+
+        const key = toDateKey(day.date);
+        if (start && key < start) return false;
+        if (end && key > end) return false;
+
+        return true;
+    });
+}
+
+/**
+ * Count reported days in each month of each year
+ *
+ * @param {Array} rainfallData - Rainfall data with edits applied
+ * @returns {Array} Array of {year, months: [{reported, total}] for January to December}
+ */
+export function summarizeCompletenessByYear(rainfallData) {
+    const years = new Map();
+
+    for (const day of rainfallData) {
+        const year = day.date.getFullYear();
+        if (!years.has(year)) {
+            years.set(year, { year, months: MONTH_LABELS.map(() => ({ reported: 0, total: 0 })) });
+        }
+
+        const month = years.get(year).months[day.date.getMonth()];
+        month.total++;
+        if (!day.missing) {
+            month.reported++;
+        }
+    }
+
+    return Array.from(years.values()).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Generate the per-year completeness grid
+ *
+ * @param {Array} byYear - Result from summarizeCompletenessByYear()
+ * @returns {string} HTML string
+ */
+export function generateCompletenessGrid(byYear) {
+    let html = '<table class="completeness-grid">';
+    html += `<thead><tr><th>Year</th>${MONTH_LABELS.map(label => `<th>${label}</th>`).join('')}</tr></thead>`;
+    html += '<tbody>';
+
+    for (const entry of byYear) {
+        html += `<tr><th>${entry.year}</th>`;
+        for (const month of entry.months) {
+            if (month.total === 0) {
+                html += '<td class="no-data"></td>';
+                continue;
+            }
+
+            const share = month.reported / month.total;
+            const level = share === 1 ? 'complete' : share === 0 ? 'empty' : 'partial';
+            html += `<td class="${level}" title="${formatNumber(month.reported)} of ${formatNumber(month.total)} days (${formatPercent(share, 0)})"></td>`;
+        }
+        html += '</tr>';
+    }
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Generate one page of the daily table
+ *
+ * @param {Array} rows - Rows for the page
+ * @returns {string} HTML string
+ */
+export function generateDataTable(rows) {
+    let html = '<table class="results-table data-table">';
+    html += '<thead><tr><th>Date</th><th>Rainfall</th><th>Quality</th><th>Notes</th><th></th></tr></thead>';
+    html += '<tbody>';
+
+    for (const day of rows) {
+        html += `<tr class="${day.edited || day.excludedByEdit ? 'edited-row' : ''}">`;
+        html += `<td>${formatDate(day.date)}</td>`;
+        html += `<td>${day.missing ? '—' : `${formatNumber(day.rainfall_mm, 1)} mm`}</td>`;
+        html += `<td>${day.missing ? '' : day.quality || '?'}</td>`;
+        html += `<td>${describeRowFlags(day)}</td>`;
+        html += `<td><button class="btn-edit-day" data-date="${toDateKey(day.date)}">Edit</button></td>`;
+        html += '</tr>';
+    }
+
+    if (rows.length === 0) {
+        html += '<tr><td colspan="5">No days match these filters</td></tr>';
+    }
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Identify a record so its edits can be found again
+ *
+ * @param {Object} metadata - Parse result metadata
+ * @returns {string} Key from the station and date range
+ */
+export function dataRecordKey(metadata) {
+    return `${metadata.station || 'unknown'}|${toDateKey(metadata.dateRange.start)}|${toDateKey(metadata.dateRange.end)}`;
+}
+
+/**
+ * Load the edits saved in this browser for a record
+ *
+ * @param {string} recordKey - Result from dataRecordKey()
+ * @returns {Array} Change log (empty if none or storage unavailable)
+ */
+export function loadSavedEdits(recordKey) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return saved[recordKey] || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save a record's edits in this browser
+ *
+ * @param {string} recordKey - Result from dataRecordKey()
+ * @param {Array} edits - Change log
+ * @returns {boolean} True if the edits were stored
+ */
+export function saveEdits(recordKey, edits) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        if (edits.length > 0) {
+            saved[recordKey] = edits;
+        } else {
+            delete saved[recordKey];
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Summarise the flags on a row for the Notes column
+ *
+ * @param {Object} day - Rainfall data row
+ * @returns {string} Comma-separated notes
+ */
+function describeRowFlags(day) {
+    const notes = [];
+    if (day.excludedByEdit) notes.push('Excluded');
+    if (day.edited) notes.push('Edited');
+    if (day.missing && !day.excludedByEdit) notes.push(day.inserted ? 'Absent from file' : 'Missing');
+    if (day.accumulated) notes.push('Multi-day total');
+    if (day.interpolated) notes.push('Interpolated');
+    if (day.disaggregated) notes.push('From monthly total');
+    return notes.join(', ');
+}
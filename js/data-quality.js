@@ -0,0 +1,286 @@
+/**
+ * Data Quality Handling
+ *
+ * Applies the BoM quality flag to parsed rainfall data:
+ * Y = quality controlled and acceptable, N = not yet quality controlled.
+ */
+
+import { formatNumber, formatPercent } from './utils.js';
+
+/**
+ * Ways of treating readings that have not been quality controlled
+ */
+export const QUALITY_POLICIES = {
+    all: 'Use all readings',
+    checkedOnly: 'Treat unchecked readings as missing',
+    recentUnchecked: 'Use unchecked readings only for recent months'
+};
+
+export const DEFAULT_QUALITY_POLICY = 'all';
+export const DEFAULT_RECENT_MONTHS = 12;
+
+/**
+ * Quality of readings from files with no quality column, such as a mapped
+ * date,rain file: they were never flagged, so are neither checked nor unchecked
+ */
+export const UNKNOWN_QUALITY = '?';
+
+/**
+ * Whether a day holds a reading that has not passed quality control
+ *
+ * @param {Object} day - Rainfall data row
+ * @returns {boolean} True for a non-missing reading flagged other than Y
+ */
+export function isUnchecked(day) {
+    return !day.missing && day.quality !== 'Y' && day.quality !== UNKNOWN_QUALITY;
+}
+
+/**
+ * Whether a day holds a reading from a source without quality flags
+ *
+ * @param {Object} day - Rainfall data row
+ * @returns {boolean} True for a non-missing reading of unknown quality
+ */
+export function isUnflagged(day) {
+    return !day.missing && day.quality === UNKNOWN_QUALITY;
+}
+
+/**
+ * Apply a quality policy to rainfall data
+ *
+ * Rows are copied, never modified, so the policy can be changed without
+ * re-parsing the file. Readings without quality flags are kept.
+ *
+ * @param {Array} rainfallData - Parsed rainfall data
+ * @param {string} policy - Key of QUALITY_POLICIES
+ * @param {number} [recentMonths=12] - Window for 'recentUnchecked', counted back from the last date
+ * @returns {Object} Filtered data and the number of readings set to missing
+ */
+export function applyQualityPolicy(rainfallData, policy, recentMonths = DEFAULT_RECENT_MONTHS) {
+    if (!QUALITY_POLICIES[policy]) {
+        throw new Error(`Unknown quality policy: ${policy}`);
+    }
+
+    if (policy === 'all' || rainfallData.length === 0) {
+        return { data: rainfallData, excludedDays: 0 };
+    }
+
+    // Unchecked readings on or after this date are kept under 'recentUnchecked'
+    const lastDate = rainfallData[rainfallData.length - 1].date;
+    const cutoff = policy === 'recentUnchecked'
+        ? new Date(lastDate.getFullYear(), lastDate.getMonth() - recentMonths, lastDate.getDate() + 1)
+        : null;
+
+    let excludedDays = 0;
+    const data = rainfallData.map(day => {
+        if (!isUnchecked(day) || (cutoff && day.date >= cutoff)) {
+            return day;
+        }
+
+        excludedDays++;
+        return { ...day, rainfall_mm: 0, missing: true, excludedByQuality: true };
+    });
+
+    return { data, excludedDays };
+}
+
+/**
+ * Count checked, unchecked and missing days for each year
+ *
+ * @param {Array} rainfallData - Parsed rainfall data
+ * @returns {Array} Array of {year, checked, unchecked, unflagged, missing, total} sorted by year
+ */
+export function summarizeQualityByYear(rainfallData) {
+    const years = new Map();
+
+    for (const day of rainfallData) {
+        const year = day.date.getFullYear();
+        if (!years.has(year)) {
+            years.set(year, { year, checked: 0, unchecked: 0, unflagged: 0, missing: 0, total: 0 });
+        }
+
+        const entry = years.get(year);
+        entry.total++;
+
+        if (day.missing) {
+            entry.missing++;
+        } else if (isUnchecked(day)) {
+            entry.unchecked++;
+        } else if (isUnflagged(day)) {
+            entry.unflagged++;
+        } else {
+            entry.checked++;
+        }
+    }
+
+    return Array.from(years.values()).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Measure how much of a simulation's input is unverified, interpolated, disaggregated or infilled
+ *
+ * Days estimated by gap filling are not readings, so they are counted on
+ * their own rather than as observed or unverified days.
+ *
+ * @param {Array} rainfallData - Rainfall data as fed to the simulation
+ * @returns {Object} Unverified, interpolated, disaggregated and infilled day counts with their shares
+ */
+export function calculateUnverifiedShare(rainfallData) {
+    let observedDays = 0;
+    let unverifiedDays = 0;
+    let unflaggedDays = 0;
+    let interpolatedDays = 0;
+    let disaggregatedDays = 0;
+    let infilledDays = 0;
+    let totalRainfall_mm = 0;
+    let unverifiedRainfall_mm = 0;
+
+    for (const day of rainfallData) {
+        if (day.interpolated) {
+            interpolatedDays++;
+        }
+        if (day.disaggregated) {
+            disaggregatedDays++;
+        }
+
+        if (day.infilled) {
+            infilledDays++;
+            continue;
+        }
+
+        if (day.missing) continue;
+
+        observedDays++;
+        totalRainfall_mm += day.rainfall_mm;
+
+        if (isUnchecked(day)) {
+            unverifiedDays++;
+            unverifiedRainfall_mm += day.rainfall_mm;
+        } else if (isUnflagged(day)) {
+            unflaggedDays++;
+        }
+    }
+
+    return {
+        observedDays,
+        unverifiedDays,
+        unflaggedDays,
+        totalRainfall_mm,
+        unverifiedRainfall_mm,
+        dayShare: observedDays > 0 ? unverifiedDays / observedDays : 0,
+        rainfallShare: totalRainfall_mm > 0 ? unverifiedRainfall_mm / totalRainfall_mm : 0,
+        simulatedDays: rainfallData.length,
+        interpolatedDays,
+        interpolatedShare: rainfallData.length > 0 ? interpolatedDays / rainfallData.length : 0,
+        disaggregatedDays,
+        disaggregatedShare: rainfallData.length > 0 ? disaggregatedDays / rainfallData.length : 0,
+        infilledDays,
+        infilledShare: rainfallData.length > 0 ? infilledDays / rainfallData.length : 0
+    };
+}
+
+/**
+ * Generate a one-line statement about unverified inputs
+ *
+ * @param {Object} share - Result from calculateUnverifiedShare()
+ * @returns {string} Human-readable statement
+ */
+export function generateUnverifiedStatement(share) {
+    if (share.unflaggedDays > 0 && share.unflaggedDays === share.observedDays) {
+        return 'Rainfall readings carry no quality flags, so their quality control is unknown';
+    }
+
+    if (share.unflaggedDays > 0) {
+        const unflagged = `${formatPercent(share.unflaggedDays / share.observedDays)} of readings used carry no quality flags`;
+        return share.unverifiedDays === 0
+            ? `All flagged rainfall readings used have passed quality control; ${unflagged}`
+            : `${formatPercent(share.dayShare)} of rainfall readings used have not passed quality control; ${unflagged}`;
+    }
+
+    if (share.unverifiedDays === 0) {
+        return 'All rainfall readings used have passed quality control';
+    }
+
+    return `${formatPercent(share.dayShare)} of rainfall readings used ` +
+        `(${formatPercent(share.rainfallShare)} of the rain) have not passed quality control`;
+}
+
+/**
+ * Generate a one-line statement about interpolated inputs (e.g. SILO)
+ *
+ * @param {Object} share - Result from calculateUnverifiedShare()
+ * @returns {string} Human-readable statement, or '' when nothing was interpolated
+ */
+export function generateInterpolatedStatement(share) {
+    if (share.interpolatedDays === 0) {
+        return '';
+    }
+
+    return `Simulated record: ${formatPercent(1 - share.interpolatedShare)} observed, ` +
+        `${formatPercent(share.interpolatedShare)} interpolated ` +
+        `(${formatNumber(share.interpolatedDays)} of ${formatNumber(share.simulatedDays)} days)`;
+}
+
+/**
+ * Generate a one-line statement about days split from monthly totals
+ *
+ * @param {Object} share - Result from calculateUnverifiedShare()
+ * @returns {string} Human-readable statement, or '' when no days were disaggregated
+ */
+export function generateDisaggregatedStatement(share) {
+    if (share.disaggregatedDays === 0) {
+        return '';
+    }
+
+    if (share.disaggregatedDays === share.simulatedDays) {
+        return 'Results derive from monthly totals disaggregated to daily values';
+    }
+
+    return `Results derive partly from monthly totals disaggregated to daily values ` +
+        `(${formatPercent(share.disaggregatedShare)} of simulated days)`;
+}
+
+/**
+ * Generate a one-line statement about days estimated by gap filling
+ *
+ * @param {Object} share - Result from calculateUnverifiedShare()
+ * @returns {string} Human-readable statement, or '' when no days were filled
+ */
+export function generateInfilledStatement(share) {
+    if (share.infilledDays === 0) {
+        return '';
+    }
+
+    return `${formatPercent(share.infilledShare)} of simulated days are gap-filled estimates ` +
+        `(${formatNumber(share.infilledDays)} of ${formatNumber(share.simulatedDays)} days), not readings`;
+}
+
+/**
+ * Generate the per-year quality table
+ *
+ * @param {Array} byYear - Result from summarizeQualityByYear()
+ * @returns {string} HTML string
+ */
+export function generateQualityReport(byYear) {
+    // Only sources without quality flags need the column
+    const unflagged = byYear.some(entry => entry.unflagged > 0);
+
+    let html = '<table class="results-table quality-table">';
+    html += `<thead><tr><th>Year</th><th>Checked</th><th>Unchecked</th>${unflagged ? '<th>No Flag</th>' : ''}<th>Missing</th></tr></thead>`;
+    html += '<tbody>';
+
+    for (const entry of byYear) {
+        html += '<tr>';
+        html += `<td>${entry.year}</td>`;
+        html += `<td>${formatNumber(entry.checked)}</td>`;
+        html += `<td class="${entry.unchecked > 0 ? 'failure-desc' : ''}">${formatNumber(entry.unchecked)}</td>`;
+        if (unflagged) {
+            html += `<td>${formatNumber(entry.unflagged)}</td>`;
+        }
+        html += `<td>${formatNumber(entry.missing)}</td>`;
+        html += '</tr>';
+    }
+
+    html += '</tbody></table>';
+    return html;
+}
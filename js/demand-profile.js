@@ -0,0 +1,182 @@
+/**
+ * Water Demand Profiles
+ *
+ * Household usage rarely holds steady: gardens drink more in summer, and
+ * a holiday home may only be used at weekends. A profile scales the daily
+ * usage by calendar month and, optionally, by weekday or weekend and by
+ * the people at the property on the day (see occupancy-calendar.js),
+ * giving the water balance a demand for every day of the record.
+ *
+ * Months follow the Southern Hemisphere: summer is December to February.
+ */
+
+import { formatLitres, formatPercent } from './utils.js';
+import { createOccupancyLookup } from './occupancy-calendar.js';
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Uses that demand is split between, to report what the tank supplies to each
+ */
+export const DEMAND_USES = {
+    indoor: 'Household (daily usage)',
+    garden: 'Garden watering'
+};
+
+/**
+ * Monthly usage multipliers for typical climates. Each averages 1 over
+ * the year, so the daily usage stays the yearly average.
+ */
+export const DEMAND_PRESETS = {
+    constant: {
+        label: 'Same all year',
+        monthly: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
+    },
+    coastal: {
+        label: 'Coastal (mild summers)',
+        monthly: [1.2, 1.2, 1.1, 1, 0.9, 0.85, 0.8, 0.85, 0.9, 1, 1.05, 1.15]
+    },
+    inland: {
+        label: 'Inland (hot summers)',
+        monthly: [1.45, 1.4, 1.2, 0.95, 0.75, 0.65, 0.6, 0.65, 0.8, 1, 1.2, 1.35]
+    }
+};
+
+/**
+ * Build the demand for each day of the rainfall record
+ *
+ * @param {Array} rainfallData - Array of {date} objects
+ * @param {number} dailyUsage_L - Usage on a day with a multiplier of 1
+ * @param {Object|null} [profile=null] - {monthly, weekly, occupancy}: 12 monthly multipliers (January first),
+ *   {weekday, weekend} multipliers, and an occupancy calendar, each optional. Null uses the same usage every day.
+ * @returns {Float64Array} Litres used each day
+ */
+export function buildDemandSeries(rainfallData, dailyUsage_L, profile = null) {
+    const demand_L = new Float64Array(rainfallData.length);
+    const occupancy = profile && profile.occupancy;
+    const occupantsOn = occupancy ? createOccupancyLookup(occupancy) : null;
+
+    rainfallData.forEach((dayData, index) => {
+        const occupied = occupantsOn ? occupantsOn(dayData.date) / occupancy.usualOccupants : 1;
+        demand_L[index] = dailyUsage_L * demandMultiplier(dayData.date, profile) * occupied;
+    });
+
+    return demand_L;
+}
+
+/**
+ * Build the demand for each day, split by use
+ *
+ * The profile scales household usage only: garden watering follows the
+ * weather instead (see garden-demand.js).
+ *
+ * @param {Array} rainfallData - Array of {date} objects
+ * @param {number} dailyUsage_L - Household usage on a day with a multiplier of 1
+ * @param {Object|null} profile - Demand profile, as for buildDemandSeries()
+ * @param {Float64Array|null} [garden_L=null] - Garden watering each day, from buildGardenDemand()
+ * @returns {Object} Per-day series by key of DEMAND_USES
+ */
+export function buildDemandByUse(rainfallData, dailyUsage_L, profile, garden_L = null) {
+    const demandByUse = { indoor: buildDemandSeries(rainfallData, dailyUsage_L, profile) };
+    if (garden_L) {
+        demandByUse.garden = garden_L;
+    }
+    return demandByUse;
+}
+
+/**
+ * Usage multiplier for one day
+ *
+ * @param {Date} date - The day
+ * @param {Object|null} profile - Demand profile
+ * @returns {number} Multiplier of the daily usage, before occupancy
+ */
+function demandMultiplier(date, profile) {
+    if (!profile) {
+        return 1;
+    }
+
+    const monthly = profile.monthly ? profile.monthly[date.getMonth()] : 1;
+    if (!profile.weekly) {
+        return monthly;
+    }
+
+    const weekend = date.getDay() === 0 || date.getDay() === 6;
+    return monthly * (weekend ? profile.weekly.weekend : profile.weekly.weekday);
+}
+
+/**
+ * Summarise demand over the record
+ *
+ * @param {Array} rainfallData - Array of {date} objects the demand was built for
+ * @param {Object} demandByUse - Result from buildDemandByUse()
+ * @returns {Object} {total_L, annual_L, averageDaily_L, monthlyAverage_L, annualByUse}, where
+ *   monthlyAverage_L is household usage on the average day in each calendar month (null for months
+ *   not in the record) and annualByUse is litres a year by use
+ */
+export function summarizeDemand(rainfallData, demandByUse) {
+    const years = rainfallData.length / 365.25;
+    const monthTotals = MONTH_NAMES.map(() => ({ total_L: 0, days: 0 }));
+
+    rainfallData.forEach((dayData, index) => {
+        const month = monthTotals[dayData.date.getMonth()];
+        month.total_L += demandByUse.indoor[index];
+        month.days++;
+    });
+
+    const annualByUse = {};
+    let total_L = 0;
+    for (const [use, series] of Object.entries(demandByUse)) {
+        const useTotal_L = series.reduce((sum, litres) => sum + litres, 0);
+        annualByUse[use] = useTotal_L / years;
+        total_L += useTotal_L;
+    }
+
+    return {
+        total_L,
+        annual_L: total_L / years,
+        averageDaily_L: total_L / rainfallData.length,
+        monthlyAverage_L: monthTotals.map(month => (month.days > 0 ? month.total_L / month.days : null)),
+        annualByUse
+    };
+}
+
+/**
+ * Describe how demand varies, for the results data note
+ *
+ * @param {Object|null} profile - Demand profile the series was built with
+ * @param {Object} demand - Result from summarizeDemand()
+ * @returns {string} Description, or '' when usage is the same every day
+ */
+export function describeDemandProfile(profile, demand) {
+    if (!profile) {
+        return '';
+    }
+
+    const parts = [];
+    if (profile.monthly) {
+        const months = demand.monthlyAverage_L
+            .map((average_L, month) => ({ average_L, month }))
+            .filter(entry => entry.average_L !== null);
+        const low = months.reduce((min, entry) => (entry.average_L < min.average_L ? entry : min), months[0]);
+        const high = months.reduce((max, entry) => (entry.average_L > max.average_L ? entry : max), months[0]);
+
+        if (high.average_L - low.average_L >= 1) {
+            parts.push(`Usage varies from ${formatLitres(low.average_L)}/day in ${MONTH_NAMES[low.month]} ` +
+                `to ${formatLitres(high.average_L)}/day in ${MONTH_NAMES[high.month]}`);
+        }
+    }
+
+    if (profile.weekly) {
+        parts.push(`weekdays at ${formatPercent(profile.weekly.weekday, 0)} and weekends at ` +
+            `${formatPercent(profile.weekly.weekend, 0)} of the daily usage`);
+    }
+
+    if (parts.length === 0) {
+        return '';
+    }
+
+    parts.push(`averaging ${formatLitres(demand.annualByUse.indoor / 365.25)}/day`);
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
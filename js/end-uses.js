@@ -0,0 +1,133 @@
+/**
+ * Household End Uses
+ *
+ * Many tanks are plumbed to only some fixtures, such as the toilets and
+ * laundry under BASIX, while drinking water stays on mains. Household usage
+ * is split into end uses by their share of it, and only the uses connected
+ * to the tank draw from it; the rest are mains water whatever the tank holds.
+ *
+ * Connected uses are listed in priority order: when the tank can't cover a
+ * day's connected demand, the first uses are supplied before the later ones.
+ */
+
+import { formatLitres } from './utils.js';
+
+/**
+ * End uses with their typical share of household usage
+ */
+export const END_USES = {
+    toilets: { label: 'Toilets', share: 0.2 },
+    laundry: { label: 'Laundry', share: 0.15 },
+    hotWater: { label: 'Hot water (showers, basins)', share: 0.3 },
+    garden: { label: 'Garden', share: 0.25 },
+    pool: { label: 'Pool top-up', share: 0 },
+    potable: { label: 'Drinking and kitchen', share: 0.1 }
+};
+
+/**
+ * Uses a BASIX-style install connects, in priority order
+ */
+export const DEFAULT_CONNECTED_USES = ['toilets', 'laundry', 'garden'];
+
+/**
+ * Split household demand into end uses
+ *
+ * Shares are scaled to add up to the household usage. With weather-driven
+ * garden watering, the garden use is that watering and the other shares
+ * split the rest of the usage.
+ *
+ * @param {Object} demandByUse - Household demand from buildDemandByUse(), {indoor, garden?}
+ * @param {Object} endUses - End-use settings
+ * @param {Object} endUses.shares - Share of household usage by key of END_USES
+ * @param {string[]} endUses.connected - Keys of the uses the tank supplies, in priority order
+ * @returns {Object} {connected, unconnected}: per-day demand series by use, connected in priority order
+ */
+export function splitEndUses(demandByUse, endUses) {
+    if (endUses.connected.length === 0) {
+        throw new Error('Connect at least one use to the tank');
+    }
+
+    const weatherGarden = Boolean(demandByUse.garden);
+    const shared = Object.keys(END_USES).filter(use => !(weatherGarden && use === 'garden'));
+    const totalShare = shared.reduce((sum, use) => sum + (endUses.shares[use] || 0), 0);
+    if (!(totalShare > 0)) {
+        throw new Error('End-use shares must add up to more than 0%');
+    }
+
+    const seriesFor = use => {
+        if (weatherGarden && use === 'garden') {
+            return demandByUse.garden;
+        }
+        const share = (endUses.shares[use] || 0) / totalShare;
+        return demandByUse.indoor.map(litres => litres * share);
+    };
+
+    const unconnected = {};
+    for (const use of Object.keys(END_USES)) {
+        if (!endUses.connected.includes(use)) {
+            unconnected[use] = seriesFor(use);
+        }
+    }
+
+    return {
+        connected: Object.fromEntries(endUses.connected.map(use => [use, seriesFor(use)])),
+        unconnected
+    };
+}
+
+/**
+ * Total demand of the uses connected to the tank
+ *
+ * @param {Object} endUseDemand - Result from splitEndUses()
+ * @returns {number} Litres over the record
+ */
+export function sumConnectedDemand(endUseDemand) {
+    return Object.values(endUseDemand.connected)
+        .reduce((total_L, series) => total_L + series.reduce((sum, litres) => sum + litres, 0), 0);
+}
+
+/**
+ * Combine the tank's supply to connected uses with the uses left on mains
+ *
+ * @param {Object} supplyByUse - Simulation summary's supplyByUse, for the connected uses
+ * @param {Object} unconnected - Per-day demand series of the other uses, from splitEndUses()
+ * @returns {Object} Per use {demand_L, tank_L, mains_L, connected}, connected uses first in
+ *   priority order; uses with no demand are left out
+ */
+export function combineEndUseSupply(supplyByUse, unconnected) {
+    const combined = {};
+
+    for (const [use, supply] of Object.entries(supplyByUse)) {
+        if (supply.demand_L > 0) {
+            combined[use] = { ...supply, connected: true };
+        }
+    }
+
+    for (const [use, series] of Object.entries(unconnected)) {
+        const demand_L = series.reduce((sum, litres) => sum + litres, 0);
+        if (demand_L > 0) {
+            combined[use] = { demand_L, tank_L: 0, mains_L: demand_L, connected: false };
+        }
+    }
+
+    return combined;
+}
+
+/**
+ * Describe which uses the tank supplies, for the results data note
+ *
+ * @param {Object|null} endUses - End-use settings
+ * @param {number|null} connectedAnnual_L - Yearly demand of the connected uses
+ * @param {Object} demand - Household demand, from summarizeDemand()
+ * @returns {string} Description, or '' when the tank supplies the whole household
+ */
+export function describeEndUses(endUses, connectedAnnual_L, demand) {
+    if (!endUses) {
+        return '';
+    }
+
+    const labels = endUses.connected.map(use => END_USES[use].label.toLowerCase());
+    const order = labels.length > 1 ? ' (in that order when it runs short)' : '';
+    return `Tank supplies ${labels.join(', ')}${order}: ${formatLitres(connectedAnnual_L)} of the household's ` +
+        `${formatLitres(demand.annual_L)} a year; other uses stay on mains`;
+}
@@ -0,0 +1,190 @@
+/**
+ * Gap Filling
+ *
+ * Infill strategies for missing days, applied between parsing and the
+ * simulators. The water balance treats any day still marked missing as
+ * zero rain, so 'zero' leaves the data untouched.
+ */
+
+import { buildDailyClimatology, dayOfYearIndex, isObservedDay } from './climatology.js';
+import { seededRandom, isNextDay } from './utils.js';
+
+/**
+ * Available infill strategies
+ */
+export const INFILL_STRATEGIES = {
+    zero: 'Assume no rain (conservative)',
+    climatology: 'Same-day-of-year average',
+    monthlySample: 'Random draw from the same month',
+    excludeYears: 'Exclude years with gaps'
+};
+
+export const DEFAULT_INFILL_STRATEGY = 'zero';
+
+/**
+ * Seed for 'monthlySample' so repeated runs give identical results
+ */
+const SAMPLE_SEED = 20080101;
+
+/**
+ * Fill missing days using the chosen strategy
+ *
+ * Filled rows are copies flagged with `infilled: true`; the input array is
+ * never modified.
+ *
+ * @param {Array} rainfallData - Rainfall data, possibly with missing days
+ * @param {string} strategy - Key of INFILL_STRATEGIES
+ * @returns {Object} Filled data, number of days filled, any years removed and the
+ *   breaks their removal leaves in the record
+ */
+export function fillGaps(rainfallData, strategy) {
+    if (!INFILL_STRATEGIES[strategy]) {
+        throw new Error(`Unknown infill strategy: ${strategy}`);
+    }
+
+    const result = { data: rainfallData, strategy, filledDays: 0, excludedYears: [], breaks: 0 };
+
+    if (strategy === 'zero' || !rainfallData.some(day => day.missing)) {
+        return result;
+    }
+
+    if (strategy === 'excludeYears') {
+        return excludeYearsWithGaps(rainfallData, result);
+    }
+
+    const estimate = strategy === 'climatology'
+        ? climatologyEstimator(rainfallData)
+        : monthlySampleEstimator(rainfallData);
+
+    result.data = rainfallData.map(day => {
+        if (!day.missing) {
+            return day;
+        }
+
+        result.filledDays++;
+        return { ...day, rainfall_mm: estimate(day.date), missing: false, infilled: true };
+    });
+
+    return result;
+}
+
+/**
+ * Drop every calendar year that contains a missing day
+ *
+ * The years left are not joined up: the simulators restart the tank after
+ * each break, and periods and dry spells don't run across one.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @param {Object} result - Result object to complete
+ * @returns {Object} Completed result
+ */
+function excludeYearsWithGaps(rainfallData, result) {
+    const gapYears = new Set(
+        rainfallData.filter(day => day.missing).map(day => day.date.getFullYear())
+    );
+
+    result.excludedYears = Array.from(gapYears).sort((a, b) => a - b);
+    result.data = rainfallData.filter(day => !gapYears.has(day.date.getFullYear()));
+
+    if (result.data.length === 0) {
+        throw new Error('Every year in the record has missing days - choose another gap-filling strategy');
+    }
+
+    result.breaks = result.data.filter((day, i) => i > 0 && !isNextDay(result.data[i - 1].date, day.date)).length;
+
+    return result;
+}
+
+/**
+ * Estimator returning the smoothed mean rainfall for the calendar day
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Function} Function of date returning rainfall in mm
+ */
+function climatologyEstimator(rainfallData) {
+    const climatology = buildDailyClimatology(rainfallData);
+    return date => climatology[dayOfYearIndex(date)];
+}
+
+/**
+ * Estimator drawing from the observed wet/dry behaviour of the calendar month
+ * A day is wet with the month's observed wet-day probability, and a wet
+ * day's amount is drawn from that month's observed wet-day amounts.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Function} Function of date returning rainfall in mm
+ */
+function monthlySampleEstimator(rainfallData) {
+    const months = Array(12).fill(null).map(() => ({ observed: 0, wetAmounts: [] }));
+
+    for (const day of rainfallData) {
+        if (!isObservedDay(day)) continue;
+
+        const month = months[day.date.getMonth()];
+        month.observed++;
+        if (day.rainfall_mm > 0) {
+            month.wetAmounts.push(day.rainfall_mm);
+        }
+    }
+
+    const random = seededRandom(SAMPLE_SEED);
+
+    return date => {
+        const month = months[date.getMonth()];
+        if (month.wetAmounts.length === 0) {
+            return 0;
+        }
+
+        const wetProbability = month.wetAmounts.length / month.observed;
+        if (random() >= wetProbability) {
+            return 0;
+        }
+
+        return month.wetAmounts[Math.floor(random() * month.wetAmounts.length)];
+    };
+}
+
+/**
+ * Evaluate an analysis under every infill strategy
+ *
+ * @param {Array} rainfallData - Rainfall data before gap filling
+ * @param {Function} evaluate - Function of filled data returning a result
+ * @returns {Array} Array of {strategy, label, result, error} in INFILL_STRATEGIES order
+ */
+export function compareInfillStrategies(rainfallData, evaluate) {
+    return Object.entries(INFILL_STRATEGIES).map(([strategy, label]) => {
+        try {
+            const filled = fillGaps(rainfallData, strategy);
+            return { strategy, label, result: evaluate(filled.data), error: null };
+        } catch (error) {
+            return { strategy, label, result: null, error: error.message };
+        }
+    });
+}
+
+/**
+ * Generate a one-line description of the gap filling applied
+ *
+ * @param {Object} fillResult - Result from fillGaps()
+ * @returns {string} Human-readable description
+ */
+export function describeGapFilling(fillResult) {
+    const label = INFILL_STRATEGIES[fillResult.strategy];
+
+    if (fillResult.strategy === 'excludeYears') {
+        if (fillResult.excludedYears.length === 0) {
+            return `Gaps: ${label} (no years excluded)`;
+        }
+        if (fillResult.breaks === 0) {
+            return `Gaps: ${label} (${fillResult.excludedYears.length} years excluded)`;
+        }
+        return `Gaps: ${label} (${fillResult.excludedYears.length} years excluded, leaving ${fillResult.breaks} ` +
+            `${fillResult.breaks === 1 ? 'break' : 'breaks'} in the record; the tank restarts at its starting level after each)`;
+    }
+
+    if (fillResult.filledDays === 0) {
+        return `Gaps: ${label}`;
+    }
+
+    return `Gaps: ${label} (${fillResult.filledDays.toLocaleString()} days filled)`;
+}
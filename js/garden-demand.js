@@ -0,0 +1,171 @@
+/**
+ * Garden Irrigation Demand
+ *
+ * Outdoor watering follows the weather: nobody waters after a good soaking,
+ * and a garden drinks most in hot, dry spells. Each day the garden needs
+ * the day's evaporation (reference evapotranspiration) times a plant factor,
+ * less the day's rain, and it isn't watered at all on days with at least
+ * the skip-if-rain amount.
+ *
+ * Evaporation comes from an uploaded daily series where it has the day,
+ * otherwise from monthly averages: the upload's own, or a climate preset.
+ */
+
+import { guessMapping, parseWithMapping, previewDelimitedText } from './generic-importer.js';
+import { toDateKey, formatLitres, formatNumber } from './utils.js';
+
+/**
+ * Typical monthly reference evapotranspiration (mm/day, January first)
+ */
+export const EVAPORATION_PRESETS = {
+    temperate: {
+        label: 'Temperate coast (Sydney, Perth)',
+        monthly: [5.6, 5.0, 4.0, 2.9, 2.0, 1.6, 1.7, 2.4, 3.3, 4.3, 5.0, 5.6]
+    },
+    cool: {
+        label: 'Cool south (Melbourne, Hobart)',
+        monthly: [5.2, 4.6, 3.4, 2.1, 1.3, 0.9, 1.0, 1.5, 2.3, 3.2, 4.1, 4.8]
+    },
+    inland: {
+        label: 'Hot inland (Dubbo, Alice Springs)',
+        monthly: [7.8, 6.9, 5.6, 3.8, 2.4, 1.7, 1.8, 2.7, 4.0, 5.4, 6.6, 7.5]
+    },
+    tropical: {
+        label: 'Tropical north (Darwin, Cairns)',
+        monthly: [4.9, 4.6, 4.7, 4.9, 4.6, 4.2, 4.4, 5.0, 5.7, 6.1, 5.9, 5.3]
+    }
+};
+
+/**
+ * Share of reference evapotranspiration that common plantings need
+ */
+export const PLANT_FACTORS = {
+    natives: { label: 'Natives, drought tolerant', factor: 0.3 },
+    mixed: { label: 'Mixed garden beds', factor: 0.5 },
+    lawn: { label: 'Lawn', factor: 0.7 },
+    vegetables: { label: 'Vegetables and fruit trees', factor: 0.8 }
+};
+
+export const GARDEN_DEFAULTS = {
+    plantFactor: 0.5,
+    skipRain_mm: 5,
+    evaporationPreset: 'temperate'
+};
+
+/**
+ * Build the garden's watering demand for each day of the rainfall record
+ *
+ * Missing rainfall counts as a dry day.
+ *
+ * @param {Array} rainfallData - Array of {date, rainfall_mm, missing} objects
+ * @param {Object} garden - Garden settings
+ * @param {number} garden.area_m2 - Irrigated area
+ * @param {number} garden.plantFactor - Share of evaporation the plants need
+ * @param {number} garden.skipRain_mm - No watering on days with at least this much rain
+ * @param {number[]} garden.monthlyEvaporation_mm - Evaporation (mm/day) by month, January first
+ * @param {Map|null} [garden.evaporationSeries] - Daily evaporation (mm) by toDateKey(), used where it has the day
+ * @returns {Float64Array} Litres of watering each day
+ */
+export function buildGardenDemand(rainfallData, garden) {
+    const { area_m2, plantFactor, skipRain_mm, monthlyEvaporation_mm, evaporationSeries = null } = garden;
+
+    if (!(area_m2 > 0) || !(plantFactor >= 0)) {
+        throw new Error('Garden area must be positive');
+    }
+
+    const demand_L = new Float64Array(rainfallData.length);
+
+    rainfallData.forEach((dayData, index) => {
+        const rain_mm = dayData.missing ? 0 : dayData.rainfall_mm;
+        if (rain_mm >= skipRain_mm) {
+            return;
+        }
+
+        const dayKey = evaporationSeries ? toDateKey(dayData.date) : null;
+        const evaporation_mm = dayKey && evaporationSeries.has(dayKey)
+            ? evaporationSeries.get(dayKey)
+            : monthlyEvaporation_mm[dayData.date.getMonth()];
+
+        // 1 mm over 1 m² is 1 litre
+        demand_L[index] = Math.max(0, evaporation_mm * plantFactor - rain_mm) * area_m2;
+    });
+
+    return demand_L;
+}
+
+/**
+ * Read a daily evaporation file
+ *
+ * Any delimited file with a date column works. The evaporation column is
+ * the one whose header names evaporation or evapotranspiration (so SILO
+ * exports pick their `evap` or `et_` column), otherwise the first numeric
+ * column. Monthly averages fill days the file doesn't have.
+ *
+ * @param {string} text - Raw file contents
+ * @returns {Object} {series: Map of mm by toDateKey(), days, monthly: mm/day by month (null where absent), column, errors}
+ */
+export function parseEvaporationFile(text) {
+    const mapping = guessMapping(text);
+    const { columns } = previewDelimitedText(text, mapping, 1);
+    const named = mapping.hasHeader
+        ? columns.findIndex((name, column) => column !== mapping.dateColumn && /evap|^et(o|0|_|\b)/i.test(name))
+        : -1;
+    const column = named >= 0 ? named : mapping.rainfallColumn;
+
+    const result = parseWithMapping(text, { ...mapping, rainfallColumn: column, readings: 'daily', units: 'mm' });
+    if (!result.success) {
+        return { series: null, days: 0, monthly: null, column: columns[column], errors: result.errors };
+    }
+
+    const series = new Map();
+    const monthTotals = Array.from({ length: 12 }, () => ({ total_mm: 0, days: 0 }));
+    for (const row of result.data) {
+        if (row.missing) continue;
+
+        series.set(toDateKey(row.date), row.rainfall_mm);
+        monthTotals[row.date.getMonth()].total_mm += row.rainfall_mm;
+        monthTotals[row.date.getMonth()].days++;
+    }
+
+    if (series.size === 0) {
+        return { series: null, days: 0, monthly: null, column: columns[column], errors: ['No evaporation readings found in file'] };
+    }
+
+    return {
+        series,
+        days: series.size,
+        monthly: monthTotals.map(month => (month.days > 0 ? month.total_mm / month.days : null)),
+        column: columns[column],
+        errors: []
+    };
+}
+
+/**
+ * Summarise garden watering
+ *
+ * @param {Array} rainfallData - Rainfall data the demand was built for
+ * @param {Float64Array} garden_L - Result from buildGardenDemand()
+ * @returns {Object} {annual_L, wateredDaysPerYear}
+ */
+export function summarizeGardenDemand(rainfallData, garden_L) {
+    const years = rainfallData.length / 365.25;
+    const total_L = garden_L.reduce((sum, litres) => sum + litres, 0);
+    const wateredDays = garden_L.reduce((count, litres) => count + (litres > 0 ? 1 : 0), 0);
+
+    return { annual_L: total_L / years, wateredDaysPerYear: wateredDays / years };
+}
+
+/**
+ * Describe garden watering, for the results data note
+ *
+ * @param {Object|null} gardenDemand - Result from summarizeGardenDemand()
+ * @returns {string} Description, or '' without a garden
+ */
+export function describeGardenDemand(gardenDemand) {
+    if (!gardenDemand) {
+        return '';
+    }
+
+    return `Garden watering of ${formatLitres(gardenDemand.annual_L)} a year, on about ` +
+        `${formatNumber(gardenDemand.wateredDaysPerYear)} days a year`;
+}
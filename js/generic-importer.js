@@ -0,0 +1,404 @@
+/**
+ * Generic Daily Rainfall Importer
+ *
+ * Reads delimited daily rainfall files that are not in BoM format (council
+ * gauges, farm loggers, overseas records) using a column mapping chosen by
+ * the user, e.g. `date,rain_mm` or `dd/mm/yyyy;precip_in`.
+ *
+ * A mapping is {delimiter, hasHeader, dateColumn, dateFormat, rainfallColumn,
+ * decimal, units, readings, timeColumn} with column indexes counted from 0.
+ * Sub-daily readings take their time of day from `timeColumn`, or from the
+ * date cell when it is -1, and are aggregated to days.
+ */
+
+import { buildDate, parseCSVLine, createParseResult, completeParseResult, reportParseProgress } from './csv-parser.js';
+import { parseTimeOfDay, completeSubDailyResult } from './subdaily.js';
+import { UNKNOWN_QUALITY } from './data-quality.js';
+
+/**
+ * Supported date layouts; a trailing time of day is only read for sub-daily files
+ */
+export const DATE_FORMATS = {
+    'yyyy-mm-dd': { label: 'YYYY-MM-DD', pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:\D|$)/, order: ['year', 'month', 'day'] },
+    'dd/mm/yyyy': { label: 'DD/MM/YYYY', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:\D|$)/, order: ['day', 'month', 'year'] },
+    'mm/dd/yyyy': { label: 'MM/DD/YYYY', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:\D|$)/, order: ['month', 'day', 'year'] },
+    'yyyymmdd': { label: 'YYYYMMDD', pattern: /^(\d{4})(\d{2})(\d{2})(?:\D|$)/, order: ['year', 'month', 'day'] }
+};
+
+export const DELIMITERS = {
+    ',': 'Comma',
+    ';': 'Semicolon',
+    '\t': 'Tab',
+    '|': 'Pipe'
+};
+
+export const DECIMAL_SEPARATORS = {
+    '.': 'Point (12.5)',
+    ',': 'Comma (12,5)'
+};
+
+export const READING_INTERVALS = {
+    daily: 'Daily totals',
+    subDaily: 'Sub-daily (logger or pluviograph)'
+};
+
+export const RAINFALL_UNITS = {
+    mm: { label: 'Millimetres', toMillimetres: 1 },
+    in: { label: 'Inches', toMillimetres: 25.4 }
+};
+
+/**
+ * Cell values read as a missing reading
+ */
+const MISSING_VALUES = new Set(['', 'na', 'n/a', 'nan', 'null', '-', '--', 'm']);
+
+/**
+ * localStorage key for saved mappings
+ */
+const STORAGE_KEY = 'dryspell.columnMappings';
+
+/**
+ * Rows inspected when guessing a mapping
+ */
+const SAMPLE_ROWS = 20;
+
+/**
+ * Parse a delimited daily rainfall file with a column mapping
+ *
+ * @param {string} text - Raw file contents
+ * @param {Object} mapping - Column mapping (see module comment)
+ * @param {Object} [options] - Parsing options
+ * @param {Function} [options.onProgress] - Called as lines are read, see reportParseProgress()
+ * @returns {Object} Parse result in the parseBoMCSV shape
+ */
+export function parseWithMapping(text, mapping, options = {}) {
+    const result = createParseResult();
+    result.metadata.productCode = 'custom';
+
+    const problem = validateMapping(mapping);
+    if (problem) {
+        result.errors.push(problem);
+        return result;
+    }
+
+    const lines = splitLines(text);
+    const firstDataLine = mapping.hasHeader ? 1 : 0;
+
+    if (lines.length <= firstDataLine) {
+        result.errors.push('File appears to be empty or has no data rows');
+        return result;
+    }
+
+    const toMillimetres = RAINFALL_UNITS[mapping.units].toMillimetres;
+    const subDaily = mapping.readings === 'subDaily';
+    const dataRows = [];
+
+    for (let i = firstDataLine; i < lines.length; i++) {
+        reportParseProgress(options.onProgress, i, lines.length);
+        const columns = parseCSVLine(lines[i], mapping.delimiter);
+        const rowNumber = i + 1;
+
+        if (columns.length <= Math.max(mapping.dateColumn, mapping.rainfallColumn)) {
+            result.warnings.push(`Row ${rowNumber}: Expected at least ${Math.max(mapping.dateColumn, mapping.rainfallColumn) + 1} columns, got ${columns.length}`);
+            continue;
+        }
+
+        const { date, error } = parseDateValue(columns[mapping.dateColumn], mapping.dateFormat);
+        if (error) {
+            result.warnings.push(`Row ${rowNumber}: ${error}`);
+            continue;
+        }
+
+        const amount = parseAmount(columns[mapping.rainfallColumn], mapping.decimal);
+        if (amount.error) {
+            result.warnings.push(`Row ${rowNumber}: ${amount.error}`);
+            continue;
+        }
+
+        const row = {
+            date,
+            rainfall_mm: amount.missing ? 0 : amount.value * toMillimetres,
+            missing: amount.missing,
+            quality: UNKNOWN_QUALITY,
+            accumulated: false
+        };
+
+        if (subDaily) {
+            const timeText = mapping.timeColumn >= 0
+                ? columns[mapping.timeColumn] || ''
+                : timeInDateCell(columns[mapping.dateColumn], mapping.dateFormat);
+            const time = parseTimeOfDay(timeText);
+            if (!time) {
+                result.warnings.push(`Row ${rowNumber}: No time of day found in "${timeText.trim()}"`);
+                continue;
+            }
+            row.time = new Date(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes, time.seconds);
+        }
+
+        dataRows.push(row);
+    }
+
+    return subDaily ? completeSubDailyResult(result, dataRows) : completeParseResult(result, dataRows);
+}
+
+/**
+ * Check a mapping is complete and self-consistent
+ *
+ * @param {Object} mapping - Column mapping
+ * @returns {string|null} Problem description, or null if usable
+ */
+function validateMapping(mapping) {
+    if (!DELIMITERS[mapping.delimiter]) {
+        return 'Choose a column delimiter';
+    }
+    if (!DATE_FORMATS[mapping.dateFormat]) {
+        return 'Choose a date format';
+    }
+    if (!DECIMAL_SEPARATORS[mapping.decimal]) {
+        return 'Choose a decimal separator';
+    }
+    if (mapping.decimal === mapping.delimiter) {
+        return 'The decimal separator cannot be the same as the column delimiter';
+    }
+    if (!RAINFALL_UNITS[mapping.units]) {
+        return 'Choose rainfall units';
+    }
+    if (!(mapping.dateColumn >= 0) || !(mapping.rainfallColumn >= 0)) {
+        return 'Choose the date and rainfall columns';
+    }
+    if (mapping.dateColumn === mapping.rainfallColumn) {
+        return 'The date and rainfall columns must be different';
+    }
+    if (mapping.readings !== undefined && !READING_INTERVALS[mapping.readings]) {
+        return 'Choose whether readings are daily or sub-daily';
+    }
+    return null;
+}
+
+/**
+ * Read a date cell in the given format
+ *
+ * @param {string} value - Cell text
+ * @param {string} format - Key of DATE_FORMATS
+ * @returns {Object} {date} on success or {error}
+ */
+function parseDateValue(value, format) {
+    const { pattern, order } = DATE_FORMATS[format];
+    const match = value.trim().match(pattern);
+
+    if (!match) {
+        return { error: `Date "${value.trim()}" does not match ${DATE_FORMATS[format].label}` };
+    }
+
+    const parts = {};
+    order.forEach((part, i) => {
+        parts[part] = parseInt(match[i + 1], 10);
+    });
+
+    return buildDate(parts.year, parts.month, parts.day);
+}
+
+/**
+ * The text after the date in a date cell, where a time of day may follow
+ *
+ * @param {string} value - Cell text
+ * @param {string} format - Key of DATE_FORMATS
+ * @returns {string} Remaining text
+ */
+function timeInDateCell(value, format) {
+    return value.trim().replace(DATE_FORMATS[format].pattern, '');
+}
+
+/**
+ * Read a rainfall cell
+ *
+ * @param {string} value - Cell text
+ * @param {string} decimal - Decimal separator
+ * @returns {Object} {value, missing} on success or {error}
+ */
+function parseAmount(value, decimal) {
+    const text = value.trim();
+
+    if (MISSING_VALUES.has(text.toLowerCase())) {
+        return { value: 0, missing: true };
+    }
+
+    const normalised = decimal === ',' ? text.replace(',', '.') : text;
+    const amount = Number(normalised);
+
+    if (normalised === '' || isNaN(amount)) {
+        return { error: `Invalid rainfall value: ${text}` };
+    }
+
+    if (amount < 0) {
+        return { error: `Negative rainfall value: ${amount}` };
+    }
+
+    return { value: amount, missing: false };
+}
+
+/**
+ * Split text into non-blank lines
+ *
+ * @param {string} text - Raw file contents
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+    return (text || '').split(/\r?\n/).filter(line => line.trim());
+}
+
+/**
+ * Pick the delimiter that splits the first lines into a steady column count
+ *
+ * @param {string[]} lines - Sample lines
+ * @returns {string} Key of DELIMITERS
+ */
+function detectDelimiter(lines) {
+    let best = ',';
+    let bestColumns = 1;
+
+    for (const delimiter of Object.keys(DELIMITERS)) {
+        const counts = lines.map(line => parseCSVLine(line, delimiter).length);
+        const steady = counts.every(count => count === counts[0]);
+
+        if (steady && counts[0] > bestColumns) {
+            best = delimiter;
+            bestColumns = counts[0];
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Suggest a mapping by inspecting the first rows of a file
+ *
+ * @param {string} text - Raw file contents
+ * @returns {Object} Best-guess column mapping
+ */
+export function guessMapping(text) {
+    const lines = splitLines(text).slice(0, SAMPLE_ROWS + 1);
+    const delimiter = detectDelimiter(lines);
+    const rows = lines.map(line => parseCSVLine(line, delimiter).map(cell => cell.trim()));
+
+    const header = rows[0] || [];
+    const hasHeader = rows.length > 1 && !header.some(cell => findDateFormat([cell]));
+    const sample = hasHeader ? rows.slice(1) : rows;
+    const columnCount = header.length;
+
+    // Date column: first whose every sample cell reads as a date
+    let dateColumn = 0;
+    let dateFormat = 'yyyy-mm-dd';
+    for (let column = 0; column < columnCount; column++) {
+        const format = findDateFormat(sample.map(row => row[column] || ''));
+        if (format) {
+            dateColumn = column;
+            dateFormat = format;
+            break;
+        }
+    }
+
+    // Rainfall column: a header naming rain, otherwise the first other numeric column
+    const decimal = delimiter !== ',' && sample.some(row => row.some(cell => /^\d+,\d+$/.test(cell))) ? ',' : '.';
+    const candidates = [];
+    for (let column = 0; column < columnCount; column++) {
+        if (column === dateColumn) continue;
+        if (sample.every(row => !parseAmount(row[column] || '', decimal).error)) {
+            candidates.push(column);
+        }
+    }
+
+    const named = hasHeader
+        ? candidates.find(column => /rain|precip|prcp|ppt/i.test(header[column]))
+        : undefined;
+    const rainfallColumn = named !== undefined ? named : (candidates.length > 0 ? candidates[0] : (dateColumn === 0 ? 1 : 0));
+
+    const rainfallHeader = hasHeader ? header[rainfallColumn] || '' : '';
+    const units = /\b(in|inch|inches)\b|_in\b|\(in\)/i.test(rainfallHeader) ? 'in' : 'mm';
+
+    // Sub-daily when dates repeat; the time is in the date cell or a column of times
+    const dates = sample.map(row => {
+        const { date } = parseDateValue(row[dateColumn] || '', dateFormat);
+        return date ? date.getTime() : null;
+    });
+    const readings = new Set(dates).size < dates.length ? 'subDaily' : 'daily';
+    let timeColumn = -1;
+    if (readings === 'subDaily' && !sample.every(row => parseTimeOfDay(timeInDateCell(row[dateColumn] || '', dateFormat)))) {
+        timeColumn = header.findIndex((cell, column) =>
+            column !== dateColumn && sample.every(row => /^\d{1,2}:\d{2}/.test(row[column] || ''))
+        );
+    }
+
+    return { delimiter, hasHeader, dateColumn, dateFormat, rainfallColumn, decimal, units, readings, timeColumn };
+}
+
+/**
+ * Find the first date format every value matches as a real date
+ *
+ * @param {string[]} values - Sample cells
+ * @returns {string|null} Key of DATE_FORMATS, or null
+ */
+function findDateFormat(values) {
+    const filled = values.filter(value => value.trim());
+    if (filled.length === 0) {
+        return null;
+    }
+
+    return Object.keys(DATE_FORMATS).find(format =>
+        filled.every(value => !parseDateValue(value, format).error)
+    ) || null;
+}
+
+/**
+ * Split the first rows of a file for the mapping preview
+ *
+ * @param {string} text - Raw file contents
+ * @param {Object} mapping - Mapping whose delimiter and header setting apply
+ * @param {number} [rowCount=5] - Data rows to include
+ * @returns {Object} {columns: header labels, rows: arrays of cell text}
+ */
+export function previewDelimitedText(text, mapping, rowCount = 5) {
+    const lines = splitLines(text).slice(0, rowCount + (mapping.hasHeader ? 1 : 0));
+    const rows = lines.map(line => parseCSVLine(line, mapping.delimiter).map(cell => cell.trim()));
+    const header = mapping.hasHeader ? rows.shift() || [] : [];
+    const width = Math.max(header.length, ...rows.map(row => row.length));
+
+    const columns = [];
+    for (let column = 0; column < width; column++) {
+        columns.push(header[column] || `Column ${column + 1}`);
+    }
+
+    return { columns, rows };
+}
+
+/**
+ * Load mappings saved in this browser
+ *
+ * @returns {Object} Mappings keyed by name
+ */
+export function loadSavedMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save a mapping under a name for reuse with later files
+ *
+ * @param {string} name - Name shown in the saved mapping list
+ * @param {Object} mapping - Column mapping
+ * @returns {boolean} True if the mapping was stored
+ */
+export function saveMapping(name, mapping) {
+    const mappings = loadSavedMappings();
+    mappings[name] = mapping;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+        return true;
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,297 @@
+/**
+ * NOAA GHCN-Daily Import
+ *
+ * Reads daily precipitation (PRCP, tenths of mm) from the three layouts NCEI
+ * publishes for a single station:
+ *
+ * - .dly fixed width: one line per station/month/element, 31 day slots of
+ *   VALUE(5) MFLAG(1) QFLAG(1) SFLAG(1) starting at column 22
+ *   USW00094728194901PRCP    0  0   25  0 ...
+ * - by_station CSV, no header: ID,YYYYMMDD,ELEMENT,VALUE,MFLAG,QFLAG,SFLAG,OBS-TIME
+ *   USW00094728,19490101,PRCP,25,,,0,
+ * - access CSV, with header: "STATION","DATE","LATITUDE",...,"PRCP","PRCP_ATTRIBUTES",...
+ *
+ * Flags map onto the BoM row fields: a blank QFLAG passed every NOAA check
+ * and becomes quality 'Y'; a failed check keeps its QFLAG letter so the
+ * quality policies treat it like an unchecked BoM reading. -9999 and the
+ * 'P' (missing presumed zero) MFLAG are missing.
+ */
+
+import { buildDate, parseCSVLine, createParseResult, completeParseResult, reportParseProgress } from './csv-parser.js';
+
+const MISSING_VALUE = -9999;
+const TENTHS_TO_MM = 0.1;
+
+const DLY_DAY_SLOTS = 31;
+const DLY_FIRST_SLOT = 21;
+const DLY_SLOT_WIDTH = 8;
+
+const DLY_LINE = /^[A-Z0-9]{11}\d{6}[A-Z0-9]{4}/;
+const BY_STATION_LINE = /^[A-Z0-9]{11},\d{8},[A-Z0-9]{4},/;
+
+/**
+ * Whether text is a GHCN-Daily file in one of the supported layouts
+ *
+ * @param {string} text - Raw file contents
+ * @returns {boolean} True if the first line matches a GHCN-Daily layout
+ */
+export function isGHCNDaily(text) {
+    return detectLayout(firstLine(text)) !== null;
+}
+
+/**
+ * Parse a GHCN-Daily file into daily rainfall
+ *
+ * @param {string} text - Raw file contents
+ * @param {Object} [options] - Parsing options
+ * @param {Function} [options.onProgress] - Called as lines are read, see reportParseProgress()
+ * @returns {Object} Parse result in the parseBoMCSV shape
+ */
+export function parseGHCNDaily(text, options = {}) {
+    const result = createParseResult();
+    result.metadata.productCode = 'GHCN-Daily';
+
+    const lines = (text || '').split(/\r?\n/).filter(line => line.trim());
+    const layout = lines.length > 0 ? detectLayout(lines[0]) : null;
+
+    if (!layout) {
+        result.errors.push("File doesn't appear to be a GHCN-Daily .dly or CSV file");
+        return result;
+    }
+
+    const readings = layout === 'dly'
+        ? readDlyLines(lines, result, options.onProgress)
+        : layout === 'byStation'
+            ? readByStationLines(lines, result, options.onProgress)
+            : readAccessLines(lines, result, options.onProgress);
+
+    if (readings.length === 0) {
+        result.errors.push('No PRCP (precipitation) readings found in file');
+        return result;
+    }
+
+    const dataRows = [];
+    let otherStationRows = 0;
+
+    for (const reading of readings) {
+        if (!result.metadata.station) {
+            result.metadata.station = reading.station;
+        }
+        if (reading.station !== result.metadata.station) {
+            otherStationRows++;
+            continue;
+        }
+        dataRows.push(toRainfallRow(reading));
+    }
+
+    if (otherStationRows > 0) {
+        result.warnings.push(`${otherStationRows} readings from other stations ignored - only ${result.metadata.station} was loaded`);
+    }
+
+    return completeParseResult(result, dataRows);
+}
+
+/**
+ * Identify the layout from the first line
+ *
+ * @param {string} line - First non-blank line
+ * @returns {string|null} 'dly', 'byStation', 'access' or null
+ */
+function detectLayout(line) {
+    if (DLY_LINE.test(line)) {
+        return 'dly';
+    }
+    if (BY_STATION_LINE.test(line)) {
+        return 'byStation';
+    }
+
+    const header = parseCSVLine(line).map(cell => cell.trim().toUpperCase());
+    if (header.includes('STATION') && header.includes('DATE') && header.includes('PRCP')) {
+        return 'access';
+    }
+
+    return null;
+}
+
+/**
+ * Read PRCP readings from .dly lines
+ *
+ * @param {string[]} lines - File lines
+ * @param {Object} result - Parse result collecting warnings
+ * @param {Function} [onProgress] - Importer option, see reportParseProgress()
+ * @returns {Array} Readings of {station, date, value, mflag, qflag}
+ */
+function readDlyLines(lines, result, onProgress) {
+    const readings = [];
+
+    lines.forEach((line, i) => {
+        reportParseProgress(onProgress, i, lines.length);
+        if (line.substring(17, 21) !== 'PRCP') return;
+
+        const station = line.substring(0, 11);
+        const year = parseInt(line.substring(11, 15), 10);
+        const month = parseInt(line.substring(15, 17), 10);
+
+        for (let slot = 0; slot < DLY_DAY_SLOTS; slot++) {
+            const offset = DLY_FIRST_SLOT + slot * DLY_SLOT_WIDTH;
+            const value = parseInt(line.substring(offset, offset + 5), 10);
+
+            // Slots past the end of the month hold -9999
+            const { date, error } = buildDate(year, month, slot + 1);
+            if (error) {
+                if (value !== MISSING_VALUE && !isNaN(value)) {
+                    result.warnings.push(`Line ${i + 1}: ${error}`);
+                }
+                continue;
+            }
+
+            readings.push({
+                station,
+                date,
+                value: isNaN(value) ? MISSING_VALUE : value,
+                mflag: line.charAt(offset + 5).trim(),
+                qflag: line.charAt(offset + 6).trim()
+            });
+        }
+    });
+
+    return readings;
+}
+
+/**
+ * Read PRCP readings from by_station CSV lines
+ *
+ * @param {string[]} lines - File lines
+ * @param {Object} result - Parse result collecting warnings
+ * @param {Function} [onProgress] - Importer option, see reportParseProgress()
+ * @returns {Array} Readings of {station, date, value, mflag, qflag}
+ */
+function readByStationLines(lines, result, onProgress) {
+    const readings = [];
+
+    lines.forEach((line, i) => {
+        reportParseProgress(onProgress, i, lines.length);
+        const columns = parseCSVLine(line).map(cell => cell.trim());
+        if (columns[2] !== 'PRCP') return;
+
+        const { date, error } = parseCompactDate(columns[1]);
+        const value = parseInt(columns[3], 10);
+
+        if (error || isNaN(value)) {
+            result.warnings.push(`Row ${i + 1}: ${error || `Invalid PRCP value: ${columns[3]}`}`);
+            return;
+        }
+
+        readings.push({
+            station: columns[0],
+            date,
+            value,
+            mflag: columns[4] || '',
+            qflag: columns[5] || ''
+        });
+    });
+
+    return readings;
+}
+
+/**
+ * Read PRCP readings from an access CSV, taking station details from the first row
+ *
+ * @param {string[]} lines - File lines, header first
+ * @param {Object} result - Parse result collecting warnings and metadata
+ * @param {Function} [onProgress] - Importer option, see reportParseProgress()
+ * @returns {Array} Readings of {station, date, value, mflag, qflag}
+ */
+function readAccessLines(lines, result, onProgress) {
+    const header = parseCSVLine(lines[0]).map(cell => cell.trim().toUpperCase());
+    const column = name => header.indexOf(name);
+    const readings = [];
+
+    for (let i = 1; i < lines.length; i++) {
+        reportParseProgress(onProgress, i, lines.length);
+        const columns = parseCSVLine(lines[i]).map(cell => cell.trim());
+        const cell = name => (column(name) >= 0 ? columns[column(name)] || '' : '');
+
+        if (i === 1) {
+            result.metadata.stationName = cell('NAME') || null;
+            result.metadata.latitude = parseOptionalNumber(cell('LATITUDE'));
+            result.metadata.longitude = parseOptionalNumber(cell('LONGITUDE'));
+            result.metadata.elevation_m = parseOptionalNumber(cell('ELEVATION'));
+        }
+
+        const match = cell('DATE').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const { date, error } = match
+            ? buildDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10))
+            : { error: `Invalid date: ${cell('DATE')}` };
+
+        if (error) {
+            result.warnings.push(`Row ${i + 1}: ${error}`);
+            continue;
+        }
+
+        // A blank PRCP means other elements were observed that day but not rain
+        const value = cell('PRCP') === '' ? MISSING_VALUE : parseInt(cell('PRCP'), 10);
+        if (isNaN(value)) {
+            result.warnings.push(`Row ${i + 1}: Invalid PRCP value: ${cell('PRCP')}`);
+            continue;
+        }
+
+        const [mflag = '', qflag = ''] = cell('PRCP_ATTRIBUTES').split(',').map(flag => flag.trim());
+        readings.push({ station: cell('STATION'), date, value, mflag, qflag });
+    }
+
+    return readings;
+}
+
+/**
+ * Convert a GHCN reading to a rainfall data row
+ *
+ * @param {Object} reading - Reading of {date, value, mflag, qflag}
+ * @returns {Object} Rainfall data row
+ */
+function toRainfallRow(reading) {
+    const missing = reading.value === MISSING_VALUE || reading.value < 0 || reading.mflag === 'P';
+
+    return {
+        date: reading.date,
+        rainfall_mm: missing ? 0 : reading.value * TENTHS_TO_MM,
+        missing,
+        quality: reading.qflag === '' ? 'Y' : reading.qflag,
+        accumulated: false
+    };
+}
+
+/**
+ * Parse a YYYYMMDD date
+ *
+ * @param {string} value - Date text
+ * @returns {Object} {date} on success or {error}
+ */
+function parseCompactDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!match) {
+        return { error: `Invalid date: ${value}` };
+    }
+    return buildDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+}
+
+/**
+ * Parse a number, returning null for blank or invalid text
+ *
+ * @param {string} value - Number text
+ * @returns {number|null} Parsed number
+ */
+function parseOptionalNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * First non-blank line of a text
+ *
+ * @param {string} text - Raw file contents
+ * @returns {string} First line, or '' if none
+ */
+function firstLine(text) {
+    return (text || '').split(/\r?\n/).find(line => line.trim()) || '';
+}
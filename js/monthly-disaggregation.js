@@ -0,0 +1,290 @@
+/**
+ * BoM Monthly Rainfall Disaggregation
+ *
+ * Some stations only have monthly totals (product IDCJAC0001), often
+ * reaching much further back than any daily record:
+ *
+ * Product code,Station number,Year,Month,Monthly Precipitation Total (millimetres),Quality
+ * IDCJAC0001,070351,1939,03,52.1,Y
+ *
+ * The water balance needs days, so each month's total is split into a
+ * daily series. Disaggregated rows are flagged `disaggregated: true`.
+ */
+
+import { buildDate, parseCSVLine, createParseResult, completeParseResult } from './csv-parser.js';
+import { addDays, toDateKey, formatNumber } from './utils.js';
+
+/**
+ * Ways of splitting a monthly total into days
+ */
+export const DISAGGREGATION_METHODS = {
+    uniform: 'Spread evenly over the month',
+    pattern: 'Rain-day pattern from a daily station'
+};
+
+export const DEFAULT_DISAGGREGATION_METHOD = 'uniform';
+
+/**
+ * Whether a header row is from the BoM monthly rainfall product
+ *
+ * @param {string} headerRow - The first line of the CSV
+ * @returns {boolean} True for a Year/Month/Monthly total header without a Day column
+ */
+export function isBoMMonthly(headerRow) {
+    if (!headerRow) {
+        return false;
+    }
+
+    const header = headerRow.toLowerCase();
+    return /year/.test(header) &&
+        /month/.test(header) &&
+        /monthly (precipitation|rainfall)/.test(header) &&
+        !/(^|,)\s*day\s*(,|$)/.test(header);
+}
+
+/**
+ * Parse a BoM monthly rainfall CSV and disaggregate it to daily rows
+ *
+ * The 'pattern' method uses the method of fragments: each month copies the
+ * wet and dry days of a complete, wet month at the donor station, scaled to
+ * the monthly total. The donor's same month is used where the records
+ * overlap; earlier months borrow the donor's same calendar month whose
+ * total is closest. Months with no donor pattern fall back to an even spread.
+ *
+ * @param {string} csvText - Raw CSV text content
+ * @param {Object} [options] - Disaggregation options
+ * @param {string} [options.method='uniform'] - Key of DISAGGREGATION_METHODS
+ * @param {Object} [options.donor] - Successful daily parse result for the 'pattern' method
+ * @returns {Object} Parse result in the parseBoMCSV shape, with metadata.disaggregation
+ */
+export function parseBoMMonthlyCSV(csvText, options = {}) {
+    const { method = DEFAULT_DISAGGREGATION_METHOD, donor = null } = options;
+
+    const result = createParseResult();
+
+    if (!DISAGGREGATION_METHODS[method]) {
+        result.errors.push(`Unknown disaggregation method: ${method}`);
+        return result;
+    }
+
+    const lines = (csvText || '').split(/\r?\n/).filter(line => line.trim());
+
+    if (lines.length < 2) {
+        result.errors.push('File appears to be empty or has no data rows');
+        return result;
+    }
+
+    if (!isBoMMonthly(lines[0])) {
+        result.errors.push("File doesn't appear to be a BoM monthly rainfall CSV");
+        return result;
+    }
+
+    const months = [];
+    for (let i = 1; i < lines.length; i++) {
+        const parsed = parseMonthRow(lines[i]);
+
+        if (parsed.error) {
+            result.warnings.push(`Row ${i + 1}: ${parsed.error}`);
+            continue;
+        }
+
+        if (!result.metadata.station && parsed.station) {
+            result.metadata.station = parsed.station;
+            result.metadata.productCode = parsed.productCode;
+        }
+        months.push(parsed);
+    }
+
+    const usePattern = method === 'pattern' && donor !== null;
+    if (method === 'pattern' && !usePattern) {
+        result.warnings.push('No daily station uploaded to borrow rain-day patterns from - monthly totals spread evenly');
+    }
+
+    const fragments = usePattern ? buildFragments(donor.data) : null;
+    const disaggregation = {
+        method: usePattern ? 'pattern' : 'uniform',
+        donorStation: usePattern ? donor.metadata.station : null,
+        patternMonths: 0,
+        uniformMonths: 0
+    };
+
+    const dataRows = [];
+    for (const month of months) {
+        const days = monthDates(month.date);
+        const pattern = usePattern && !month.missing && month.total_mm > 0
+            ? chooseFragment(fragments, month)
+            : null;
+
+        if (!month.missing && month.total_mm > 0) {
+            if (pattern) {
+                disaggregation.patternMonths++;
+            } else {
+                disaggregation.uniformMonths++;
+            }
+        }
+
+        const shares = pattern ? fitShares(pattern, days.length) : null;
+
+        days.forEach((date, i) => {
+            const share = shares ? shares[i] : 1 / days.length;
+            dataRows.push({
+                date,
+                rainfall_mm: month.missing ? 0 : month.total_mm * share,
+                missing: month.missing,
+                quality: month.quality,
+                accumulated: false,
+                disaggregated: true
+            });
+        });
+    }
+
+    if (usePattern && disaggregation.uniformMonths > 0) {
+        result.warnings.push(`${disaggregation.uniformMonths} wet months had no usable pattern at ${disaggregation.donorStation || 'the daily station'} - spread evenly`);
+    }
+
+    result.metadata.disaggregation = disaggregation;
+    return completeParseResult(result, dataRows);
+}
+
+/**
+ * Parse a single monthly data row
+ *
+ * @param {string} line - CSV line
+ * @returns {Object} {productCode, station, date, total_mm, missing, quality} or {error}
+ */
+function parseMonthRow(line) {
+    const columns = parseCSVLine(line).map(cell => cell.trim());
+
+    // Product code, station, year, month, total, quality
+    if (columns.length < 5) {
+        return { error: `Expected at least 5 columns, got ${columns.length}` };
+    }
+
+    const { date, error } = buildDate(parseInt(columns[2], 10), parseInt(columns[3], 10), 1);
+    if (error) {
+        return { error };
+    }
+
+    const totalText = columns[4];
+    const missing = totalText === '' || totalText.toLowerCase() === 'null';
+    const total_mm = missing ? 0 : parseFloat(totalText);
+
+    if (!missing && (isNaN(total_mm) || total_mm < 0)) {
+        return { error: `Invalid monthly total: ${totalText}` };
+    }
+
+    return {
+        productCode: columns[0],
+        station: columns[1],
+        date,
+        total_mm,
+        missing,
+        quality: columns[5] || ''
+    };
+}
+
+/**
+ * List every date in a month
+ *
+ * @param {Date} firstDay - First day of the month
+ * @returns {Date[]} Dates in the month
+ */
+function monthDates(firstDay) {
+    const dates = [];
+    for (let date = firstDay; date.getMonth() === firstDay.getMonth(); date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Collect the daily rain shares of every complete, wet donor month
+ *
+ * @param {Array} donorData - Daily rows from the donor station
+ * @returns {Array} Fragments of {key, month, total, shares}
+ */
+function buildFragments(donorData) {
+    const byMonth = new Map();
+
+    for (const day of donorData) {
+        const key = toDateKey(day.date).slice(0, 7);
+        if (!byMonth.has(key)) {
+            byMonth.set(key, { key, month: day.date.getMonth(), first: day.date, days: [] });
+        }
+        byMonth.get(key).days.push(day);
+    }
+
+    const fragments = [];
+    for (const entry of byMonth.values()) {
+        const complete = entry.first.getDate() === 1 &&
+            entry.days.length === monthDates(entry.first).length &&
+            entry.days.every(day => !day.missing);
+        const total = entry.days.reduce((sum, day) => sum + day.rainfall_mm, 0);
+
+        if (complete && total > 0) {
+            fragments.push({
+                key: entry.key,
+                month: entry.month,
+                total,
+                shares: entry.days.map(day => day.rainfall_mm / total)
+            });
+        }
+    }
+
+    return fragments;
+}
+
+/**
+ * Pick the donor fragment for a month
+ *
+ * @param {Array} fragments - Result from buildFragments()
+ * @param {Object} month - Parsed monthly row
+ * @returns {number[]|null} Daily shares, or null if no fragment suits
+ */
+function chooseFragment(fragments, month) {
+    const key = toDateKey(month.date).slice(0, 7);
+    const sameMonth = fragments.find(fragment => fragment.key === key);
+    if (sameMonth) {
+        return sameMonth.shares;
+    }
+
+    let best = null;
+    for (const fragment of fragments) {
+        if (fragment.month !== month.date.getMonth()) continue;
+        if (!best || Math.abs(fragment.total - month.total_mm) < Math.abs(best.total - month.total_mm)) {
+            best = fragment;
+        }
+    }
+
+    return best ? best.shares : null;
+}
+
+/**
+ * Fit donor shares to a month of a different length (29 vs 28 February days)
+ *
+ * @param {number[]} shares - Donor daily shares
+ * @param {number} length - Days in the target month
+ * @returns {number[]} Shares for the target month, summing to 1
+ */
+function fitShares(shares, length) {
+    const fitted = Array.from({ length }, (_, i) => shares[i] || 0);
+    const total = fitted.reduce((sum, share) => sum + share, 0);
+
+    // A lone wet 29 February dropped for a 28-day month leaves nothing to scale
+    return total > 0 ? fitted.map(share => share / total) : fitted.fill(1 / length);
+}
+
+/**
+ * Describe how monthly totals were split, for the data summary
+ *
+ * @param {Object} disaggregation - metadata.disaggregation from parseBoMMonthlyCSV()
+ * @returns {string} Human-readable description
+ */
+export function describeDisaggregation(disaggregation) {
+    if (disaggregation.method === 'uniform') {
+        return `Daily values disaggregated from monthly totals (${DISAGGREGATION_METHODS.uniform.toLowerCase()})`;
+    }
+
+    return `Daily values disaggregated from monthly totals using rain-day patterns from station ${disaggregation.donorStation || 'upload'} ` +
+        `(${formatNumber(disaggregation.patternMonths)} months patterned, ${formatNumber(disaggregation.uniformMonths)} spread evenly)`;
+}
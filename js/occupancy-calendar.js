@@ -0,0 +1,210 @@
+/**
+ * Occupancy Calendar
+ *
+ * Holiday homes and shacks sit empty most of the year: the tank fills
+ * while nobody is there and is drawn hard over weekends and school
+ * holidays. The calendar sets how many people are at the property on each
+ * day of every year in the record, from recurring weekends, school-holiday
+ * blocks and custom date ranges.
+ *
+ * School holidays differ between states and years, so the blocks are
+ * typical dates; Easter follows each year's actual Easter Sunday.
+ */
+
+import { addDays, formatNumber, isNextDay } from './utils.js';
+
+/**
+ * Kinds of occupied period
+ */
+export const OCCUPANCY_PERIOD_KINDS = {
+    weekends: 'Every weekend',
+    holiday: 'School holidays',
+    custom: 'Date range'
+};
+
+/**
+ * Holiday blocks recurring every year, as MM-DD ranges that may run over New Year
+ */
+export const HOLIDAY_BLOCKS = {
+    christmas: { label: 'Christmas fortnight (24 Dec - 6 Jan)', name: 'Christmas fortnight', start: '12-24', end: '01-06' },
+    summer: { label: 'Summer holidays (20 Dec - 27 Jan)', name: 'Summer holidays', start: '12-20', end: '01-27' },
+    easter: { label: 'Easter holidays (Good Friday to 2 weeks after Easter)', name: 'Easter holidays', easter: true },
+    winter: { label: 'Winter holidays (1 - 14 Jul)', name: 'Winter holidays', start: '07-01', end: '07-14' },
+    spring: { label: 'Spring holidays (23 Sep - 7 Oct)', name: 'Spring holidays', start: '09-23', end: '10-07' }
+};
+
+/**
+ * Name of an occupied period, for results
+ *
+ * @param {Object} period - Period of {kind, holiday, name, start, end}
+ * @returns {string} Display name
+ */
+export function periodName(period) {
+    if (period.kind === 'weekends') {
+        return 'Weekends';
+    }
+    if (period.kind === 'holiday') {
+        return HOLIDAY_BLOCKS[period.holiday].name;
+    }
+    return period.name || `${period.start} to ${period.end}`;
+}
+
+/**
+ * Build a lookup of the people at the property on a day
+ *
+ * Where periods overlap, the most occupants apply.
+ *
+ * @param {Object} calendar - Occupancy calendar
+ * @param {number} calendar.usualOccupants - People the daily usage is for
+ * @param {number} calendar.occupantsOtherwise - People on days outside every period (0 = empty)
+ * @param {Array} calendar.periods - Periods of {kind, holiday, name, start, end, occupants}; custom
+ *   periods have MM-DD start and end dates, recurring every year
+ * @returns {Function} (date) => occupants
+ */
+export function createOccupancyLookup(calendar) {
+    const periods = calendar.periods.map(period => ({ covers: createPeriodTest(period), occupants: period.occupants }));
+
+    return date => periods.reduce(
+        (occupants, period) => (period.covers(date) ? Math.max(occupants, period.occupants) : occupants),
+        calendar.occupantsOtherwise
+    );
+}
+
+/**
+ * Find each occurrence of a period in the record
+ *
+ * An occurrence is a run of consecutive days the period covers, so a
+ * range over New Year counts once. Occurrences cut off by the start or end
+ * of the record, or by a break where days were taken out, are left out.
+ *
+ * @param {Array} rainfallData - Array of {date} objects
+ * @param {Object} period - Period of {kind, holiday, name, start, end}
+ * @returns {Array} Occurrences of {startIndex, endIndex}
+ */
+export function findPeriodOccurrences(rainfallData, period) {
+    const covers = createPeriodTest(period);
+    const occurrences = [];
+    let current = null;
+
+    rainfallData.forEach((dayData, index) => {
+        if (!covers(dayData.date)) {
+            current = null;
+            return;
+        }
+
+        if (current && current.endIndex === index - 1 && isNextDay(rainfallData[index - 1].date, dayData.date)) {
+            current.endIndex = index;
+        } else {
+            current = { startIndex: index, endIndex: index };
+            occurrences.push(current);
+        }
+    });
+
+    const lastIndex = rainfallData.length - 1;
+    const startsAfterBreak = index => index === 0 || !isNextDay(rainfallData[index - 1].date, rainfallData[index].date);
+    const endsBeforeBreak = index => index === lastIndex || !isNextDay(rainfallData[index].date, rainfallData[index + 1].date);
+
+    return occurrences.filter(({ startIndex, endIndex }) => !(
+        (startsAfterBreak(startIndex) && covers(addDays(rainfallData[startIndex].date, -1))) ||
+        (endsBeforeBreak(endIndex) && covers(addDays(rainfallData[endIndex].date, 1)))
+    ));
+}
+
+/**
+ * Describe how much the property is used, for the results data note
+ *
+ * @param {Object|null} calendar - Occupancy calendar
+ * @param {Array} rainfallData - Array of {date} objects
+ * @returns {string} Description, or '' without a calendar
+ */
+export function describeOccupancy(calendar, rainfallData) {
+    if (!calendar) {
+        return '';
+    }
+
+    const occupantsOn = createOccupancyLookup(calendar);
+    const occupiedDays = rainfallData.reduce((count, dayData) => count + (occupantsOn(dayData.date) > 0 ? 1 : 0), 0);
+    const daysPerYear = occupiedDays / (rainfallData.length / 365.25);
+
+    return `Occupied about ${formatNumber(daysPerYear)} days a year, with usage scaled from ` +
+        `${formatNumber(calendar.usualOccupants)} ${calendar.usualOccupants === 1 ? 'person' : 'people'} to those present`;
+}
+
+/**
+ * Build a test for whether a period covers a day
+ *
+ * @param {Object} period - Period of {kind, holiday, start, end}
+ * @returns {Function} (date) => boolean
+ */
+function createPeriodTest(period) {
+    if (period.kind === 'weekends') {
+        return date => date.getDay() === 0 || date.getDay() === 6;
+    }
+
+    const range = period.kind === 'holiday' ? HOLIDAY_BLOCKS[period.holiday] : period;
+    if (!range) {
+        throw new Error(`Unknown holiday: ${period.holiday}`);
+    }
+
+    if (range.easter) {
+        const easterRanges = new Map();
+        return date => {
+            const year = date.getFullYear();
+            if (!easterRanges.has(year)) {
+                const sunday = easterSunday(year);
+                easterRanges.set(year, { start: addDays(sunday, -2).getTime(), end: addDays(sunday, 14).getTime() });
+            }
+            const { start, end } = easterRanges.get(year);
+            return date.getTime() >= start && date.getTime() <= end;
+        };
+    }
+
+    const start = monthDayKey(range.start);
+    const end = monthDayKey(range.end);
+    if (isNaN(start) || isNaN(end)) {
+        throw new Error(`${periodName(period)} needs a start and end date`);
+    }
+
+    return date => {
+        const key = (date.getMonth() + 1) * 100 + date.getDate();
+        return start <= end
+            ? key >= start && key <= end
+            : key >= start || key <= end;
+    };
+}
+
+/**
+ * Convert an MM-DD date to a comparable number, e.g. '12-24' to 1224
+ *
+ * @param {string} monthDay - Date in MM-DD form
+ * @returns {number} Month × 100 + day, or NaN
+ */
+function monthDayKey(monthDay) {
+    const [month, day] = String(monthDay).split('-').map(part => parseInt(part, 10));
+    return month * 100 + day;
+}
+
+/**
+ * Date of Easter Sunday (anonymous Gregorian algorithm)
+ *
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday at local midnight
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(year, month - 1, day);
+}
@@ -5,7 +5,22 @@
  * for offsetting mains water usage.
  */
 
-import { runWaterBalance, calculateRoofPotential, TANK_SIZES, DEFAULTS } from './water-balance.js';
+import {
+    runWaterBalance,
+    runTankSystem,
+    resolveCatchments,
+    analyzeCatchments,
+    suggestTankConfiguration,
+    describeTankSystem,
+    calculateRoofPotential,
+    calculateGutterOverflow,
+    calculateFirstFlush,
+    TANK_SIZES
+} from './water-balance.js';
+import { calculateUnverifiedShare } from './data-quality.js';
+import { buildDemandByUse, summarizeDemand } from './demand-profile.js';
+import { buildGardenDemand, summarizeGardenDemand } from './garden-demand.js';
+import { splitEndUses, combineEndUseSupply, sumConnectedDemand } from './end-uses.js';
 
 /**
  * Analyze opportunistic mode - compare tank sizes for savings
@@ -16,6 +31,17 @@ import { runWaterBalance, calculateRoofPotential, TANK_SIZES, DEFAULTS } from '.
  * @param {number} params.dailyUsage_L - Daily water usage
  * @param {number} params.waterRate_perKL - Water rate in dollars per kilolitre
  * @param {number[]} [params.tankSizesToCompare] - Tank sizes to analyze
+ * @param {number|null} [params.gutterCapacity_Ls] - Gutter/downpipe capacity in L/s (null = unlimited)
+ * @param {Object|null} [params.firstFlush] - First-flush diverter {mode, amount, resetDryDays} (null = none)
+ * @param {Object|null} [params.runoffLosses] - {initialLoss_mm, continuingLoss} used instead of the flat runoff coefficient
+ * @param {Array|null} [params.catchments] - Roofs of {name, area_m2, runoffLosses, connected, tank}, instead of the roof area and losses
+ * @param {Object|null} [params.tankSetup] - {setup, tanks}: a key of TANK_SETUPS, and for separate tanks
+ *   their {name, dailyUsage_L} (null = one tank). Separate tanks are compared at the same size each.
+ * @param {Object|null} [params.demandProfile] - {monthly, weekly, occupancy} scaling the daily usage (null = the same every day)
+ * @param {Object|null} [params.garden] - Garden watering settings for buildGardenDemand(), added to the
+ *   household usage (of the first tank, when separate) (null = none)
+ * @param {Object|null} [params.endUses] - {shares, connected} for splitEndUses(): the tank supplies
+ *   only the connected uses, in priority order (null = the whole household)
  * @returns {Object} Opportunistic analysis results
  */
 export function analyzeOpportunisticMode(rainfallData, params) {
@@ -23,26 +49,57 @@ export function analyzeOpportunisticMode(rainfallData, params) {
         roofArea_m2,
         dailyUsage_L,
         waterRate_perKL,
-        tankSizesToCompare = TANK_SIZES
+        tankSizesToCompare = TANK_SIZES,
+        gutterCapacity_Ls = null,
+        firstFlush = null,
+        runoffLosses = null,
+        catchments = null,
+        tankSetup = null,
+        demandProfile = null,
+        garden = null,
+        endUses = null
     } = params;
 
+    const roofs = resolveCatchments({ roofArea_m2, runoffLosses, catchments });
+    const garden_L = garden ? buildGardenDemand(rainfallData, garden) : null;
+    const tankDemand = (usage_L, tankGarden_L) => {
+        const byUse = buildDemandByUse(rainfallData, usage_L, demandProfile, tankGarden_L);
+        return endUses ? splitEndUses(byUse, endUses).connected : byUse;
+    };
+    const demandByUse = tankDemand(dailyUsage_L, garden_L);
+    const baseConfig = { catchments: roofs, dailyUsage_L, demandByUse, gutterCapacity_Ls, firstFlush };
+    const setup = tankSetup ? tankSetup.setup : 'single';
+    const tankDemands = setup === 'separate'
+        ? tankSetup.tanks.map((tank, index) => ({
+            ...tank,
+            demandByUse: tankDemand(tank.dailyUsage_L, index === 0 ? garden_L : null)
+        }))
+        : null;
+    const separateTanks = tankDemands
+        ? tanksOfSize => tankDemands.map(tank => ({ ...tank, size_L: tanksOfSize }))
+        : null;
+
     // Calculate roof potential
-    const roofPotential = calculateRoofPotential(rainfallData, roofArea_m2);
+    const roofPotential = calculateRoofPotential(rainfallData, roofs);
 
-    // Calculate total water demand over the period
-    const totalDays = rainfallData.length;
-    const totalDemand_L = dailyUsage_L * totalDays;
-    const years = totalDays / 365.25;
+    // Calculate total water demand over the period, following the demand profile;
+    // the tank can only offset the uses connected to it
+    const householdUsage_L = tankDemands
+        ? tankDemands.reduce((sum, tank) => sum + tank.dailyUsage_L, 0)
+        : dailyUsage_L;
+    const householdDemand = buildDemandByUse(rainfallData, householdUsage_L, demandProfile, garden_L);
+    const endUseDemand = endUses ? splitEndUses(householdDemand, endUses) : null;
+    const demand = summarizeDemand(rainfallData, householdDemand);
+    const totalDemand_L = endUseDemand ? sumConnectedDemand(endUseDemand) : demand.total_L;
+    const years = rainfallData.length / 365.25;
 
-    // Analyze each tank size and store simulations
+    // Analyze each tank size and store simulations; linked and cascading
+    // tanks hold and supply as one tank of their combined size
     const simulations = new Map();
     const comparisons = tankSizesToCompare.map(tankSize_L => {
-        const result = runWaterBalance({
-            rainfallData,
-            tankSize_L,
-            roofArea_m2,
-            dailyUsage_L
-        });
+        const result = separateTanks
+            ? runTankSystem({ rainfallData, ...baseConfig, setup, tanks: separateTanks(tankSize_L) })
+            : runWaterBalance({ rainfallData, tankSize_L, ...baseConfig });
 
         // Store the full simulation for chart visualization
         simulations.set(tankSize_L, result);
@@ -60,11 +117,11 @@ export function analyzeOpportunisticMode(rainfallData, params) {
         const annualMainsNeeded_L = mainsWaterNeeded_L / years;
         const annualSavings = (annualRainwaterUsed_L / 1000) * waterRate_perKL;
 
-        // Calculate efficiency (how much of captured rain is used vs overflow)
+        // Calculate efficiency (how much of captured rain is used vs overflow and first flush)
         const totalCapture = roofPotential.totalCapture_L;
         const overflow_L = result.summary.totalOverflow_L;
         const captureEfficiency = totalCapture > 0
-            ? ((totalCapture - overflow_L) / totalCapture) * 100
+            ? ((totalCapture - overflow_L - result.summary.totalFirstFlush_L) / totalCapture) * 100
             : 0;
 
         // Overflow as percentage of potential capture
@@ -74,6 +131,7 @@ export function analyzeOpportunisticMode(rainfallData, params) {
 
         return {
             tankSize_L,
+            capacity_L: separateTanks ? tankSize_L * tankSetup.tanks.length : tankSize_L,
             rainwaterUsed_L,
             mainsWaterNeeded_L,
             percentOffset,
@@ -81,6 +139,7 @@ export function analyzeOpportunisticMode(rainfallData, params) {
             annualMainsNeeded_L,
             annualSavings,
             overflow_L,
+            annualOverflow_L: overflow_L / years,
             overflowPercent,
             captureEfficiency,
             daysEmpty: result.summary.daysEmpty
@@ -90,8 +149,9 @@ export function analyzeOpportunisticMode(rainfallData, params) {
     // Find the "best value" tank - best balance of savings vs diminishing returns
     const bestValue = findBestValueTank(comparisons);
 
-    // Calculate user's current annual water cost
-    const annualDemand_kL = (dailyUsage_L * 365.25) / 1000;
+    // Calculate user's current annual water cost for the tank-connected uses
+    const annualDemand_kL = totalDemand_L / years / 1000;
+    const bestSummary = simulations.get(bestValue.tankSize_L).summary;
     const annualWaterCost = annualDemand_kL * waterRate_perKL;
 
     return {
@@ -107,12 +167,62 @@ export function analyzeOpportunisticMode(rainfallData, params) {
         },
         waterCost: {
             annualDemand_kL,
+            householdDemand_kL: demand.annual_L / 1000,
             annualCost: annualWaterCost,
             ratePerKL: waterRate_perKL
-        }
+        },
+        inputQuality: calculateUnverifiedShare(rainfallData),
+        demand,
+        connectedAnnual_L: endUseDemand ? totalDemand_L / years : null,
+        gardenDemand: garden_L ? summarizeGardenDemand(rainfallData, garden_L) : null,
+        supplyByUse: endUseDemand
+            ? combineEndUseSupply(bestSummary.supplyByUse, endUseDemand.unconnected)
+            : garden_L ? bestSummary.supplyByUse : null,
+        gutterOverflow: gutterCapacity_Ls
+            ? calculateGutterOverflow(rainfallData, roofs, gutterCapacity_Ls)
+            : null,
+        firstFlush: firstFlush
+            ? calculateFirstFlush(rainfallData, roofs, firstFlush, gutterCapacity_Ls)
+            : null,
+        catchments: roofs.length > 1
+            ? analyzeCatchments({
+                rainfallData,
+                tankSize_L: bestValue.tankSize_L,
+                ...baseConfig,
+                ...(separateTanks ? { setup, tanks: separateTanks(bestValue.tankSize_L) } : {})
+            })
+            : null,
+        sizesPerTank: Boolean(separateTanks),
+        tankSystem: setup === 'single'
+            ? null
+            : describeBestValueSystem(rainfallData, baseConfig, setup, separateTanks ? separateTanks(bestValue.tankSize_L) : null, bestValue.tankSize_L)
     };
 }
 
+/**
+ * Per-tank results for the best-value size
+ *
+ * Linked and cascading storage is split into identical standard tanks,
+ * which may hold a little more than the compared size.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @param {Object} baseConfig - Base simulation config
+ * @param {string} setup - Key of TANK_SETUPS, other than single
+ * @param {Array|null} separateTanks - Separate tanks at the best-value size
+ * @param {number} tankSize_L - Best-value size
+ * @returns {Object} {setup, description, tanks}
+ */
+function describeBestValueSystem(rainfallData, baseConfig, setup, separateTanks, tankSize_L) {
+    let tanks = separateTanks;
+    if (!tanks) {
+        const { count, size_L } = suggestTankConfiguration(tankSize_L);
+        tanks = Array.from({ length: count }, (_, index) => ({ name: `Tank ${index + 1}`, size_L }));
+    }
+
+    const result = runTankSystem({ rainfallData, ...baseConfig, setup, tanks });
+    return { setup, description: describeTankSystem(setup, tanks), tanks: result.tanks };
+}
+
 /**
  * Find the "best value" tank size based on diminishing returns
  *
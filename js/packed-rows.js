@@ -0,0 +1,131 @@
+/**
+ * Packed Rainfall Rows
+ *
+ * Daily rows stored column by column in typed arrays. A 150-year record is
+ * about 55,000 rows; as objects each carries a Date and several fields,
+ * while packed it is a few flat buffers that the parse worker can hand to
+ * the page without copying. Each loaded file keeps its result packed, but
+ * the record the app edits and simulates is rows: they are unpacked again
+ * whenever the record is rebuilt, so packing saves transfer and storage of
+ * the loaded files, not the working record's memory.
+ */
+
+/**
+ * Bit for each boolean row field
+ */
+const FLAGS = {
+    missing: 1,
+    accumulated: 2,
+    inserted: 4,
+    interpolated: 8,
+    disaggregated: 16
+};
+
+/**
+ * Pack daily rows into typed arrays
+ *
+ * Quality codes are single characters ('Y', 'N', NOAA flag letters).
+ *
+ * @param {Array} rows - Rainfall rows
+ * @returns {Object} Packed rows
+ */
+export function packRows(rows) {
+    const length = rows.length;
+    const packed = {
+        length,
+        dates: new Float64Array(length),
+        rainfall: new Float64Array(length),
+        flags: new Uint8Array(length),
+        quality: new Uint8Array(length),
+        intervals: new Uint32Array(length),
+        amountOffsets: new Uint32Array(length + 1),
+        amounts: null
+    };
+
+    const amounts = [];
+    rows.forEach((row, i) => {
+        packed.dates[i] = row.date.getTime();
+        packed.rainfall[i] = row.rainfall_mm;
+        packed.quality[i] = row.quality ? row.quality.charCodeAt(0) : 0;
+
+        for (const [field, bit] of Object.entries(FLAGS)) {
+            if (row[field]) {
+                packed.flags[i] |= bit;
+            }
+        }
+
+        if (row.subDaily) {
+            packed.intervals[i] = row.subDaily.interval_s;
+            amounts.push(...row.subDaily.amounts);
+        }
+        packed.amountOffsets[i + 1] = amounts.length;
+    });
+
+    packed.amounts = Float64Array.from(amounts);
+    return packed;
+}
+
+/**
+ * Rebuild daily rows from packed typed arrays
+ *
+ * @param {Object} packed - Result from packRows()
+ * @returns {Array} Rainfall rows
+ */
+export function unpackRows(packed) {
+    const rows = new Array(packed.length);
+
+    for (let i = 0; i < packed.length; i++) {
+        const flags = packed.flags[i];
+        const row = {
+            date: new Date(packed.dates[i]),
+            rainfall_mm: packed.rainfall[i],
+            missing: (flags & FLAGS.missing) !== 0,
+            quality: packed.quality[i] ? String.fromCharCode(packed.quality[i]) : '',
+            accumulated: (flags & FLAGS.accumulated) !== 0
+        };
+
+        if (flags & FLAGS.inserted) row.inserted = true;
+        if (flags & FLAGS.interpolated) row.interpolated = true;
+        if (flags & FLAGS.disaggregated) row.disaggregated = true;
+
+        if (packed.intervals[i]) {
+            row.subDaily = {
+                interval_s: packed.intervals[i],
+                amounts: Array.from(packed.amounts.subarray(packed.amountOffsets[i], packed.amountOffsets[i + 1]))
+            };
+        }
+
+        rows[i] = row;
+    }
+
+    return rows;
+}
+
+/**
+ * Give a parse result its daily rows
+ *
+ * @param {Object} result - Parse result, with data or with packed rows from the parse worker
+ * @returns {Object} The result itself if it has data, otherwise a copy with its rows unpacked
+ */
+export function withRows(result) {
+    const { packed, ...rest } = result;
+    return packed ? { ...rest, data: unpackRows(packed) } : result;
+}
+
+/**
+ * Buffers to transfer to another thread with a packed record
+ *
+ * @param {Object} packed - Result from packRows()
+ * @returns {ArrayBuffer[]} Underlying buffers
+ */
+export function packedBuffers(packed) {
+    return [
+        packed.dates.buffer,
+        packed.rainfall.buffer,
+        packed.flags.buffer,
+        packed.quality.buffer,
+        packed.intervals.buffer,
+        packed.amountOffsets.buffer,
+        packed.amounts.buffer
+    ];
+}
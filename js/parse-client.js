@@ -0,0 +1,67 @@
+/**
+ * Parse Client
+ *
+ * Runs readAndParse() jobs in a parse worker, one worker per job so a job
+ * can be cancelled by ending its worker. Where workers are unavailable the
+ * job runs on the page instead.
+ */
+
+import { readAndParse } from './source-formats.js';
+
+export const PARSE_CANCELLED_MESSAGE = 'Loading cancelled';
+
+/**
+ * Start a parse job
+ *
+ * @param {Object} job - readAndParse() job: {file, format?} plus importer options
+ * @param {Function} [onProgress] - Called with readAndParse() progress
+ * @returns {Object} {promise, cancel} where promise resolves to readAndParse()'s {format, zip, result};
+ *   a result from the worker has its rows packed, with data null (see withRows())
+ */
+export function startParse(job, onProgress = () => {}) {
+    if (typeof Worker === 'undefined') {
+        return { promise: readAndParse(job, onProgress), cancel: () => {} };
+    }
+
+    const worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+    let rejectJob = null;
+
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message);
+                return;
+            }
+
+            worker.terminate();
+            if (message.type === 'error') {
+                reject(new Error(message.message));
+                return;
+            }
+
+            resolve({
+                format: message.format,
+                zip: message.zip,
+                result: message.result ? { ...message.result, packed: message.packed } : null
+            });
+        };
+
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'The file could not be read'));
+        };
+    });
+
+    worker.postMessage(job);
+
+    return {
+        promise,
+        cancel: () => {
+            worker.terminate();
+            rejectJob(new Error(PARSE_CANCELLED_MESSAGE));
+        }
+    };
+}
@@ -0,0 +1,33 @@
+/**
+ * Parse Worker
+ *
+ * Reads and parses an uploaded file off the main thread so long records
+ * don't freeze the page. Receives one readAndParse() job, posts progress
+ * messages while it runs, then posts the result with its rows packed into
+ * transferable typed arrays. The file's text stays in the worker.
+ */
+
+import { readAndParse } from './source-formats.js';
+import { packRows, packedBuffers } from './packed-rows.js';
+
+self.onmessage = async (event) => {
+    const job = event.data;
+
+    try {
+        const { format, zip, result } = await readAndParse(job, progress => {
+            self.postMessage({ type: 'progress', ...progress });
+        });
+
+        const message = { type: 'result', format, zip, result: null, packed: null };
+        if (!result) {
+            self.postMessage(message);
+            return;
+        }
+
+        message.result = { ...result, data: null };
+        message.packed = packRows(result.data);
+        self.postMessage(message, packedBuffers(message.packed));
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
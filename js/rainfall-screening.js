@@ -0,0 +1,326 @@
+/**
+ * Rainfall Screening
+ *
+ * Looks for readings that are probably wrong rather than just unusual,
+ * judged against the station's own record: extreme daily values, runs of
+ * identical readings, long dry runs in months that are usually wet, and
+ * years whose total is far from the rest. Nothing is changed here; flags
+ * are warnings for the data review step, where the dates can be excluded
+ * or corrected.
+ */
+
+import { isObservedDay } from './climatology.js';
+import { toDateKey, fromDateKey, formatDate, formatDays, formatNumber } from './utils.js';
+
+/**
+ * Checks made on the record
+ */
+export const SCREENING_CHECKS = {
+    extreme: 'Extreme daily value',
+    repeated: 'Repeated identical values',
+    zeroRun: 'Implausible dry run',
+    annualTotal: 'Unusual annual total'
+};
+
+/**
+ * Smallest daily total counted as a rain day (the BoM rain-day threshold)
+ */
+const WET_DAY_MM = 0.2;
+
+/**
+ * Days above this multiple of the station's 99th-percentile rain day are flagged
+ */
+const EXTREME_MULTIPLE = 3;
+
+/**
+ * Rain days needed before the percentile means anything
+ */
+const MIN_WET_DAYS = 100;
+
+/**
+ * Identical non-zero readings on this many days in a row are flagged
+ */
+const REPEAT_RUN_DAYS = 5;
+
+/**
+ * Dry runs at least this long are checked against how often it usually rains
+ */
+const ZERO_RUN_MIN_DAYS = 21;
+
+/**
+ * Dry runs are flagged when this many rain days would be expected over them
+ */
+const ZERO_RUN_EXPECTED_WET_DAYS = 10;
+
+/**
+ * Observed days of a calendar month needed to estimate its chance of rain
+ */
+const MIN_MONTH_DAYS = 90;
+
+/**
+ * Complete years needed to judge annual totals
+ */
+const MIN_COMPLETE_YEARS = 8;
+
+/**
+ * Share of a year's days that must be reported for its total to count
+ */
+const COMPLETE_YEAR_SHARE = 0.95;
+
+/**
+ * Annual totals this many robust standard deviations from the median are flagged
+ */
+const ANNUAL_OUTLIER_LIMIT = 3.5;
+
+/**
+ * Screen a record for suspect values
+ *
+ * @param {Array} rainfallData - Rainfall data (edits applied, before quality policy and gap filling)
+ * @returns {Array} Flags of {check, start, end, value_mm, message}, dates as YYYY-MM-DD, sorted by start
+ */
+export function screenRainfall(rainfallData) {
+    const flags = [
+        ...findExtremeValues(rainfallData),
+        ...findRepeatedValues(rainfallData),
+        ...findDryRuns(rainfallData),
+        ...findUnusualYears(rainfallData)
+    ];
+
+    return flags.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Flag days far above the station's usual heavy rain
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Array} Flags
+ */
+function findExtremeValues(rainfallData) {
+    const wet = rainfallData
+        .filter(day => isObservedDay(day) && day.rainfall_mm >= WET_DAY_MM)
+        .map(day => day.rainfall_mm)
+        .sort((a, b) => a - b);
+
+    if (wet.length < MIN_WET_DAYS) {
+        return [];
+    }
+
+    const heavy = wet[Math.floor(0.99 * (wet.length - 1))];
+    const limit = EXTREME_MULTIPLE * heavy;
+
+    return rainfallData
+        .filter(day => isObservedDay(day) && day.rainfall_mm > limit)
+        .map(day => ({
+            check: 'extreme',
+            start: toDateKey(day.date),
+            end: toDateKey(day.date),
+            value_mm: day.rainfall_mm,
+            message: `${formatNumber(day.rainfall_mm, 1)} mm is more than ${EXTREME_MULTIPLE} times this station's 99th-percentile rain day (${formatNumber(heavy, 1)} mm)`
+        }));
+}
+
+/**
+ * Flag runs of the same non-zero reading, a sign of copied or filled-down values
+ *
+ * Multi-day totals, interpolated and disaggregated days are spread evenly
+ * on purpose, so they never count.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Array} Flags
+ */
+function findRepeatedValues(rainfallData) {
+    const flags = [];
+    const counts = day => isObservedDay(day) && !day.interpolated && !day.disaggregated && day.rainfall_mm >= WET_DAY_MM;
+
+    let runStart = 0;
+    for (let i = 1; i <= rainfallData.length; i++) {
+        const continues = i < rainfallData.length && counts(rainfallData[i]) &&
+            counts(rainfallData[runStart]) && rainfallData[i].rainfall_mm === rainfallData[runStart].rainfall_mm;
+        if (continues) continue;
+
+        const length = i - runStart;
+        if (length >= REPEAT_RUN_DAYS && counts(rainfallData[runStart])) {
+            const value = rainfallData[runStart].rainfall_mm;
+            flags.push({
+                check: 'repeated',
+                start: toDateKey(rainfallData[runStart].date),
+                end: toDateKey(rainfallData[i - 1].date),
+                value_mm: value,
+                message: `${formatDays(length)} in a row of exactly ${formatNumber(value, 1)} mm`
+            });
+        }
+        runStart = i;
+    }
+
+    return flags;
+}
+
+/**
+ * Flag long runs of zeros where the station would usually have had several rain days
+ *
+ * The usual chance of rain comes from each calendar month's share of rain
+ * days, so a dry month in the wet season counts for more than one in the
+ * dry season.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Array} Flags
+ */
+function findDryRuns(rainfallData) {
+    const wetChance = monthlyWetChance(rainfallData);
+    const flags = [];
+
+    let runStart = -1;
+    for (let i = 0; i <= rainfallData.length; i++) {
+        const dry = i < rainfallData.length && !rainfallData[i].missing && rainfallData[i].rainfall_mm === 0;
+        if (dry) {
+            if (runStart < 0) runStart = i;
+            continue;
+        }
+
+        if (runStart >= 0 && i - runStart >= ZERO_RUN_MIN_DAYS) {
+            const run = rainfallData.slice(runStart, i);
+            const expected = run.reduce((sum, day) => sum + (wetChance[day.date.getMonth()] || 0), 0);
+
+            if (expected >= ZERO_RUN_EXPECTED_WET_DAYS) {
+                flags.push({
+                    check: 'zeroRun',
+                    start: toDateKey(run[0].date),
+                    end: toDateKey(run[run.length - 1].date),
+                    value_mm: 0,
+                    message: `${formatDays(run.length)} with no rain where about ${formatNumber(expected)} rain days would be usual - check the gauge was being read`
+                });
+            }
+        }
+        runStart = -1;
+    }
+
+    return flags;
+}
+
+/**
+ * Share of observed days with rain in each calendar month
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Array} Twelve shares, null where a month has too few observed days
+ */
+function monthlyWetChance(rainfallData) {
+    const observed = new Array(12).fill(0);
+    const wet = new Array(12).fill(0);
+
+    for (const day of rainfallData) {
+        if (!isObservedDay(day)) continue;
+
+        const month = day.date.getMonth();
+        observed[month]++;
+        if (day.rainfall_mm >= WET_DAY_MM) {
+            wet[month]++;
+        }
+    }
+
+    return observed.map((count, month) => (count >= MIN_MONTH_DAYS ? wet[month] / count : null));
+}
+
+/**
+ * Flag complete years whose total is far from the record's typical year
+ *
+ * Uses the median and median absolute deviation, so one bad year can't
+ * widen the range enough to hide itself.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @returns {Array} Flags
+ */
+function findUnusualYears(rainfallData) {
+    const years = new Map();
+    for (const day of rainfallData) {
+        const year = day.date.getFullYear();
+        if (!years.has(year)) {
+            years.set(year, { year, days: 0, reported: 0, total: 0 });
+        }
+
+        const entry = years.get(year);
+        entry.days++;
+        if (!day.missing) {
+            entry.reported++;
+            entry.total += day.rainfall_mm;
+        }
+    }
+
+    // Whole calendar years only, with the few missing days made up at the year's own rate
+    const complete = Array.from(years.values())
+        .filter(entry => entry.days >= 365 && entry.reported >= COMPLETE_YEAR_SHARE * entry.days)
+        .map(entry => ({ year: entry.year, total: entry.total * entry.days / entry.reported }));
+
+    if (complete.length < MIN_COMPLETE_YEARS) {
+        return [];
+    }
+
+    const typical = median(complete.map(entry => entry.total));
+    const spread = 1.4826 * median(complete.map(entry => Math.abs(entry.total - typical)));
+    if (spread === 0) {
+        return [];
+    }
+
+    return complete
+        .filter(entry => Math.abs(entry.total - typical) / spread > ANNUAL_OUTLIER_LIMIT)
+        .map(entry => ({
+            check: 'annualTotal',
+            start: `${entry.year}-01-01`,
+            end: `${entry.year}-12-31`,
+            value_mm: entry.total,
+            message: `${entry.year} total of ${formatNumber(entry.total)} mm is far ${entry.total > typical ? 'above' : 'below'} the median year (${formatNumber(typical)} mm)`
+        }));
+}
+
+/**
+ * Median of a list of numbers
+ *
+ * @param {number[]} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Describe the screening flags, for the data summary and results note
+ *
+ * @param {Array} flags - Result from screenRainfall()
+ * @returns {string} Human-readable description, empty if nothing was flagged
+ */
+export function describeScreening(flags) {
+    if (flags.length === 0) {
+        return '';
+    }
+
+    return `Screening flagged ${flags.length} suspect ${flags.length === 1 ? 'value' : 'values'} for review`;
+}
+
+/**
+ * Generate the list of screening flags with buttons to inspect or exclude each
+ *
+ * @param {Array} flags - Result from screenRainfall()
+ * @returns {string} HTML string
+ */
+export function generateScreeningReport(flags) {
+    if (flags.length === 0) {
+        return '<p class="param-hint">No suspect values found.</p>';
+    }
+
+    let html = '<ul class="screening-list">';
+    flags.forEach((flag, index) => {
+        const period = flag.start === flag.end
+            ? formatDate(fromDateKey(flag.start))
+            : `${formatDate(fromDateKey(flag.start))} – ${formatDate(fromDateKey(flag.end))}`;
+
+        html += `<li class="screening-flag">`;
+        html += `<div><strong>${SCREENING_CHECKS[flag.check]}</strong> • ${period}<br>${flag.message}</div>`;
+        html += '<div class="screening-actions">';
+        html += `<button class="btn-show-flag" data-index="${index}">Show</button>`;
+        html += `<button class="btn-exclude-flag" data-index="${index}">Exclude</button>`;
+        html += '</div></li>';
+    });
+    html += '</ul>';
+    return html;
+}
@@ -0,0 +1,258 @@
+/**
+ * Record Merging
+ *
+ * Combines several parsed rainfall files (e.g. a closed station and its
+ * nearby replacement) into one continuous record with per-day provenance.
+ */
+
+import { buildContinuousCalendar } from './daily-calendar.js';
+import { toDateKey, formatNumber, formatPercent } from './utils.js';
+
+/**
+ * Rules for choosing between sources on overlapping dates
+ */
+export const MERGE_PRECEDENCE = {
+    order: 'Earlier uploads take precedence',
+    newest: 'Most recent record takes precedence',
+    checked: 'Quality-checked readings take precedence'
+};
+
+export const DEFAULT_MERGE_PRECEDENCE = 'order';
+
+/**
+ * Merge several parse results into one record
+ *
+ * Each merged row carries a `source` id naming the file it came from.
+ * Dates covered by no source are inserted as missing rows.
+ *
+ * @param {Array} sources - Array of {name, result} where result is a successful parse result
+ * @param {Object} [options] - Merge options
+ * @param {string} [options.precedence='order'] - Key of MERGE_PRECEDENCE
+ * @param {boolean} [options.fillGaps=false] - Fill a missing day from another source that has a reading
+ * @returns {Object} Parse-result-shaped merged record
+ */
+export function mergeRecords(sources, options = {}) {
+    const {
+        precedence = DEFAULT_MERGE_PRECEDENCE,
+        fillGaps = false
+    } = options;
+
+    if (!MERGE_PRECEDENCE[precedence]) {
+        throw new Error(`Unknown merge precedence: ${precedence}`);
+    }
+
+    if (sources.length === 0) {
+        throw new Error('No records to merge');
+    }
+
+    const ranked = rankSources(describeSources(sources), precedence);
+
+    // Collect every source's row for each date, in precedence order
+    const candidatesByDate = new Map();
+    for (const source of ranked) {
+        for (const row of source.result.data) {
+            if (row.inserted) continue;
+
+            const key = toDateKey(row.date);
+            if (!candidatesByDate.has(key)) {
+                candidatesByDate.set(key, []);
+            }
+            candidatesByDate.get(key).push({ row, source });
+        }
+    }
+
+    const provenance = new Map(ranked.map(source => [source.id, { days: 0, filledDays: 0 }]));
+    const mergedRows = [];
+    let overlapDays = 0;
+
+    for (const candidates of candidatesByDate.values()) {
+        if (candidates.length > 1) {
+            overlapDays++;
+        }
+
+        let chosen = precedence === 'checked'
+            ? candidates.find(c => !c.row.missing && c.row.quality === 'Y') || candidates[0]
+            : candidates[0];
+
+        let filled = false;
+        if (fillGaps && chosen.row.missing) {
+            const replacement = candidates.find(c => !c.row.missing);
+            if (replacement) {
+                chosen = replacement;
+                filled = true;
+            }
+        }
+
+        const entry = provenance.get(chosen.source.id);
+        entry.days++;
+        if (filled) {
+            entry.filledDays++;
+        }
+
+        mergedRows.push({ ...chosen.row, source: chosen.source.id });
+    }
+
+    mergedRows.sort((a, b) => a.date - b.date);
+
+    // Dates between records that no source covers become missing rows
+    const calendar = buildContinuousCalendar(mergedRows);
+    const data = calendar.data;
+
+    return {
+        success: true,
+        data,
+        metadata: buildMergedMetadata(ranked, data, calendar, provenance, overlapDays, precedence, fillGaps),
+        errors: [],
+        warnings: ranked.flatMap(source => source.result.warnings.map(w => `${source.id}: ${w}`))
+    };
+}
+
+/**
+ * Give each source a unique id (station number, or file name if needed)
+ *
+ * Downloads of the same station usually share a file name too, so a name
+ * that still repeats gets a numbered suffix, e.g. "data.csv (2)".
+ *
+ * @param {Array} sources - Array of {name, result}
+ * @returns {Array} Sources with id added
+ */
+function describeSources(sources) {
+    const countValues = values => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+
+    const stationCounts = countValues(sources.map(({ result }) => result.metadata.station));
+    const baseIds = sources.map(({ name, result }) => {
+        const station = result.metadata.station;
+        return station && stationCounts.get(station) === 1 ? station : name;
+    });
+
+    const baseCounts = countValues(baseIds);
+    const seen = new Map();
+    return sources.map(({ name, result }, index) => {
+        const baseId = baseIds[index];
+        if (baseCounts.get(baseId) === 1) {
+            return { id: baseId, name, result };
+        }
+
+        const number = (seen.get(baseId) || 0) + 1;
+        seen.set(baseId, number);
+        return { id: `${baseId} (${number})`, name, result };
+    });
+}
+
+/**
+ * How the monthly source's totals were split into days, if one was merged
+ *
+ * @param {Array} ranked - Sources in precedence order
+ * @returns {Object|null} The monthly source's metadata.disaggregation
+ */
+function disaggregationOf(ranked) {
+    const monthly = ranked.find(source => source.result.metadata.disaggregation);
+    return monthly ? monthly.result.metadata.disaggregation : null;
+}
+
+/**
+ * Order sources by precedence
+ *
+ * @param {Array} sources - Described sources in upload order
+ * @param {string} precedence - Key of MERGE_PRECEDENCE
+ * @returns {Array} Sources, highest precedence first
+ */
+function rankSources(sources, precedence) {
+    if (precedence === 'newest') {
+        return [...sources].sort((a, b) =>
+            b.result.metadata.dateRange.end - a.result.metadata.dateRange.end
+        );
+    }
+
+    // 'checked' picks per day, falling back to upload order
+    return sources;
+}
+
+/**
+ * Build metadata for the merged record in the parseBoMCSV shape
+ *
+ * @param {Array} ranked - Sources in precedence order
+ * @param {Array} data - Merged continuous data
+ * @param {Object} calendar - Result from buildContinuousCalendar()
+ * @param {Map} provenance - Days taken from each source id
+ * @param {number} overlapDays - Dates covered by more than one source
+ * @param {string} precedence - Key of MERGE_PRECEDENCE
+ * @param {boolean} fillGaps - Whether gaps were filled across sources
+ * @returns {Object} Merged metadata
+ */
+function buildMergedMetadata(ranked, data, calendar, provenance, overlapDays, precedence, fillGaps) {
+    // Count accumulation periods in the merged data, as overlapping sources may share them
+    const accumulatedDays = data.filter(d => d.accumulated).length;
+    const accumulations = data.filter((d, i) => d.accumulated && !(i > 0 && data[i - 1].accumulated)).length;
+
+    return {
+        station: ranked.map(source => source.id).join(' + '),
+        stationName: null,
+        latitude: null,
+        longitude: null,
+        elevation_m: null,
+        productCode: ranked[0].result.metadata.productCode,
+        dateRange: { start: data[0].date, end: data[data.length - 1].date },
+        totalDays: data.length,
+        missingDays: data.filter(d => d.missing).length,
+        totalRainfall: data.reduce((total, d) => total + d.rainfall_mm, 0),
+        accumulations,
+        accumulatedDays,
+        accumulationPolicy: ranked[0].result.metadata.accumulationPolicy,
+        insertedDays: data.filter(d => d.inserted).length,
+        interpolatedDays: data.filter(d => d.interpolated).length,
+        disaggregatedDays: data.filter(d => d.disaggregated).length,
+        subDailyDays: data.filter(d => d.subDaily).length,
+        disaggregation: disaggregationOf(ranked),
+        interval_s: shortestInterval(ranked),
+        gaps: calendar.gaps,
+        duplicates: ranked.flatMap(source => source.result.metadata.duplicates),
+        merge: {
+            precedence,
+            fillGaps,
+            overlapDays,
+            sources: ranked.map(source => ({
+                id: source.id,
+                name: source.name,
+                station: source.result.metadata.station,
+                stationName: source.result.metadata.stationName,
+                dateRange: source.result.metadata.dateRange,
+                days: provenance.get(source.id).days,
+                filledDays: provenance.get(source.id).filledDays
+            }))
+        }
+    };
+}
+
+/**
+ * Finest recording interval among sub-daily sources
+ *
+ * @param {Array} ranked - Sources in precedence order
+ * @returns {number|null} Interval in seconds, or null if no source is sub-daily
+ */
+function shortestInterval(ranked) {
+    const intervals = ranked
+        .map(source => source.result.metadata.interval_s)
+        .filter(interval => interval);
+
+    return intervals.length > 0 ? Math.min(...intervals) : null;
+}
+
+/**
+ * Generate the per-source provenance text for the data summary
+ *
+ * @param {Object} merge - metadata.merge from mergeRecords()
+ * @param {number} totalDays - Days in the merged record
+ * @returns {string} Human-readable provenance breakdown
+ */
+export function describeProvenance(merge, totalDays) {
+    const parts = merge.sources.map(source => {
+        let text = `${source.id} ${formatNumber(source.days)} days (${formatPercent(source.days / totalDays, 0)})`;
+        if (source.filledDays > 0) {
+            text += `, ${formatNumber(source.filledDays)} filling gaps`;
+        }
+        return text;
+    });
+
+    return `Sources: ${parts.join('; ')}`;
+}
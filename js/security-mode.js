@@ -5,8 +5,22 @@
  * and provides detailed failure analysis.
  */
 
-import { runWaterBalance, DEFAULTS } from './water-balance.js';
+import {
+    runWaterBalance,
+    runTankSystem,
+    resolveCatchments,
+    analyzeCatchments,
+    suggestTankConfiguration,
+    describeTankSystem,
+    calculateGutterOverflow,
+    calculateFirstFlush
+} from './water-balance.js';
 import { formatDate, formatDateRange, groupBy } from './utils.js';
+import { calculateUnverifiedShare } from './data-quality.js';
+import { buildDemandByUse, summarizeDemand } from './demand-profile.js';
+import { buildGardenDemand, summarizeGardenDemand } from './garden-demand.js';
+import { splitEndUses, combineEndUseSupply, sumConnectedDemand } from './end-uses.js';
+import { findPeriodOccurrences, periodName } from './occupancy-calendar.js';
 
 /**
  * Tank size search parameters
@@ -23,59 +37,178 @@ const SEARCH_STEP = 500;      // 500 L increments
  * @param {number} params.roofArea_m2 - Roof catchment area
  * @param {number} params.dailyUsage_L - Daily water usage
  * @param {number} params.confidenceLevel - Target confidence (0.90 - 0.999)
+ * @param {number|null} [params.gutterCapacity_Ls] - Gutter/downpipe capacity in L/s (null = unlimited)
+ * @param {Object|null} [params.firstFlush] - First-flush diverter {mode, amount, resetDryDays} (null = none)
+ * @param {Object|null} [params.runoffLosses] - {initialLoss_mm, continuingLoss} used instead of the flat runoff coefficient
+ * @param {Array|null} [params.catchments] - Roofs of {name, area_m2, runoffLosses, connected, tank}, instead of the roof area and losses
+ * @param {Object|null} [params.tankSetup] - {setup, tanks}: a key of TANK_SETUPS, and for separate tanks
+ *   their {name, dailyUsage_L} (null = one tank)
+ * @param {Object|null} [params.demandProfile] - {monthly, weekly, occupancy} scaling the daily usage (null = the same every day);
+ *   with an occupancy calendar, each of its periods gets failure statistics
+ * @param {Object|null} [params.garden] - Garden watering settings for buildGardenDemand(), added to the
+ *   household usage (of the first tank, when separate) (null = none)
+ * @param {Object|null} [params.endUses] - {shares, connected} for splitEndUses(): the tank supplies
+ *   only the connected uses, in priority order (null = the whole household)
  * @returns {Object} Security analysis results
  */
 export function analyzeSecurityMode(rainfallData, params) {
-    const { roofArea_m2, dailyUsage_L, confidenceLevel } = params;
-
-    // Find minimum tank size for target confidence
-    const tankSizing = findMinimumTankForConfidence(
-        rainfallData,
-        { roofArea_m2, dailyUsage_L },
-        confidenceLevel
-    );
+    const {
+        roofArea_m2,
+        dailyUsage_L,
+        confidenceLevel,
+        gutterCapacity_Ls = null,
+        firstFlush = null,
+        runoffLosses = null,
+        catchments = null,
+        tankSetup = null,
+        demandProfile = null,
+        garden = null,
+        endUses = null
+    } = params;
+
+    const roofs = resolveCatchments({ roofArea_m2, runoffLosses, catchments });
+    const garden_L = garden ? buildGardenDemand(rainfallData, garden) : null;
+    const tankDemand = (usage_L, tankGarden_L) => {
+        const byUse = buildDemandByUse(rainfallData, usage_L, demandProfile, tankGarden_L);
+        return endUses ? splitEndUses(byUse, endUses).connected : byUse;
+    };
+    const demandByUse = tankDemand(dailyUsage_L, garden_L);
+    const baseConfig = { catchments: roofs, dailyUsage_L, demandByUse, gutterCapacity_Ls, firstFlush };
+    const setup = tankSetup ? tankSetup.setup : 'single';
+    const householdUsage_L = setup === 'separate'
+        ? tankSetup.tanks.reduce((sum, tank) => sum + tank.dailyUsage_L, 0)
+        : dailyUsage_L;
+    const householdDemand = buildDemandByUse(rainfallData, householdUsage_L, demandProfile, garden_L);
+    const endUseDemand = endUses ? splitEndUses(householdDemand, endUses) : null;
+
+    // Find the tanks needed for the target confidence
+    const tanks = setup === 'separate'
+        ? sizeSeparateTanks(rainfallData, baseConfig, tankSetup.tanks.map((tank, index) => ({
+            ...tank,
+            demandByUse: tankDemand(tank.dailyUsage_L, index === 0 ? garden_L : null)
+        })), confidenceLevel)
+        : sizeConnectedTanks(rainfallData, baseConfig, setup, confidenceLevel);
+    const recommendedSize = tanks.reduce((sum, tank) => sum + tank.size_L, 0);
+
+    // Linked and cascading tanks hold and supply as one tank of their combined size
+    const simulate = setup === 'separate'
+        ? size_L => runTankSystem({
+            rainfallData,
+            ...baseConfig,
+            setup,
+            tanks: tanks.map(tank => ({ ...tank, size_L: tank.size_L * size_L / recommendedSize }))
+        })
+        : size_L => runWaterBalance({ rainfallData, tankSize_L: size_L, ...baseConfig });
 
     // Run detailed analysis at recommended size
-    const recommendedResult = runWaterBalance({
-        rainfallData,
-        tankSize_L: tankSizing.recommendedSize,
-        roofArea_m2,
-        dailyUsage_L
-    });
+    const recommendedResult = setup === 'single'
+        ? simulate(recommendedSize)
+        : runTankSystem({ rainfallData, ...baseConfig, setup, tanks });
 
     // Analyze smaller tank sizes for comparison
-    const smallerTankAnalysis = analyzeSmallterTanks(
-        rainfallData,
-        { roofArea_m2, dailyUsage_L },
-        tankSizing.recommendedSize
-    );
+    const smallerTankAnalysis = analyzeSmallterTanks(simulate, recommendedSize);
 
     // Generate confidence statement
     const actualReliability = recommendedResult.summary.reliabilityPercent;
-    const confidenceStatement = generateConfidenceStatement(
-        tankSizing.recommendedSize,
-        actualReliability,
-        confidenceLevel * 100
-    );
+    const confidenceStatement = setup === 'separate' && actualReliability < confidenceLevel * 100
+        ? `Each tank meets your ${confidenceLevel * 100}% security target on its own; all had water on ${actualReliability.toFixed(1)}% of days`
+        : generateConfidenceStatement(recommendedSize, actualReliability, confidenceLevel * 100);
 
     return {
-        recommendedTankSize_L: tankSizing.recommendedSize,
+        recommendedTankSize_L: recommendedSize,
         actualReliability: actualReliability,
         targetConfidence: confidenceLevel * 100,
         confidenceStatement,
         stressStatistics: {
+            daysEmpty: recommendedResult.summary.daysEmpty,
+            daysInUse: recommendedResult.summary.daysInUse,
             daysBelow20pct: recommendedResult.summary.daysBelowStress,
             daysBelow50pct: recommendedResult.summary.daysBelow50pct,
             totalDays: recommendedResult.summary.totalDays,
             percentageStressed: recommendedResult.summary.stressPercent
         },
         failureEvents: recommendedResult.emptyPeriods,
+        annualOverflow_L: recommendedResult.summary.totalOverflow_L / (rainfallData.length / 365.25),
         smallerTankAnalysis,
+        occupiedPeriods: demandProfile && demandProfile.occupancy
+            ? analyzeOccupiedPeriods(rainfallData, recommendedResult, demandProfile.occupancy.periods)
+            : null,
         worstDrySpell: recommendedResult.worstDrySpell,
+        inputQuality: calculateUnverifiedShare(rainfallData),
+        demand: summarizeDemand(rainfallData, householdDemand),
+        connectedAnnual_L: endUseDemand ? sumConnectedDemand(endUseDemand) / (rainfallData.length / 365.25) : null,
+        gardenDemand: garden_L ? summarizeGardenDemand(rainfallData, garden_L) : null,
+        supplyByUse: endUseDemand
+            ? combineEndUseSupply(recommendedResult.summary.supplyByUse, endUseDemand.unconnected)
+            : garden_L ? recommendedResult.summary.supplyByUse : null,
+        gutterOverflow: gutterCapacity_Ls
+            ? calculateGutterOverflow(rainfallData, roofs, gutterCapacity_Ls)
+            : null,
+        firstFlush: firstFlush
+            ? calculateFirstFlush(rainfallData, roofs, firstFlush, gutterCapacity_Ls)
+            : null,
+        catchments: roofs.length > 1
+            ? analyzeCatchments({
+                rainfallData,
+                tankSize_L: recommendedSize,
+                ...baseConfig,
+                ...(setup === 'separate' ? { setup, tanks } : {})
+            })
+            : null,
+        tankSystem: setup === 'single'
+            ? null
+            : { setup, description: describeTankSystem(setup, tanks), tanks: recommendedResult.tanks },
         simulation: recommendedResult
     };
 }
 
+/**
+ * Size one tank, or a set of identical linked or cascading tanks
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @param {Object} baseConfig - Base simulation config
+ * @param {string} setup - Key of TANK_SETUPS, other than separate
+ * @param {number} targetConfidence - Target confidence (0-1)
+ * @returns {Array} Tanks of {name, size_L}
+ */
+function sizeConnectedTanks(rainfallData, baseConfig, setup, targetConfidence) {
+    const tankSizing = findMinimumTankForConfidence(rainfallData, baseConfig, targetConfidence);
+    if (setup === 'single') {
+        return [{ name: 'Tank', size_L: tankSizing.recommendedSize }];
+    }
+
+    const { count, size_L } = suggestTankConfiguration(tankSizing.recommendedSize);
+    return Array.from({ length: count }, (_, index) => ({ name: `Tank ${index + 1}`, size_L }));
+}
+
+/**
+ * Size each separate tank for its own roofs and usage
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @param {Object} baseConfig - Base simulation config
+ * @param {Array} tanks - Tanks of {name, dailyUsage_L, demandByUse}
+ * @param {number} targetConfidence - Target confidence (0-1)
+ * @returns {Array} Tanks of {name, dailyUsage_L, demandByUse, size_L}
+ */
+function sizeSeparateTanks(rainfallData, baseConfig, tanks, targetConfidence) {
+    return tanks.map((tank, index) => {
+        const catchments = baseConfig.catchments.map(roof => ({
+            ...roof,
+            connected: roof.connected && (roof.tank || 0) === index
+        }));
+        if (!catchments.some(roof => roof.connected)) {
+            throw new Error(`${tank.name} has no roof connected`);
+        }
+
+        const tankSizing = findMinimumTankForConfidence(
+            rainfallData,
+            { ...baseConfig, catchments, dailyUsage_L: tank.dailyUsage_L, demandByUse: tank.demandByUse },
+            targetConfidence
+        );
+        return { ...tank, size_L: tankSizing.recommendedSize };
+    });
+}
+
 /**
  * Find the minimum tank size that achieves target confidence
  *
@@ -149,12 +282,11 @@ function findMinimumTankForConfidence(rainfallData, baseConfig, targetConfidence
 /**
  * Analyze what would happen with smaller tank sizes
  *
- * @param {Array} rainfallData - Rainfall data
- * @param {Object} baseConfig - Base simulation config
+ * @param {Function} simulate - Runs the system at a total storage size
  * @param {number} recommendedSize - The recommended tank size
  * @returns {Array} Analysis of smaller tank sizes
  */
-function analyzeSmallterTanks(rainfallData, baseConfig, recommendedSize) {
+function analyzeSmallterTanks(simulate, recommendedSize) {
     // Test a range of smaller sizes
     const sizesToTest = [
         Math.round(recommendedSize * 0.75 / 1000) * 1000,
@@ -167,11 +299,7 @@ function analyzeSmallterTanks(rainfallData, baseConfig, recommendedSize) {
     const uniqueSizes = [...new Set(sizesToTest)].sort((a, b) => b - a);
 
     return uniqueSizes.map(size => {
-        const result = runWaterBalance({
-            rainfallData,
-            tankSize_L: size,
-            ...baseConfig
-        });
+        const result = simulate(size);
 
         // Group failures by year
         const failuresByYear = groupBy(result.emptyPeriods, period => period.year);
@@ -188,6 +316,55 @@ function analyzeSmallterTanks(rainfallData, baseConfig, recommendedSize) {
     });
 }
 
+/**
+ * Failure statistics for each occupied period, across every year of the record
+ *
+ * Answers questions like "will we run dry over the Christmas fortnight":
+ * how many of its occurrences had the tank empty, and which was worst.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @param {Object} simulationResult - Simulation at the recommended size
+ * @param {Array} periods - Occupancy calendar periods
+ * @returns {Array} Per period {name, occupants, occurrences, occurrencesDry, dryPercent, daysEmpty, worst, description}
+ */
+function analyzeOccupiedPeriods(rainfallData, simulationResult, periods) {
+    return periods.map(period => {
+        const occurrences = findPeriodOccurrences(rainfallData, period).map(({ startIndex, endIndex }) => {
+            const days = simulationResult.dailyLevels.slice(startIndex, endIndex + 1);
+            return {
+                startDate: days[0].date,
+                endDate: days[days.length - 1].date,
+                daysEmpty: days.filter(day => day.isEmpty).length,
+                minLevel_L: Math.min(...days.map(day => day.level_L))
+            };
+        });
+
+        const dry = occurrences.filter(occurrence => occurrence.daysEmpty > 0);
+        const worst = occurrences.reduce((worstSoFar, occurrence) => (
+            !worstSoFar ||
+            occurrence.daysEmpty > worstSoFar.daysEmpty ||
+            (occurrence.daysEmpty === worstSoFar.daysEmpty && occurrence.minLevel_L < worstSoFar.minLevel_L)
+                ? occurrence
+                : worstSoFar
+        ), null);
+        const unit = period.kind === 'weekends' ? 'weekends' : 'years';
+
+        return {
+            name: periodName(period),
+            occupants: period.occupants,
+            occurrences: occurrences.length,
+            occurrencesDry: dry.length,
+            dryPercent: occurrences.length > 0 ? (dry.length / occurrences.length) * 100 : 0,
+            daysEmpty: dry.reduce((sum, occurrence) => sum + occurrence.daysEmpty, 0),
+            worst,
+            description: dry.length === 0
+                ? `Never ran empty in ${occurrences.length} ${unit}`
+                : `Ran empty in ${dry.length} of ${occurrences.length} ${unit}; worst ${formatDateRange(worst.startDate, worst.endDate)} ` +
+                    `(${worst.daysEmpty === 1 ? '1 day' : `${worst.daysEmpty} days`} empty)`
+        };
+    });
+}
+
 /**
  * Generate a human-readable failure description
  *
@@ -0,0 +1,290 @@
+/**
+ * SILO Patched Point / Data Drill Import
+ *
+ * SILO (Queensland Government) publishes gap-free daily rainfall built from
+ * BoM observations, with a source code for each day saying whether the
+ * value was observed or interpolated. Two layouts are read:
+ *
+ * - CSV: station,YYYY-MM-DD,daily_rain,daily_rain_source,...,metadata
+ *   (Data Drill files have latitude,longitude in place of station)
+ * - "standard" text: a header block, then whitespace-separated columns
+ *   Date Day Date2 T.Max Smx T.Min Smn Rain Srn ...
+ *
+ * Interpolated days are flagged `interpolated: true`. Days rebuilt from an
+ * observed multi-day total are flagged `accumulated: true` like BoM
+ * accumulations. SILO values are already checked, so every day gets
+ * quality 'Y'.
+ */
+
+import { buildDate, parseCSVLine, createParseResult, completeParseResult, reportParseProgress } from './csv-parser.js';
+
+/**
+ * SILO rainfall source codes that are not interpolated
+ */
+const OBSERVED_SOURCE = 0;
+const DEACCUMULATED_SOURCE = 15;
+
+/**
+ * Lines inspected when recognising a SILO file
+ */
+const HEADER_SEARCH_LINES = 60;
+
+const CSV_HEADER = /(^|,)\s*"?daily_rain"?\s*(,|$)/i;
+const STANDARD_HEADER = /^\s*Date\s+Day\s+Date2\b.*\bRain\b/i;
+
+/**
+ * Whether text is a SILO Patched Point or Data Drill file
+ *
+ * @param {string} text - Raw file contents
+ * @returns {boolean} True if a SILO column header is found
+ */
+export function isSILO(text) {
+    return findHeader(splitLines(text)) !== null;
+}
+
+/**
+ * Parse a SILO file into daily rainfall
+ *
+ * @param {string} text - Raw file contents
+ * @param {Object} [options] - Parsing options
+ * @param {Function} [options.onProgress] - Called as lines are read, see reportParseProgress()
+ * @returns {Object} Parse result in the parseBoMCSV shape
+ */
+export function parseSILO(text, options = {}) {
+    const result = createParseResult();
+    result.metadata.productCode = 'SILO';
+
+    const lines = splitLines(text);
+    const header = findHeader(lines);
+
+    if (!header) {
+        result.errors.push("File doesn't appear to be a SILO Patched Point or Data Drill file");
+        return result;
+    }
+
+    const readings = header.layout === 'csv'
+        ? readCSVLines(lines, header.index, result, options.onProgress)
+        : readStandardLines(lines, header.index, result, options.onProgress);
+
+    if (result.errors.length > 0) {
+        return result;
+    }
+
+    const dataRows = readings.map(toRainfallRow);
+
+    return completeParseResult(result, dataRows, dailyRows => {
+        // Each run of deaccumulated days is one observed multi-day total
+        result.metadata.accumulatedDays = dailyRows.filter(d => d.accumulated).length;
+        result.metadata.accumulations = dailyRows.filter((d, i) => d.accumulated && !(i > 0 && dailyRows[i - 1].accumulated)).length;
+    });
+}
+
+/**
+ * Locate the column header line
+ *
+ * @param {string[]} lines - File lines
+ * @returns {Object|null} {layout: 'csv'|'standard', index} or null
+ */
+function findHeader(lines) {
+    const limit = Math.min(lines.length, HEADER_SEARCH_LINES);
+
+    for (let i = 0; i < limit; i++) {
+        if (CSV_HEADER.test(lines[i])) {
+            return { layout: 'csv', index: i };
+        }
+        if (STANDARD_HEADER.test(lines[i])) {
+            return { layout: 'standard', index: i };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read rainfall readings from the CSV layout
+ *
+ * @param {string[]} lines - File lines
+ * @param {number} headerIndex - Index of the column header line
+ * @param {Object} result - Parse result collecting warnings and metadata
+ * @param {Function} [onProgress] - Importer option, see reportParseProgress()
+ * @returns {Array} Readings of {date, value, source}
+ */
+function readCSVLines(lines, headerIndex, result, onProgress) {
+    const header = parseCSVLine(lines[headerIndex]).map(cell => cell.trim().toLowerCase());
+    const column = names => header.findIndex(name => names.includes(name));
+
+    const dateColumn = column(['yyyy-mm-dd', 'date', 'yyyymmdd']);
+    const rainColumn = column(['daily_rain']);
+    const sourceColumn = column(['daily_rain_source']);
+    const stationColumn = column(['station']);
+    const latitudeColumn = column(['latitude']);
+    const longitudeColumn = column(['longitude']);
+    const metadataColumn = column(['metadata']);
+
+    if (dateColumn < 0) {
+        result.errors.push('SILO file has no date column');
+        return [];
+    }
+
+    const details = {};
+    const readings = [];
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        reportParseProgress(onProgress, i, lines.length);
+        const columns = parseCSVLine(lines[i]).map(cell => cell.trim());
+
+        // The metadata column holds one key=value pair per row at the top of the file
+        if (metadataColumn >= 0 && columns[metadataColumn]) {
+            const [key, value] = columns[metadataColumn].split('=');
+            if (value !== undefined) {
+                details[key.trim().toLowerCase()] = value.trim();
+            }
+        }
+
+        if (i === headerIndex + 1) {
+            if (stationColumn >= 0) {
+                result.metadata.station = columns[stationColumn] || null;
+            }
+            if (latitudeColumn >= 0 && longitudeColumn >= 0) {
+                result.metadata.latitude = parseOptionalNumber(columns[latitudeColumn]);
+                result.metadata.longitude = parseOptionalNumber(columns[longitudeColumn]);
+            }
+        }
+
+        const reading = readReading(columns[dateColumn], columns[rainColumn], columns[sourceColumn]);
+        if (reading.error) {
+            result.warnings.push(`Row ${i + 1}: ${reading.error}`);
+            continue;
+        }
+        readings.push(reading);
+    }
+
+    result.metadata.stationName = details.name || null;
+    if (result.metadata.latitude === null) {
+        result.metadata.latitude = parseOptionalNumber(details.latitude);
+        result.metadata.longitude = parseOptionalNumber(details.longitude);
+    }
+    result.metadata.elevation_m = parseOptionalNumber(details.elevation);
+
+    return readings;
+}
+
+/**
+ * Read rainfall readings from the standard text layout
+ *
+ * @param {string[]} lines - File lines
+ * @param {number} headerIndex - Index of the column header line
+ * @param {Object} result - Parse result collecting warnings and metadata
+ * @param {Function} [onProgress] - Importer option, see reportParseProgress()
+ * @returns {Array} Readings of {date, value, source}
+ */
+function readStandardLines(lines, headerIndex, result, onProgress) {
+    const headerBlock = lines.slice(0, headerIndex).join('\n');
+    const station = headerBlock.match(/station:?\s+(\d+)\s+(.+?)\s+Lat/i);
+    if (station) {
+        result.metadata.station = station[1];
+        result.metadata.stationName = station[2].trim();
+    }
+    result.metadata.latitude = parseOptionalNumber((headerBlock.match(/Lat(?:itude)?:?\s*(-?[\d.]+)/i) || [])[1]);
+    result.metadata.longitude = parseOptionalNumber((headerBlock.match(/Long(?:itude)?:?\s*(-?[\d.]+)/i) || [])[1]);
+    result.metadata.elevation_m = parseOptionalNumber((headerBlock.match(/Elevation:?\s*(-?[\d.]+)/i) || [])[1]);
+
+    const header = lines[headerIndex].trim().split(/\s+/);
+    const rainColumn = header.findIndex(name => /^rain$/i.test(name));
+    const sourceColumn = header.findIndex(name => /^srn$/i.test(name));
+    const readings = [];
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        reportParseProgress(onProgress, i, lines.length);
+        const columns = lines[i].trim().split(/\s+/);
+
+        // Skip the units line and any trailing notes
+        if (!/^\d{8}$/.test(columns[0])) continue;
+
+        const reading = readReading(
+            columns[0],
+            columns[rainColumn],
+            sourceColumn >= 0 ? columns[sourceColumn] : columns[rainColumn + 1]
+        );
+        if (reading.error) {
+            result.warnings.push(`Line ${i + 1}: ${reading.error}`);
+            continue;
+        }
+        readings.push(reading);
+    }
+
+    return readings;
+}
+
+/**
+ * Read one day's date, rainfall and source code
+ *
+ * @param {string} dateText - YYYY-MM-DD or YYYYMMDD
+ * @param {string} rainText - Rainfall in mm
+ * @param {string} sourceText - SILO source code (blank treated as observed)
+ * @returns {Object} {date, value, source} on success or {error}
+ */
+function readReading(dateText, rainText, sourceText) {
+    const match = (dateText || '').match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!match) {
+        return { error: `Invalid date: ${dateText}` };
+    }
+
+    const { date, error } = buildDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+    if (error) {
+        return { error };
+    }
+
+    const value = rainText === undefined || rainText === '' ? null : parseFloat(rainText);
+    if (value !== null && (isNaN(value) || value < 0)) {
+        return { error: `Invalid rainfall value: ${rainText}` };
+    }
+
+    const source = sourceText ? parseInt(sourceText, 10) : OBSERVED_SOURCE;
+
+    return { date, value, source: isNaN(source) ? OBSERVED_SOURCE : source };
+}
+
+/**
+ * Convert a SILO reading to a rainfall data row
+ *
+ * @param {Object} reading - Reading of {date, value, source}
+ * @returns {Object} Rainfall data row
+ */
+function toRainfallRow(reading) {
+    const missing = reading.value === null;
+    const row = {
+        date: reading.date,
+        rainfall_mm: missing ? 0 : reading.value,
+        missing,
+        quality: 'Y',
+        accumulated: !missing && reading.source === DEACCUMULATED_SOURCE
+    };
+
+    if (!missing && reading.source !== OBSERVED_SOURCE && reading.source !== DEACCUMULATED_SOURCE) {
+        row.interpolated = true;
+    }
+
+    return row;
+}
+
+/**
+ * Parse a number, returning null for blank or invalid text
+ *
+ * @param {string} value - Number text
+ * @returns {number|null} Parsed number
+ */
+function parseOptionalNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Split text into non-blank lines
+ *
+ * @param {string} text - Raw file contents
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+    return (text || '').split(/\r?\n/).filter(line => line.trim());
+}
@@ -0,0 +1,206 @@
+/**
+ * Site Rainfall Estimate
+ *
+ * Builds a daily series for a property from several nearby stations by
+ * inverse-distance weighting (IDW). Each day uses only the stations with a
+ * reading that day, re-weighted among themselves, so one station's gap
+ * doesn't become a dry day at the site.
+ *
+ * An optional long-term scaling factor matches the composite to a known
+ * annual mean for the site (e.g. from a rainfall map or a farm gauge).
+ */
+
+import { createParseResult, completeParseResult } from './csv-parser.js';
+import { distanceKm } from './station-catalogue.js';
+import { toDateKey, formatNumber, formatPercent } from './utils.js';
+
+/**
+ * IDW power: weights fall off with the square of distance
+ */
+const IDW_POWER = 2;
+
+/**
+ * Stations closer than this are treated as this far away, to keep weights finite
+ */
+const MIN_DISTANCE_KM = 0.1;
+
+/**
+ * Scaling factors outside this range suggest the wrong site mean or stations
+ */
+const PLAUSIBLE_SCALE = { min: 0.5, max: 2 };
+
+/**
+ * Build a composite daily record for a site
+ *
+ * @param {Array} sources - Array of {name, result, latitude, longitude}, results successfully parsed
+ * @param {Object} site - Site location {latitude, longitude}
+ * @param {Object} [options] - Estimate options
+ * @param {number|null} [options.annualMean_mm=null] - Known long-term site annual mean to scale to
+ * @returns {Object} Parse-result-shaped record with metadata.siteEstimate
+ */
+export function buildSiteEstimate(sources, site, options = {}) {
+    const { annualMean_mm = null } = options;
+
+    if (sources.length < 2) {
+        throw new Error('A site estimate needs at least two stations');
+    }
+
+    if (!isValidLocation(site)) {
+        throw new Error("Enter the site's latitude and longitude");
+    }
+
+    if (annualMean_mm !== null && !(annualMean_mm > 0)) {
+        throw new Error('Site annual mean rainfall must be positive');
+    }
+
+    const stations = sources.map(source => {
+        const id = source.result.metadata.station || source.name;
+        if (!isValidLocation(source)) {
+            throw new Error(`${id} has no location - enter its latitude and longitude`);
+        }
+
+        const distance_km = distanceKm(site.latitude, site.longitude, source.latitude, source.longitude);
+        return {
+            id,
+            source,
+            distance_km,
+            weight: 1 / Math.max(distance_km, MIN_DISTANCE_KM) ** IDW_POWER,
+            days: 0
+        };
+    });
+
+    // Every station's reading for each date
+    const readingsByDate = new Map();
+    for (const station of stations) {
+        for (const row of station.source.result.data) {
+            const key = toDateKey(row.date);
+            if (!readingsByDate.has(key)) {
+                readingsByDate.set(key, { date: row.date, readings: [] });
+            }
+            if (!row.missing) {
+                readingsByDate.get(key).readings.push({ row, station });
+            }
+        }
+    }
+
+    const dataRows = [];
+    for (const { date, readings } of readingsByDate.values()) {
+        dataRows.push(combineReadings(date, readings));
+        readings.forEach(({ station }) => station.days++);
+    }
+
+    const result = createParseResult();
+    result.metadata.station = stations.map(station => station.id).join(' + ');
+    result.metadata.latitude = site.latitude;
+    result.metadata.longitude = site.longitude;
+    result.metadata.productCode = 'Site estimate';
+
+    const scaleFactor = annualMean_mm === null ? 1 : annualMean_mm / compositeAnnualMean(dataRows);
+    if (!isFinite(scaleFactor)) {
+        throw new Error('The stations recorded no rain to scale to the site annual mean');
+    }
+    if (scaleFactor !== 1) {
+        dataRows.forEach(row => {
+            row.rainfall_mm *= scaleFactor;
+        });
+    }
+    if (scaleFactor < PLAUSIBLE_SCALE.min || scaleFactor > PLAUSIBLE_SCALE.max) {
+        result.warnings.push(`Scaling to the site annual mean changes rainfall by a factor of ${scaleFactor.toFixed(2)} - check the site mean and station choice`);
+    }
+
+    const totalWeight = stations.reduce((sum, station) => sum + station.weight, 0);
+    result.metadata.siteEstimate = {
+        site: { latitude: site.latitude, longitude: site.longitude },
+        power: IDW_POWER,
+        annualMean_mm,
+        scaleFactor,
+        stations: stations.map(station => ({
+            id: station.id,
+            name: station.source.name,
+            stationName: station.source.result.metadata.stationName,
+            distance_km: station.distance_km,
+            weight: station.weight / totalWeight,
+            days: station.days
+        }))
+    };
+
+    return completeParseResult(result, dataRows, dailyRows => {
+        result.metadata.accumulatedDays = dailyRows.filter(d => d.accumulated).length;
+        result.metadata.accumulations = dailyRows.filter((d, i) => d.accumulated && !(i > 0 && dailyRows[i - 1].accumulated)).length;
+    });
+}
+
+/**
+ * Weight one day's station readings into a site value
+ *
+ * @param {Date} date - The day
+ * @param {Array} readings - Non-missing readings of {row, station}
+ * @returns {Object} Rainfall data row, missing if no station reported
+ */
+function combineReadings(date, readings) {
+    if (readings.length === 0) {
+        return { date, rainfall_mm: 0, missing: true, quality: '', accumulated: false };
+    }
+
+    const weight = readings.reduce((sum, { station }) => sum + station.weight, 0);
+    const rainfall_mm = readings.reduce((sum, { row, station }) => sum + row.rainfall_mm * station.weight, 0) / weight;
+    const unchecked = readings.find(reading => reading.row.quality !== 'Y');
+
+    const row = {
+        date,
+        rainfall_mm,
+        missing: false,
+        quality: unchecked ? unchecked.row.quality : 'Y',
+        accumulated: readings.some(reading => reading.row.accumulated)
+    };
+
+    if (readings.some(reading => reading.row.interpolated)) {
+        row.interpolated = true;
+    }
+    if (readings.some(reading => reading.row.disaggregated)) {
+        row.disaggregated = true;
+    }
+
+    return row;
+}
+
+/**
+ * Mean annual rainfall of the composite over its reported days
+ *
+ * @param {Array} dataRows - Composite rows
+ * @returns {number} Mean annual rainfall in mm
+ */
+function compositeAnnualMean(dataRows) {
+    const reported = dataRows.filter(row => !row.missing);
+    const total = reported.reduce((sum, row) => sum + row.rainfall_mm, 0);
+    return (total / reported.length) * 365.25;
+}
+
+/**
+ * Whether an object holds a usable latitude and longitude
+ *
+ * @param {Object} location - Object with latitude and longitude
+ * @returns {boolean} True if both are numbers in range
+ */
+function isValidLocation(location) {
+    return typeof location.latitude === 'number' && typeof location.longitude === 'number' &&
+        Math.abs(location.latitude) <= 90 && Math.abs(location.longitude) <= 180;
+}
+
+/**
+ * Describe how the site estimate was built, for the data summary
+ *
+ * @param {Object} siteEstimate - metadata.siteEstimate from buildSiteEstimate()
+ * @returns {string} Human-readable description
+ */
+export function describeSiteEstimate(siteEstimate) {
+    const parts = siteEstimate.stations.map(station =>
+        `${station.id} ${formatNumber(station.distance_km, 1)} km (weight ${formatPercent(station.weight, 0)})`
+    );
+
+    let text = `Site estimate by inverse-distance weighting: ${parts.join('; ')}`;
+    if (siteEstimate.annualMean_mm !== null) {
+        text += ` • Scaled ×${siteEstimate.scaleFactor.toFixed(2)} to a site mean of ${formatNumber(siteEstimate.annualMean_mm)} mm/year`;
+    }
+    return text;
+}
@@ -0,0 +1,195 @@
+/**
+ * Source Formats
+ *
+ * Recognises which importer reads an uploaded file and runs it. Shared by
+ * the page and the parse worker so both read files the same way.
+ */
+
+import { parseBoMCSV, createBoMCSVParser, validateBoMFormat } from './csv-parser.js';
+import { parseWithMapping } from './generic-importer.js';
+import { isGHCNDaily, parseGHCNDaily } from './ghcn-import.js';
+import { isSILO, parseSILO } from './silo-import.js';
+import { isBoMMonthly, parseBoMMonthlyCSV } from './monthly-disaggregation.js';
+import { isBoMSubDaily, parseBoMSubDaily, createBoMSubDailyParser } from './subdaily.js';
+import { isZipFile, extractBoMZip } from './zip-import.js';
+
+/**
+ * Line-by-line parsers for the formats the parse worker can stream
+ */
+const LINE_PARSERS = {
+    bom: options => createBoMCSVParser(options),
+    subdaily: () => createBoMSubDailyParser()
+};
+
+/**
+ * Identify which importer reads a file
+ *
+ * @param {string} text - Raw file contents
+ * @returns {string} 'bom', 'monthly', 'subdaily', 'ghcn', 'silo', or 'mapped' for column mapping
+ */
+export function detectSourceFormat(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    if (isBoMMonthly(header)) {
+        return 'monthly';
+    }
+    if (isBoMSubDaily(header)) {
+        return 'subdaily';
+    }
+    if (validateBoMFormat(header).valid) {
+        return 'bom';
+    }
+    if (isGHCNDaily(text)) {
+        return 'ghcn';
+    }
+    if (isSILO(text)) {
+        return 'silo';
+    }
+    return 'mapped';
+}
+
+/**
+ * Parse file contents with the importer for its format
+ *
+ * @param {string} text - Raw file contents
+ * @param {string} format - Result from detectSourceFormat()
+ * @param {Object} [options] - Importer options
+ * @param {string} [options.accumulationPolicy] - For BoM daily files
+ * @param {Object} [options.mapping] - Column mapping for 'mapped' files
+ * @param {string} [options.disaggregationMethod] - For monthly files
+ * @param {Object} [options.donor] - Daily parse result lending monthly files its rain-day pattern
+ * @param {Function} [options.onProgress] - Called as daily importers read lines, see reportParseProgress()
+ * @returns {Object} Parse result
+ */
+export function parseSourceText(text, format, options = {}) {
+    const { onProgress } = options;
+
+    if (format === 'monthly') {
+        return parseBoMMonthlyCSV(text, { method: options.disaggregationMethod, donor: options.donor || null });
+    }
+    if (format === 'mapped') {
+        return parseWithMapping(text, options.mapping, { onProgress });
+    }
+    if (format === 'ghcn') {
+        return parseGHCNDaily(text, { onProgress });
+    }
+    if (format === 'silo') {
+        return parseSILO(text, { onProgress });
+    }
+    if (format === 'subdaily') {
+        return parseBoMSubDaily(text, { onProgress });
+    }
+
+    return parseBoMCSV(text, { accumulationPolicy: options.accumulationPolicy, onProgress });
+}
+
+/**
+ * Read a file, detect its format and parse it
+ *
+ * BoM daily and sub-daily CSVs are parsed line by line as the file is
+ * read, so their text is never held whole. Other formats need the whole
+ * text to detect or parse, and BoM zips are unpacked to the rainfall CSV
+ * inside them. Mapped files without a mapping are read but not parsed, as
+ * the user has to choose their columns first. The text isn't returned:
+ * callers read the file again if they need it.
+ *
+ * @param {Object} job - {file, format?} plus parseSourceText() options; format is detected if not given
+ * @param {Function} [onProgress] - Called with {stage: 'reading', loaded, total}, {stage: 'extracting'}
+ *   and {stage: 'parsing', parsed?, total?}
+ * @returns {Promise<Object>} {format, zip, result} where zip is {csvName, noteText} for BoM zips,
+ *   otherwise null, and result is null for unmapped files
+ */
+export async function readAndParse(job, onProgress = () => {}) {
+    if (isZipFile(job.file)) {
+        onProgress({ stage: 'extracting' });
+        const extracted = await extractBoMZip(await job.file.arrayBuffer());
+        const zip = { csvName: extracted.csvName, noteText: extracted.noteText };
+        return { ...parseReadText(extracted.csvText, job, onProgress), zip };
+    }
+
+    const lines = readFileLines(job.file, onProgress);
+    const first = await lines.next();
+    const header = first.done ? '' : first.value;
+
+    // The BoM formats are known from the header alone
+    const format = job.format || detectSourceFormat(header);
+    if (LINE_PARSERS[format]) {
+        const parser = LINE_PARSERS[format](job);
+        parser.addLine(header);
+        for await (const line of lines) {
+            parser.addLine(line);
+        }
+
+        onProgress({ stage: 'parsing' });
+        return { format, zip: null, result: parser.finish() };
+    }
+
+    const rest = [header];
+    for await (const line of lines) {
+        rest.push(line);
+    }
+    return { ...parseReadText(rest.join('\n'), job, onProgress), zip: null };
+}
+
+/**
+ * Detect the format of text read whole and parse it
+ *
+ * @param {string} text - File contents
+ * @param {Object} job - readAndParse() job
+ * @param {Function} onProgress - readAndParse() progress callback
+ * @returns {Object} {format, result} where result is null for unmapped files
+ */
+function parseReadText(text, job, onProgress) {
+    const format = job.format || detectSourceFormat(text);
+
+    if (format === 'mapped' && !job.mapping) {
+        return { format, result: null };
+    }
+
+    onProgress({ stage: 'parsing' });
+    return { format, result: parseSourceText(text, format, { ...job, onProgress }) };
+}
+
+/**
+ * Read a source file's text, from the rainfall CSV inside it for BoM zips
+ *
+ * For the files the page parses itself: monthly totals and files whose
+ * columns are being mapped.
+ *
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>} CSV text
+ */
+export async function readSourceText(file) {
+    if (isZipFile(file)) {
+        return (await extractBoMZip(await file.arrayBuffer())).csvText;
+    }
+    return file.text();
+}
+
+/**
+ * Read a file's lines chunk by chunk, reporting bytes read
+ *
+ * Only the line being completed is held between chunks.
+ *
+ * @param {File} file - Uploaded file
+ * @param {Function} onProgress - Called with {stage: 'reading', loaded, total}
+ * @returns {AsyncGenerator<string>} Lines without their line endings
+ */
+async function* readFileLines(file, onProgress) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    let partial = '';
+    let loaded = 0;
+
+    let chunk = await reader.read();
+    while (!chunk.done) {
+        const lines = (partial + decoder.decode(chunk.value, { stream: true })).split(/\r?\n/);
+        partial = lines.pop();
+        yield* lines;
+
+        loaded += chunk.value.byteLength;
+        onProgress({ stage: 'reading', loaded, total: file.size });
+        chunk = await reader.read();
+    }
+
+    yield* (partial + decoder.decode()).split(/\r?\n/);
+}
@@ -0,0 +1,206 @@
+/**
+ * Offline Station Catalogue
+ *
+ * A bundled list of BoM rainfall stations so uploads can be labelled with
+ * a name and location, and so users can find a station to download without
+ * leaving the app. It is a short list of long-record airport and capital-city
+ * stations across every state, not BoM's full station list. `close` is null
+ * for open stations. An entry may carry `completeness`, BoM's "% complete"
+ * for daily rainfall, which discounts its record length when ranking; the
+ * bundled entries don't have it yet, so their record length includes gaps.
+ * Generating the full list with completeness, and a postcode lookup, is
+ * still to do (see BACKLOG.md).
+ */
+
+import { formatNumber } from './utils.js';
+
+export const STATIONS = [
+    { number: '003003', name: 'BROOME AIRPORT', state: 'WA', latitude: -17.9475, longitude: 122.2353, elevation_m: 7, open: 1939, close: null },
+    { number: '005007', name: 'LEARMONTH AIRPORT', state: 'WA', latitude: -22.2406, longitude: 114.0967, elevation_m: 5, open: 1945, close: null },
+    { number: '009021', name: 'PERTH AIRPORT', state: 'WA', latitude: -31.9275, longitude: 115.9764, elevation_m: 15, open: 1944, close: null },
+    { number: '009034', name: 'PERTH REGIONAL OFFICE', state: 'WA', latitude: -31.9553, longitude: 115.8700, elevation_m: 19, open: 1876, close: 1992 },
+    { number: '009518', name: 'CAPE LEEUWIN', state: 'WA', latitude: -34.3728, longitude: 115.1358, elevation_m: 13, open: 1895, close: null },
+    { number: '012038', name: 'KALGOORLIE-BOULDER AIRPORT', state: 'WA', latitude: -30.7847, longitude: 121.4533, elevation_m: 365, open: 1939, close: null },
+    { number: '014015', name: 'DARWIN AIRPORT', state: 'NT', latitude: -12.4239, longitude: 130.8925, elevation_m: 30, open: 1941, close: null },
+    { number: '015590', name: 'ALICE SPRINGS AIRPORT', state: 'NT', latitude: -23.7951, longitude: 133.8890, elevation_m: 546, open: 1940, close: null },
+    { number: '016001', name: 'WOOMERA AERODROME', state: 'SA', latitude: -31.1558, longitude: 136.8054, elevation_m: 167, open: 1949, close: null },
+    { number: '018012', name: 'CEDUNA AMO', state: 'SA', latitude: -32.1297, longitude: 133.6976, elevation_m: 15, open: 1939, close: null },
+    { number: '023000', name: 'ADELAIDE (WEST TERRACE / NGAYIRDAPIRA)', state: 'SA', latitude: -34.9257, longitude: 138.5832, elevation_m: 29, open: 1839, close: null },
+    { number: '023090', name: 'ADELAIDE (KENT TOWN)', state: 'SA', latitude: -34.9211, longitude: 138.6216, elevation_m: 48, open: 1977, close: null },
+    { number: '026021', name: 'MOUNT GAMBIER AERO', state: 'SA', latitude: -37.7473, longitude: 140.7739, elevation_m: 63, open: 1941, close: null },
+    { number: '031011', name: 'CAIRNS AERO', state: 'QLD', latitude: -16.8736, longitude: 145.7458, elevation_m: 2, open: 1942, close: null },
+    { number: '032040', name: 'TOWNSVILLE AERO', state: 'QLD', latitude: -19.2483, longitude: 146.7661, elevation_m: 4, open: 1940, close: null },
+    { number: '036031', name: 'LONGREACH AERO', state: 'QLD', latitude: -23.4397, longitude: 144.2828, elevation_m: 192, open: 1966, close: null },
+    { number: '039128', name: 'BUNDABERG AERO', state: 'QLD', latitude: -24.9069, longitude: 152.3230, elevation_m: 31, open: 1942, close: null },
+    { number: '040004', name: 'AMBERLEY AMO', state: 'QLD', latitude: -27.6297, longitude: 152.7111, elevation_m: 24, open: 1941, close: null },
+    { number: '040214', name: 'BRISBANE REGIONAL OFFICE', state: 'QLD', latitude: -27.4778, longitude: 153.0306, elevation_m: 38, open: 1840, close: 1994 },
+    { number: '040913', name: 'BRISBANE', state: 'QLD', latitude: -27.4808, longitude: 153.0389, elevation_m: 8, open: 1999, close: null },
+    { number: '044021', name: 'CHARLEVILLE AERO', state: 'QLD', latitude: -26.4139, longitude: 146.2558, elevation_m: 302, open: 1942, close: null },
+    { number: '048027', name: 'COBAR MO', state: 'NSW', latitude: -31.4840, longitude: 145.8294, elevation_m: 260, open: 1962, close: null },
+    { number: '058012', name: 'YAMBA PILOT STATION', state: 'NSW', latitude: -29.4333, longitude: 153.3633, elevation_m: 27, open: 1877, close: null },
+    { number: '061055', name: 'NEWCASTLE NOBBYS SIGNAL STATION AWS', state: 'NSW', latitude: -32.9185, longitude: 151.7985, elevation_m: 33, open: 1862, close: null },
+    { number: '063005', name: 'BATHURST AGRICULTURAL STATION', state: 'NSW', latitude: -33.4289, longitude: 149.5559, elevation_m: 713, open: 1908, close: null },
+    { number: '066037', name: 'SYDNEY AIRPORT AMO', state: 'NSW', latitude: -33.9465, longitude: 151.1731, elevation_m: 6, open: 1929, close: null },
+    { number: '066062', name: 'SYDNEY (OBSERVATORY HILL)', state: 'NSW', latitude: -33.8607, longitude: 151.2050, elevation_m: 39, open: 1858, close: null },
+    { number: '069018', name: 'MORUYA HEADS PILOT STATION', state: 'NSW', latitude: -35.9093, longitude: 150.1532, elevation_m: 17, open: 1876, close: null },
+    { number: '070014', name: 'CANBERRA AIRPORT COMPARISON', state: 'ACT', latitude: -35.3049, longitude: 149.2014, elevation_m: 578, open: 1939, close: 2010 },
+    { number: '070351', name: 'CANBERRA AIRPORT', state: 'ACT', latitude: -35.3088, longitude: 149.2004, elevation_m: 578, open: 2008, close: null },
+    { number: '072150', name: 'WAGGA WAGGA AMO', state: 'NSW', latitude: -35.1583, longitude: 147.4575, elevation_m: 212, open: 1941, close: null },
+    { number: '076031', name: 'MILDURA AIRPORT', state: 'VIC', latitude: -34.2358, longitude: 142.0867, elevation_m: 50, open: 1946, close: null },
+    { number: '082039', name: 'RUTHERGLEN RESEARCH', state: 'VIC', latitude: -36.1047, longitude: 146.5094, elevation_m: 175, open: 1912, close: null },
+    { number: '085072', name: 'EAST SALE AIRPORT', state: 'VIC', latitude: -38.1156, longitude: 147.1322, elevation_m: 5, open: 1943, close: null },
+    { number: '086071', name: 'MELBOURNE REGIONAL OFFICE', state: 'VIC', latitude: -37.8075, longitude: 144.9700, elevation_m: 31, open: 1855, close: 2015 },
+    { number: '086338', name: 'MELBOURNE (OLYMPIC PARK)', state: 'VIC', latitude: -37.8255, longitude: 144.9816, elevation_m: 8, open: 2013, close: null },
+    { number: '087031', name: 'LAVERTON RAAF', state: 'VIC', latitude: -37.8565, longitude: 144.7566, elevation_m: 20, open: 1941, close: null },
+    { number: '090015', name: 'CAPE OTWAY LIGHTHOUSE', state: 'VIC', latitude: -38.8556, longitude: 143.5128, elevation_m: 82, open: 1864, close: null },
+    { number: '091311', name: 'LAUNCESTON (TI TREE BEND)', state: 'TAS', latitude: -41.4194, longitude: 147.1219, elevation_m: 5, open: 1980, close: null },
+    { number: '094029', name: 'HOBART (ELLERSLIE ROAD)', state: 'TAS', latitude: -42.8897, longitude: 147.3278, elevation_m: 51, open: 1882, close: null }
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Record length treated as fully representative when ranking stations
+ */
+const GOOD_RECORD_YEARS = 30;
+
+/**
+ * BoM Climate Data Online daily rainfall observation code
+ */
+const BOM_DAILY_RAINFALL_CODE = 136;
+
+/**
+ * Look up a station by number
+ *
+ * @param {string} number - BoM station number, with or without leading zeros
+ * @returns {Object|null} Catalogue entry or null if not catalogued
+ */
+export function findStation(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (!digits) {
+        return null;
+    }
+
+    const padded = digits.padStart(6, '0');
+    return STATIONS.find(station => station.number === padded) || null;
+}
+
+/**
+ * Fill missing station name and location from the catalogue
+ *
+ * Details already read from the file are kept.
+ *
+ * @param {Object} metadata - Parse result metadata, updated in place
+ */
+export function applyCatalogueDetails(metadata) {
+    const station = findStation(metadata.station);
+    if (!station) {
+        return;
+    }
+
+    if (!metadata.stationName) {
+        metadata.stationName = station.name;
+    }
+    if (metadata.latitude === null || metadata.longitude === null) {
+        metadata.latitude = station.latitude;
+        metadata.longitude = station.longitude;
+    }
+    if (metadata.elevation_m === null) {
+        metadata.elevation_m = station.elevation_m;
+    }
+}
+
+/**
+ * Great-circle distance between two points
+ *
+ * @param {number} lat1 - Latitude of the first point in degrees
+ * @param {number} lon1 - Longitude of the first point in degrees
+ * @param {number} lat2 - Latitude of the second point in degrees
+ * @param {number} lon2 - Longitude of the second point in degrees
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Rank catalogued stations for a location by distance and record length
+ *
+ * A station with a short record is ranked as if it were further away:
+ * a 10-year record counts as two-thirds further than a 30-year one. Where
+ * a station's completeness is known, only the complete share of its years
+ * counts.
+ *
+ * @param {number} latitude - Site latitude in degrees
+ * @param {number} longitude - Site longitude in degrees
+ * @param {number} [limit=5] - Number of stations to return
+ * @returns {Array} Matches of {station, distance_km, years}, best first
+ */
+export function findNearestStations(latitude, longitude, limit = 5) {
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+        throw new Error('Latitude must be between -90 and 90');
+    }
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('Longitude must be between -180 and 180');
+    }
+
+    const currentYear = new Date().getFullYear();
+
+    return STATIONS
+        .map(station => {
+            const distance_km = distanceKm(latitude, longitude, station.latitude, station.longitude);
+            const years = (station.close || currentYear) - station.open;
+            const usefulYears = typeof station.completeness === 'number' ? years * station.completeness / 100 : years;
+            const shortfall = Math.max(0, GOOD_RECORD_YEARS - usefulYears) / GOOD_RECORD_YEARS;
+
+            return { station, distance_km, years, rank: distance_km * (1 + shortfall) };
+        })
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit)
+        .map(({ station, distance_km, years }) => ({ station, distance_km, years }));
+}
+
+/**
+ * BoM Climate Data Online page for a station's daily rainfall
+ *
+ * @param {Object} station - Catalogue entry
+ * @returns {string} URL of the station's daily rainfall page
+ */
+export function stationDataUrl(station) {
+    return `http://www.bom.gov.au/jsp/ncc/cdio/weatherData/av?p_nccObsCode=${BOM_DAILY_RAINFALL_CODE}&p_display_type=dailyDataFile&p_startYear=&p_c=&p_stn_num=${station.number}`;
+}
+
+/**
+ * Generate the nearest-station results
+ *
+ * @param {Array} matches - Result from findNearestStations()
+ * @returns {string} HTML list of stations with download instructions
+ */
+export function generateStationFinderResults(matches) {
+    if (matches.length === 0) {
+        return '<p class="param-hint">No catalogued stations found.</p>';
+    }
+
+    let html = '<ol class="station-finder-results">';
+
+    for (const { station, distance_km, years } of matches) {
+        const period = station.close ? `${station.open}–${station.close}` : `${station.open}–now`;
+        const completeness = typeof station.completeness === 'number' ? `, ${formatNumber(station.completeness)}% complete` : '';
+
+        html += '<li>';
+        html += `<strong>${station.number} ${station.name}</strong> (${station.state}) – ${formatNumber(distance_km, 1)} km away`;
+        html += `<br><span class="param-hint">${period} (${formatNumber(years)} years${completeness}), ${formatNumber(station.elevation_m)} m elevation</span>`;
+        html += `<br><a href="${stationDataUrl(station)}" target="_blank">Open the daily rainfall page</a>`;
+        html += ' and choose "All years of data" to download the zip, then upload it here.';
+        html += '</li>';
+    }
+
+    html += '</ol>';
+    return html;
+}
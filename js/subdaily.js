@@ -0,0 +1,396 @@
+/**
+ * Sub-daily Rainfall
+ *
+ * Pluviograph and logger records (one-minute, five-minute, half-hourly)
+ * are aggregated to daily rows for the water balance. Each wet day keeps
+ * its non-zero interval amounts in `subDaily: {interval_s, amounts}` so the
+ * simulation can limit capture to what the gutters and downpipes can carry
+ * during intense bursts.
+ *
+ * Readings are grouped into rainfall days of 24 hours to 9am, dated the
+ * day the 9am reading is taken, as in BoM daily records, so that days line
+ * up with daily stations when records are merged. Timestamps mark the end
+ * of each interval, as in BoM products: a reading at 09:00 is the last
+ * interval of that day's total, and one at 09:30 counts towards the next.
+ *
+ * Tipping-bucket event logs, and loggers that skip dry intervals, only
+ * write rows when it rains. With no zero rows there is no grid to check
+ * coverage against, so every day in the record counts as observed: days
+ * with rows sum their tips, and days without are dry.
+ */
+
+import { buildDate, parseCSVLine, createParseResult, completeParseResult, reportParseProgress } from './csv-parser.js';
+import { addDays, toDateKey } from './utils.js';
+import { UNKNOWN_QUALITY } from './data-quality.js';
+
+/**
+ * Share of a day's intervals that must hold readings for the day to count
+ */
+const MIN_DAY_COVERAGE = 0.9;
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Hour of the observation that ends each rainfall day
+ */
+const RAINFALL_DAY_END_HOUR = 9;
+
+/**
+ * Interval that event-log tips are added up over, for burst intensity
+ */
+const EVENT_INTERVAL_S = 300;
+
+/**
+ * Aggregate timestamped readings to one row per day
+ *
+ * @param {Array} readings - Array of {time, rainfall_mm, missing, quality}
+ * @returns {Object} {rows, interval_s, incompleteDays, eventLog}
+ */
+export function aggregateSubDaily(readings) {
+    const sorted = [...readings].sort((a, b) => a.time - b.time);
+    const eventLog = isEventLog(sorted);
+    if (eventLog) {
+        return aggregateEventLog(sorted);
+    }
+
+    const interval_s = detectInterval(sorted);
+    const expected = SECONDS_PER_DAY / interval_s;
+
+    const days = new Map();
+    for (const reading of sorted) {
+        const date = rainfallDay(reading.time);
+        const key = toDateKey(date);
+        if (!days.has(key)) {
+            days.set(key, { date, readings: [] });
+        }
+        days.get(key).readings.push(reading);
+    }
+
+    const rows = [];
+    let incompleteDays = 0;
+
+    for (const { date, readings: dayReadings } of days.values()) {
+        const observed = dayReadings.filter(reading => !reading.missing);
+
+        if (observed.length < expected * MIN_DAY_COVERAGE) {
+            incompleteDays++;
+            rows.push({ date, rainfall_mm: 0, missing: true, quality: '', accumulated: false });
+            continue;
+        }
+
+        // An unchecked reading makes the day unchecked; otherwise an unflagged one makes it unflagged
+        const unchecked = observed.find(reading => reading.quality !== 'Y' && reading.quality !== UNKNOWN_QUALITY) ||
+            observed.find(reading => reading.quality === UNKNOWN_QUALITY);
+        const amounts = observed.map(reading => reading.rainfall_mm).filter(amount => amount > 0);
+        const row = {
+            date,
+            rainfall_mm: amounts.reduce((sum, amount) => sum + amount, 0),
+            missing: false,
+            quality: unchecked ? unchecked.quality : 'Y',
+            accumulated: false
+        };
+
+        if (amounts.length > 0) {
+            row.subDaily = { interval_s, amounts };
+        }
+        rows.push(row);
+    }
+
+    return { rows, interval_s, incompleteDays, eventLog };
+}
+
+/**
+ * Whether readings only record rain, as tipping-bucket event logs do
+ *
+ * @param {Array} sorted - Readings sorted by time
+ * @returns {boolean} True when there are several readings and none is zero or missing
+ */
+function isEventLog(sorted) {
+    return sorted.length > 1 && sorted.every(reading => !reading.missing && reading.rainfall_mm > 0);
+}
+
+/**
+ * Aggregate an event log to one row per day, from its first day to its last
+ *
+ * Tips are added up over the logger's interval when they fall on a regular
+ * grid (a logger skipping dry intervals), otherwise over EVENT_INTERVAL_S.
+ *
+ * @param {Array} sorted - Readings sorted by time
+ * @returns {Object} {rows, interval_s, incompleteDays, eventLog}
+ */
+function aggregateEventLog(sorted) {
+    const detected = detectInterval(sorted);
+    const onGrid = sorted.every((reading, i) =>
+        i === 0 || Math.round((reading.time - sorted[i - 1].time) / 1000) % detected === 0
+    );
+    const interval_s = onGrid && detected >= 60 ? detected : EVENT_INTERVAL_S;
+    const dryQuality = sorted.every(reading => reading.quality === 'Y') ? 'Y' : UNKNOWN_QUALITY;
+
+    // Tip totals per interval, by rainfall day as for regular readings
+    const days = new Map();
+    for (const reading of sorted) {
+        const date = rainfallDay(reading.time);
+        const key = toDateKey(date);
+        if (!days.has(key)) {
+            days.set(key, { bins: new Map(), quality: 'Y' });
+        }
+
+        const day = days.get(key);
+        const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1, RAINFALL_DAY_END_HOUR);
+        const bin = Math.floor((reading.time - 1 - dayStart) / 1000 / interval_s);
+        day.bins.set(bin, (day.bins.get(bin) || 0) + reading.rainfall_mm);
+        if (reading.quality !== 'Y' && day.quality === 'Y') {
+            day.quality = reading.quality;
+        }
+    }
+
+    const last = rainfallDay(sorted[sorted.length - 1].time);
+    const rows = [];
+    for (let date = rainfallDay(sorted[0].time); date <= last; date = addDays(date, 1)) {
+        const day = days.get(toDateKey(date));
+        if (!day) {
+            rows.push({ date, rainfall_mm: 0, missing: false, quality: dryQuality, accumulated: false });
+            continue;
+        }
+
+        const amounts = [...day.bins.keys()].sort((a, b) => a - b).map(bin => day.bins.get(bin));
+        rows.push({
+            date,
+            rainfall_mm: amounts.reduce((sum, amount) => sum + amount, 0),
+            missing: false,
+            quality: day.quality,
+            accumulated: false,
+            subDaily: { interval_s, amounts }
+        });
+    }
+
+    return { rows, interval_s, incompleteDays: 0, eventLog: true };
+}
+
+/**
+ * Rainfall day a reading counts towards
+ *
+ * @param {Date} time - End of the reading's interval
+ * @returns {Date} Local midnight on the date of the 9am observation ending the day
+ */
+function rainfallDay(time) {
+    // Step back to within the 24 hours after the previous 9am, then forward to the day it ends
+    const end = new Date(time.getTime() - 1);
+    const shifted = new Date(end.getFullYear(), end.getMonth(), end.getDate(), end.getHours() - RAINFALL_DAY_END_HOUR);
+    return new Date(shifted.getFullYear(), shifted.getMonth(), shifted.getDate() + 1);
+}
+
+/**
+ * Find the recording interval as the most common gap between readings
+ *
+ * @param {Array} sorted - Readings sorted by time
+ * @returns {number} Interval in seconds
+ */
+function detectInterval(sorted) {
+    const counts = new Map();
+
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = Math.round((sorted[i].time - sorted[i - 1].time) / 1000);
+        if (gap > 0 && gap <= SECONDS_PER_DAY) {
+            counts.set(gap, (counts.get(gap) || 0) + 1);
+        }
+    }
+
+    let interval = SECONDS_PER_DAY;
+    let best = 0;
+    for (const [gap, count] of counts) {
+        if (count > best) {
+            interval = gap;
+            best = count;
+        }
+    }
+
+    return interval;
+}
+
+/**
+ * Read a time of day from text such as "09:30", "9:30:00" or "9:30 pm"
+ *
+ * @param {string} text - Text containing a time
+ * @returns {Object|null} {hours, minutes, seconds} or null if none found
+ */
+export function parseTimeOfDay(text) {
+    const match = (text || '').match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i);
+    if (!match) {
+        return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const suffix = (match[4] || '').toLowerCase();
+    if (suffix === 'pm' && hours < 12) hours += 12;
+    if (suffix === 'am' && hours === 12) hours = 0;
+
+    return {
+        hours,
+        minutes: parseInt(match[2], 10),
+        seconds: match[3] ? parseInt(match[3], 10) : 0
+    };
+}
+
+/**
+ * Whether a header row is from a BoM sub-daily (one-minute or half-hourly) product
+ *
+ * @param {string} headerRow - The first line of the CSV
+ * @returns {boolean} True if the header has local-time HH24/MI columns and precipitation
+ */
+export function isBoMSubDaily(headerRow) {
+    return /HH24/i.test(headerRow || '') && /precipitation/i.test(headerRow || '');
+}
+
+/**
+ * Parse a BoM sub-daily CSV
+ *
+ * The header's "Year Month Day Hours Minutes in YYYY,MM,DD,HH24,MI format
+ * in Local time" text splits into the five date columns that follow the
+ * station number. Precipitation is either per observation ("since last")
+ * or a running total since 9am, which is converted to increments.
+ *
+ * @param {string} csvText - Raw CSV text content
+ * @param {Object} [options] - Parsing options
+ * @param {Function} [options.onProgress] - Called as lines are read, see reportParseProgress()
+ * @returns {Object} Parse result in the parseBoMCSV shape, with metadata.interval_s
+ */
+export function parseBoMSubDaily(csvText, options = {}) {
+    const lines = (csvText || '').split(/\r?\n/);
+    const parser = createBoMSubDailyParser();
+
+    lines.forEach((line, i) => {
+        reportParseProgress(options.onProgress, i, lines.length);
+        parser.addLine(line);
+    });
+
+    return parser.finish();
+}
+
+/**
+ * Create a BoM sub-daily CSV parser that is given the file a line at a time
+ *
+ * The parse worker's counterpart to parseBoMSubDaily(), as for
+ * createBoMCSVParser(). Blank lines are skipped.
+ *
+ * @returns {Object} {addLine, finish}: addLine(line) reads the next line, finish() returns the parse result
+ */
+export function createBoMSubDailyParser() {
+    const result = createParseResult();
+    const readings = [];
+    let lineCount = 0;
+    let header = null;
+    let rainColumn = -1;
+    let qualityColumn = -1;
+    let cumulative = false;
+    let previousTotal = null;
+
+    const addLine = line => {
+        if (!line.trim()) return;
+        lineCount++;
+
+        if (lineCount === 1) {
+            if (!isBoMSubDaily(line)) return;
+            header = parseCSVLine(line);
+            rainColumn = header.findIndex(name => /precipitation/i.test(name));
+            qualityColumn = /quality/i.test(header[rainColumn + 1] || '') ? rainColumn + 1 : -1;
+            cumulative = /since 9\s*am/i.test(header[rainColumn]);
+            return;
+        }
+        if (!header) return;
+
+        const columns = parseCSVLine(line).map(cell => cell.trim());
+        const time = buildDateTime(columns.slice(2, 7).map(value => parseInt(value, 10)));
+
+        if (time.error) {
+            result.warnings.push(`Row ${lineCount}: ${time.error}`);
+            return;
+        }
+
+        if (!result.metadata.station && columns[1]) {
+            result.metadata.station = columns[1];
+            result.metadata.productCode = columns[0];
+        }
+
+        const value = columns[rainColumn] === '' ? NaN : parseFloat(columns[rainColumn]);
+        let rainfall_mm = value;
+        let missing = isNaN(value) || value < 0;
+
+        if (cumulative) {
+            // The running total resets at 9am; a reading after a gap has no known increment
+            if (missing || previousTotal === null) {
+                missing = true;
+            } else {
+                rainfall_mm = value >= previousTotal ? value - previousTotal : value;
+            }
+            previousTotal = isNaN(value) ? null : value;
+        }
+
+        readings.push({
+            time: time.date,
+            rainfall_mm: missing ? 0 : rainfall_mm,
+            missing,
+            quality: qualityColumn >= 0 ? columns[qualityColumn] : UNKNOWN_QUALITY
+        });
+    };
+
+    const finish = () => {
+        if (lineCount < 2 || !header) {
+            result.errors.push("File doesn't appear to be a BoM sub-daily rainfall CSV");
+            return result;
+        }
+
+        return completeSubDailyResult(result, readings);
+    };
+
+    return { addLine, finish };
+}
+
+/**
+ * Aggregate sub-daily readings into a complete parse result
+ *
+ * @param {Object} result - Result from createParseResult(), updated in place
+ * @param {Array} readings - Array of {time, rainfall_mm, missing, quality}
+ * @returns {Object} The completed result
+ */
+export function completeSubDailyResult(result, readings) {
+    if (readings.length === 0) {
+        result.errors.push('No valid data rows found in file');
+        return result;
+    }
+
+    const aggregated = aggregateSubDaily(readings);
+    result.metadata.interval_s = aggregated.interval_s;
+    result.metadata.eventLog = aggregated.eventLog;
+
+    if (aggregated.eventLog) {
+        result.warnings.push('Readings only record rain (an event log) - days without readings are treated as dry');
+    }
+
+    if (aggregated.incompleteDays > 0) {
+        result.warnings.push(`${aggregated.incompleteDays} days have readings for less than ${MIN_DAY_COVERAGE * 100}% of the day - treated as missing`);
+    }
+
+    return completeParseResult(result, aggregated.rows);
+}
+
+/**
+ * Build a local date-time from [year, month, day, hour, minute]
+ *
+ * @param {number[]} parts - Date and time components
+ * @returns {Object} {date} on success or {error}
+ */
+function buildDateTime([year, month, day, hour, minute]) {
+    const { date, error } = buildDate(year, month, day);
+    if (error) {
+        return { error };
+    }
+
+    if (isNaN(hour) || isNaN(minute) || hour < 0 || hour > 24 || minute < 0 || minute > 59) {
+        return { error: 'Invalid time values' };
+    }
+
+    // 24:00 is the end of the day
+    const time = hour === 24 ? addDays(date, 1) : date;
+    return { date: new Date(time.getFullYear(), time.getMonth(), time.getDate(), hour % 24, minute) };
+}
@@ -0,0 +1,142 @@
+/**
+ * Household Water Usage Calculator
+ *
+ * Builds a daily usage figure from the household instead of a preset:
+ * the people living there, how water-efficient their fixtures are (WELS
+ * star ratings), how they use them, and any garden or pool. The result is
+ * broken down by the end uses in end-uses.js, so it can set their shares.
+ *
+ * Fixture figures are typical for each rating, not the label's limits.
+ */
+
+import { END_USES } from './end-uses.js';
+import { formatLitres } from './utils.js';
+
+/**
+ * Shower flow (L/min) by WELS star rating
+ */
+export const SHOWER_RATINGS = {
+    unrated: { label: 'Old or unrated', flow_Lmin: 15 },
+    1: { label: '1 star', flow_Lmin: 13 },
+    2: { label: '2 stars', flow_Lmin: 10.5 },
+    3: { label: '3 stars', flow_Lmin: 8 }
+};
+
+/**
+ * Average flush (L) by WELS star rating
+ */
+export const TOILET_RATINGS = {
+    unrated: { label: 'Old single flush', flush_L: 11 },
+    3: { label: '3 stars', flush_L: 4.5 },
+    4: { label: '4 stars', flush_L: 3.5 },
+    5: { label: '5 stars', flush_L: 3 }
+};
+
+/**
+ * Water per load (L) by WELS star rating
+ */
+export const WASHING_MACHINE_RATINGS = {
+    unrated: { label: 'Old top loader', load_L: 150 },
+    3: { label: '3 stars', load_L: 110 },
+    4: { label: '4 stars', load_L: 80 },
+    5: { label: '5 stars', load_L: 65 },
+    6: { label: '6 stars or more', load_L: 55 }
+};
+
+export const USAGE_CALCULATOR_DEFAULTS = {
+    occupants: 3,
+    showerRating: '3',
+    showerMinutes: 7,
+    showersPerDay: 1,
+    toiletRating: '4',
+    flushesPerDay: 4,
+    washingMachineRating: '4',
+    loadsPerWeek: 5,
+    tapUse_L: 25,  // kitchen, basins and drinking, per person per day
+    gardenArea_m2: 0,
+    gardenWatering_mm: 10,  // per week
+    poolArea_m2: 0,
+    poolCovered: false
+};
+
+/**
+ * Evaporation a pool loses on an average day, and the share a cover saves
+ */
+const POOL_EVAPORATION_mm = 4;
+const POOL_COVER_SAVING = 0.5;
+
+/**
+ * Calculate a household's daily water usage
+ *
+ * @param {Object} household - Calculator inputs, as USAGE_CALCULATOR_DEFAULTS
+ * @returns {Object} {dailyUsage_L, breakdown}: total litres a day, and litres a day by key of END_USES
+ */
+export function calculateHouseholdUsage(household) {
+    const {
+        occupants,
+        showerRating,
+        showerMinutes,
+        showersPerDay,
+        toiletRating,
+        flushesPerDay,
+        washingMachineRating,
+        loadsPerWeek,
+        tapUse_L,
+        gardenArea_m2,
+        gardenWatering_mm,
+        poolArea_m2,
+        poolCovered
+    } = household;
+
+    const shower = SHOWER_RATINGS[showerRating];
+    const toilet = TOILET_RATINGS[toiletRating];
+    const washingMachine = WASHING_MACHINE_RATINGS[washingMachineRating];
+    if (!shower || !toilet || !washingMachine) {
+        throw new Error('Unknown fixture rating');
+    }
+    if (!(occupants > 0)) {
+        throw new Error('Household needs at least one person');
+    }
+
+    // 1 mm over 1 m² is 1 litre
+    const breakdown = {
+        toilets: occupants * flushesPerDay * toilet.flush_L,
+        laundry: loadsPerWeek * washingMachine.load_L / 7,
+        hotWater: occupants * showersPerDay * showerMinutes * shower.flow_Lmin,
+        garden: gardenArea_m2 * gardenWatering_mm / 7,
+        pool: poolArea_m2 * POOL_EVAPORATION_mm * (poolCovered ? 1 - POOL_COVER_SAVING : 1),
+        potable: occupants * tapUse_L
+    };
+
+    return {
+        dailyUsage_L: Object.values(breakdown).reduce((sum, litres) => sum + litres, 0),
+        breakdown
+    };
+}
+
+/**
+ * Describe a calculated usage, for the results data note
+ *
+ * @param {Object|null} usage - Result from calculateHouseholdUsage()
+ * @returns {string} Description, or '' without a calculated usage
+ */
+export function describeHouseholdUsage(usage) {
+    if (!usage) {
+        return '';
+    }
+
+    return `Daily usage of ${formatLitres(usage.dailyUsage_L)} from the usage calculator: ${describeUsageBreakdown(usage.breakdown)}`;
+}
+
+/**
+ * List the uses in a usage breakdown
+ *
+ * @param {Object} breakdown - Litres a day by key of END_USES
+ * @returns {string} e.g. "toilets 42 L, laundry 57 L"
+ */
+export function describeUsageBreakdown(breakdown) {
+    return Object.entries(breakdown)
+        .filter(([, litres]) => litres > 0)
+        .map(([use, litres]) => `${END_USES[use].label.toLowerCase()} ${formatLitres(litres)}`)
+        .join(', ');
+}
@@ -122,6 +122,22 @@ export function formatDays(days) {
     return days === 1 ? '1 day' : `${formatNumber(days)} days`;
 }
 
+/**
+ * Describe a recording interval for display
+ *
+ * @param {number} interval_s - Interval in seconds
+ * @returns {string} e.g. "1-minute", "30-minute", "1-hour"
+ */
+export function formatInterval(interval_s) {
+    if (interval_s % 3600 === 0) {
+        return `${interval_s / 3600}-hour`;
+    }
+    if (interval_s % 60 === 0) {
+        return `${interval_s / 60}-minute`;
+    }
+    return `${interval_s}-second`;
+}
+
 /**
  * Format years for display
  * @param {number[]} years - Array of years
@@ -179,3 +195,64 @@ export function groupBy(items, keyFn) {
     }
     return groups;
 }
+
+/**
+ * Add a number of calendar days to a date
+ * Uses calendar arithmetic rather than milliseconds so daylight saving
+ * transitions never shift the result onto the wrong day.
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} New date at local midnight
+ */
+export function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Whether a date is the calendar day after another
+ * Records with years taken out skip from one year to a later one.
+ * @param {Date} previous - Earlier date
+ * @param {Date} date - Later date
+ * @returns {boolean} True when no days lie between them
+ */
+export function isNextDay(previous, date) {
+    return toDateKey(addDays(previous, 1)) === toDateKey(date);
+}
+
+/**
+ * Build a stable lookup key for a calendar date
+ * @param {Date} date - The date
+ * @returns {string} Key in YYYY-MM-DD form
+ */
+export function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Convert a key from toDateKey() back to a date
+ * @param {string} key - Key in YYYY-MM-DD form
+ * @returns {Date} Local midnight on that day
+ */
+export function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(part => parseInt(part, 10));
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * Repeatable draws keep simulations stable between runs.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a number in [0, 1)
+ */
+export function seededRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
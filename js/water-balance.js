@@ -2,13 +2,18 @@
  * Water Balance Simulation Engine
  *
  * Simulates daily water tank levels based on:
- * - Roof catchment area
+ * - Roof catchments (house, shed, carport...), each with a flat runoff
+ *   coefficient or initial and continuing losses by roof material, and
+ *   only some plumbed to the tank
  * - Daily rainfall data
- * - Daily water usage
- * - Tank capacity
+ * - Daily water usage, the same every day or a per-day demand series,
+ *   optionally split by use (indoor, garden) to report what the tank supplies to each
+ * - Tank capacity, as one tank or several linked, cascading or separate tanks
+ * - Gutter/downpipe capacity, where sub-daily rainfall is available
+ * - First-flush diversion of the dirtiest runoff at the start of each rain event
  */
 
-import { clamp } from './utils.js';
+import { clamp, formatTankSize, isNextDay } from './utils.js';
 
 /**
  * Default configuration values
@@ -27,16 +32,72 @@ export const DEFAULTS = {
  */
 export const TANK_SIZES = [2000, 5000, 10000, 15000, 20000, 25000];
 
+/**
+ * Ways of arranging the storage
+ */
+export const TANK_SETUPS = {
+    single: 'One tank',
+    parallel: 'Linked tanks (parallel)',
+    cascade: 'Cascading tanks',
+    separate: 'Separate tanks'
+};
+
+/**
+ * Common round poly tank sizes (in litres), used to suggest configurations
+ */
+export const STANDARD_TANK_SIZES = [1000, 2000, 3000, 5000, 10000, 13500, 22500];
+
+/**
+ * Initial loss (mm wetting the roof at the start of each event) and continuing
+ * loss (share of the remaining rain lost) for common roof materials
+ */
+export const ROOF_MATERIALS = {
+    colorbond: { label: 'Colorbond / metal sheet', initialLoss_mm: 0.5, continuingLoss: 0.05 },
+    tile: { label: 'Terracotta or concrete tile', initialLoss_mm: 1, continuingLoss: 0.1 },
+    concrete: { label: 'Concrete slab', initialLoss_mm: 1.5, continuingLoss: 0.15 },
+    green: { label: 'Green roof', initialLoss_mm: 10, continuingLoss: 0.5 }
+};
+
+/**
+ * Ways of sizing a first-flush diverter
+ */
+export const FIRST_FLUSH_MODES = {
+    perArea: 'Litres per m² of roof',
+    fixed: 'Fixed litres'
+};
+
+/**
+ * Typical diverter settings: 0.5 L/m² is a common rule of thumb, and most
+ * diverters drip empty within a couple of dry days
+ */
+export const FIRST_FLUSH_DEFAULTS = {
+    perArea: 0.5,
+    fixed: 50,
+    resetDryDays: 2
+};
+
 /**
  * Run a water balance simulation over the rainfall data
  *
+ * Where the record skips days, as when years with gaps are excluded, the
+ * tank restarts at its starting level rather than carrying water across
+ * the break; days after a break are flagged `afterBreak`.
+ *
  * @param {Object} config - Simulation configuration
  * @param {Array} config.rainfallData - Array of {date, rainfall_mm, missing} objects
  * @param {number} config.tankSize_L - Tank capacity in litres
- * @param {number} config.roofArea_m2 - Roof catchment area in square metres
+ * @param {number} config.roofArea_m2 - Roof catchment area in square metres (ignored with catchments)
  * @param {number} config.dailyUsage_L - Daily water usage in litres
+ * @param {Float64Array|number[]|null} [config.demand_L=null] - Litres used each day, aligned with
+ *   rainfallData, instead of the same daily usage every day (see buildDemandSeries())
+ * @param {Object|null} [config.demandByUse=null] - Per-day demand series by use, e.g. {indoor, garden},
+ *   instead of demand_L; uses are in priority order, so when the tank runs short the first are supplied first
  * @param {number} [config.runoffCoefficient=0.85] - Fraction of rainfall captured
+ * @param {Object|null} [config.runoffLosses=null] - {initialLoss_mm, continuingLoss} used instead of the coefficient (ignored with catchments)
+ * @param {Array|null} [config.catchments=null] - Roofs of {name, area_m2, runoffLosses, connected}, instead of one roof area
  * @param {number} [config.initialLevel_L] - Starting tank level (default: half full)
+ * @param {number|null} [config.gutterCapacity_Ls=null] - Gutter/downpipe capacity in L/s (null = unlimited)
+ * @param {Object|null} [config.firstFlush=null] - First-flush diverter {mode, amount, resetDryDays} (null = none)
  * @returns {Object} Simulation results
  */
 export function runWaterBalance(config) {
@@ -45,46 +106,64 @@ export function runWaterBalance(config) {
         tankSize_L,
         roofArea_m2,
         dailyUsage_L,
+        demand_L: demandSeries_L = null,
+        demandByUse = null,
         runoffCoefficient = DEFAULTS.runoffCoefficient,
-        initialLevel_L = tankSize_L / 2
+        runoffLosses = null,
+        initialLevel_L = tankSize_L / 2,
+        gutterCapacity_Ls = null,
+        firstFlush = null,
+        catchments = null
     } = config;
 
     if (!rainfallData || rainfallData.length === 0) {
         throw new Error('No rainfall data provided');
     }
 
-    if (tankSize_L <= 0 || roofArea_m2 <= 0 || dailyUsage_L <= 0) {
+    const roofs = resolveCatchments({ roofArea_m2, runoffLosses, catchments });
+    const connectedArea_m2 = roofs.reduce((sum, roof) => sum + (roof.connected ? roof.area_m2 : 0), 0);
+
+    const demand_L = demandByUse ? sumDemandByUse(demandByUse, rainfallData.length) : demandSeries_L;
+    const usageDemanded = demand_L
+        ? demand_L.every(usage_L => usage_L >= 0) && demand_L.some(usage_L => usage_L > 0)
+        : dailyUsage_L > 0;
+    if (tankSize_L <= 0 || connectedArea_m2 <= 0 || !usageDemanded) {
         throw new Error('Tank size, roof area, and daily usage must be positive');
     }
 
+    if (demand_L && demand_L.length !== rainfallData.length) {
+        throw new Error('Demand series must have one value per day of rainfall data');
+    }
+
     const stressThreshold_L = tankSize_L * DEFAULTS.stressThreshold;
+    let capture = createCatchmentCapture(roofs, runoffCoefficient, gutterCapacity_Ls, firstFlush);
 
-    // Initialize tracking variables
     const dailyLevels = [];
-    let currentLevel = clamp(initialLevel_L, 0, tankSize_L);
+    const startLevel = clamp(initialLevel_L, 0, tankSize_L);
+    let currentLevel = startLevel;
+    let totalGutterOverflow_L = 0;
+    let totalFirstFlush_L = 0;
+    const catchmentInflow_L = roofs.map(() => 0);
+    const supplyByUse = demandByUse ? createSupplyByUse(Object.keys(demandByUse)) : null;
 
-    // Summary statistics
-    let totalOverflow_L = 0;
-    let totalDeficit_L = 0;
-    let daysEmpty = 0;
-    let daysBelowStress = 0;
-    let daysBelow50pct = 0;
+    // Process each day
+    for (const [dayIndex, dayData] of rainfallData.entries()) {
+        const usage_L = demand_L ? demand_L[dayIndex] : dailyUsage_L;
 
-    // Track empty and stress periods
-    const emptyPeriods = [];
-    const stressPeriods = [];
-    let currentEmptyPeriod = null;
-    let currentStressPeriod = null;
+        const afterBreak = dayIndex > 0 && !isNextDay(rainfallData[dayIndex - 1].date, dayData.date);
+        if (afterBreak) {
+            currentLevel = startLevel;
+            capture = createCatchmentCapture(roofs, runoffCoefficient, gutterCapacity_Ls, firstFlush);
+        }
 
-    // Process each day
-    for (const dayData of rainfallData) {
         // Calculate inflow: 1mm on 1m² = 1 litre
-        const inflow_L = dayData.missing
-            ? 0  // Assume no rain on missing data days (conservative)
-            : dayData.rainfall_mm * roofArea_m2 * runoffCoefficient;
+        const { inflow_L, gutterOverflow_L, firstFlush_L, byCatchment } = capture(dayData);
+        byCatchment.forEach((litres, index) => {
+            catchmentInflow_L[index] += litres;
+        });
 
         // Calculate new level before clamping
-        const rawNewLevel = currentLevel + inflow_L - dailyUsage_L;
+        const rawNewLevel = currentLevel + inflow_L - usage_L;
 
         // Calculate overflow and deficit
         const overflow_L = Math.max(0, rawNewLevel - tankSize_L);
@@ -93,24 +172,149 @@ export function runWaterBalance(config) {
         // Clamp to valid range
         const newLevel = clamp(rawNewLevel, 0, tankSize_L);
 
-        // Update totals
-        totalOverflow_L += overflow_L;
-        totalDeficit_L += deficit_L;
+        // Supply the day's uses in priority order; the shortfall falls on the last
+        if (supplyByUse) {
+            let fromTank_L = usage_L - deficit_L;
+            for (const [use, supply] of Object.entries(supplyByUse)) {
+                const useDemand_L = demandByUse[use][dayIndex];
+                const useTank_L = Math.min(useDemand_L, fromTank_L);
+                fromTank_L -= useTank_L;
+
+                supply.demand_L += useDemand_L;
+                supply.tank_L += useTank_L;
+                supply.mains_L += useDemand_L - useTank_L;
+            }
+        }
+
+        totalGutterOverflow_L += gutterOverflow_L;
+        totalFirstFlush_L += firstFlush_L;
+
+        // Record daily state
+        dailyLevels.push({
+            date: dayData.date,
+            level_L: newLevel,
+            inflow_L,
+            usage_L,
+            overflow_L,
+            gutterOverflow_L,
+            firstFlush_L,
+            deficit_L,
+            isEmpty: newLevel === 0 && usage_L > 0,
+            isStressed: newLevel < stressThreshold_L,
+            afterBreak
+        });
+
+        currentLevel = newLevel;
+    }
+
+    const { summary, emptyPeriods, stressPeriods } = summarizeDailyLevels(dailyLevels, tankSize_L);
+
+    // Find worst dry spell (longest period with minimal rain)
+    const worstDrySpell = findWorstDrySpell(rainfallData, runoffCoefficient, roofs);
+
+    return {
+        dailyLevels,
+        summary: {
+            ...summary,
+            totalGutterOverflow_L,
+            totalFirstFlush_L,
+            catchmentInflow_L,
+            supplyByUse
+        },
+        emptyPeriods,
+        stressPeriods,
+        worstDrySpell
+    };
+}
+
+/**
+ * Add up per-use demand series into the total for each day
+ *
+ * @param {Object} demandByUse - Per-day demand series by use
+ * @param {number} days - Days in the record
+ * @returns {Float64Array} Total litres demanded each day
+ */
+function sumDemandByUse(demandByUse, days) {
+    const total_L = new Float64Array(days);
+
+    for (const [use, series] of Object.entries(demandByUse)) {
+        if (series.length !== days) {
+            throw new Error(`Demand series for ${use} must have one value per day of rainfall data`);
+        }
+        series.forEach((usage_L, index) => {
+            total_L[index] += usage_L;
+        });
+    }
+
+    return total_L;
+}
+
+/**
+ * Empty supply totals for each use
+ *
+ * @param {string[]} uses - Use keys
+ * @returns {Object} Per use {demand_L, tank_L, mains_L}
+ */
+function createSupplyByUse(uses) {
+    return Object.fromEntries(uses.map(use => [use, { demand_L: 0, tank_L: 0, mains_L: 0 }]));
+}
+
+/**
+ * Summarise a run of daily tank states
+ *
+ * Reliability counts only days with usage: an empty tank at an unoccupied
+ * holiday home leaves nobody short.
+ *
+ * @param {Array} dailyLevels - Daily states of {date, level_L, usage_L, overflow_L, deficit_L, isEmpty, isStressed, afterBreak}
+ * @param {number} capacity_L - Storage capacity
+ * @returns {Object} {summary, emptyPeriods, stressPeriods}
+ */
+function summarizeDailyLevels(dailyLevels, capacity_L) {
+    let totalOverflow_L = 0;
+    let totalDeficit_L = 0;
+    let daysInUse = 0;
+    let daysEmpty = 0;
+    let daysBelowStress = 0;
+    let daysBelow50pct = 0;
+
+    // Track empty and stress periods
+    const emptyPeriods = [];
+    const stressPeriods = [];
+    let currentEmptyPeriod = null;
+    let currentStressPeriod = null;
+
+    for (const day of dailyLevels) {
+        // Periods don't run across a break in the record
+        if (day.afterBreak) {
+            if (currentEmptyPeriod) {
+                emptyPeriods.push(currentEmptyPeriod);
+                currentEmptyPeriod = null;
+            }
+            if (currentStressPeriod) {
+                stressPeriods.push(currentStressPeriod);
+                currentStressPeriod = null;
+            }
+        }
+
+        totalOverflow_L += day.overflow_L;
+        totalDeficit_L += day.deficit_L;
+        if (day.usage_L > 0) {
+            daysInUse++;
+        }
 
         // Track empty days
-        const isEmpty = newLevel === 0;
-        if (isEmpty) {
+        if (day.isEmpty) {
             daysEmpty++;
 
             if (!currentEmptyPeriod) {
                 currentEmptyPeriod = {
-                    startDate: dayData.date,
-                    endDate: dayData.date,
+                    startDate: day.date,
+                    endDate: day.date,
                     duration: 1,
-                    year: dayData.date.getFullYear()
+                    year: day.date.getFullYear()
                 };
             } else {
-                currentEmptyPeriod.endDate = dayData.date;
+                currentEmptyPeriod.endDate = day.date;
                 currentEmptyPeriod.duration++;
             }
         } else if (currentEmptyPeriod) {
@@ -119,20 +323,19 @@ export function runWaterBalance(config) {
         }
 
         // Track stress periods (below threshold)
-        const isStressed = newLevel < stressThreshold_L;
-        if (isStressed) {
+        if (day.isStressed) {
             daysBelowStress++;
 
             if (!currentStressPeriod) {
                 currentStressPeriod = {
-                    startDate: dayData.date,
-                    endDate: dayData.date,
-                    minLevel: newLevel,
-                    year: dayData.date.getFullYear()
+                    startDate: day.date,
+                    endDate: day.date,
+                    minLevel: day.level_L,
+                    year: day.date.getFullYear()
                 };
             } else {
-                currentStressPeriod.endDate = dayData.date;
-                currentStressPeriod.minLevel = Math.min(currentStressPeriod.minLevel, newLevel);
+                currentStressPeriod.endDate = day.date;
+                currentStressPeriod.minLevel = Math.min(currentStressPeriod.minLevel, day.level_L);
             }
         } else if (currentStressPeriod) {
             stressPeriods.push(currentStressPeriod);
@@ -140,23 +343,9 @@ export function runWaterBalance(config) {
         }
 
         // Track 50% threshold
-        if (newLevel < tankSize_L * 0.5) {
+        if (day.level_L < capacity_L * 0.5) {
             daysBelow50pct++;
         }
-
-        // Record daily state
-        dailyLevels.push({
-            date: dayData.date,
-            level_L: newLevel,
-            inflow_L,
-            usage_L: dailyUsage_L,
-            overflow_L,
-            deficit_L,
-            isEmpty,
-            isStressed
-        });
-
-        currentLevel = newLevel;
     }
 
     // Close any open periods at end of data
@@ -167,65 +356,259 @@ export function runWaterBalance(config) {
         stressPeriods.push(currentStressPeriod);
     }
 
-    // Find worst dry spell (longest period with minimal rain)
-    const worstDrySpell = findWorstDrySpell(rainfallData, roofArea_m2, runoffCoefficient);
-
     return {
-        dailyLevels,
         summary: {
             totalDays: dailyLevels.length,
+            daysInUse,
             daysEmpty,
             daysBelowStress,
             daysBelow50pct,
             totalOverflow_L,
             totalDeficit_L,
-            reliabilityPercent: ((dailyLevels.length - daysEmpty) / dailyLevels.length) * 100,
+            reliabilityPercent: ((daysInUse - daysEmpty) / daysInUse) * 100,
             stressPercent: (daysBelowStress / dailyLevels.length) * 100
         },
         emptyPeriods,
-        stressPeriods,
-        worstDrySpell
+        stressPeriods
+    };
+}
+
+/**
+ * List a system's roof catchments
+ *
+ * A bare roof area (with its runoff losses) counts as one connected roof.
+ *
+ * @param {Object} system - System description
+ * @param {number} [system.roofArea_m2] - Roof area, used without catchments
+ * @param {Object|null} [system.runoffLosses=null] - {initialLoss_mm, continuingLoss} for the roof area
+ * @param {Array|null} [system.catchments=null] - Roofs of {name, area_m2, runoffLosses, connected}
+ * @returns {Array} Catchments of {name, area_m2, runoffLosses, connected}
+ */
+export function resolveCatchments({ roofArea_m2, runoffLosses = null, catchments = null }) {
+    if (!catchments) {
+        return [{ name: 'Roof', area_m2: roofArea_m2, runoffLosses, connected: true }];
+    }
+
+    for (const catchment of catchments) {
+        if (!(catchment.area_m2 > 0)) {
+            throw new Error(`Roof area of ${catchment.name || 'each catchment'} must be positive`);
+        }
+    }
+
+    return catchments;
+}
+
+/**
+ * Create the runoff reaching the tank from each connected catchment
+ *
+ * Each roof wets and dries on its own, and has its own gutters and its
+ * own first-flush diverter sized to its area. Unconnected roofs are
+ * skipped and always contribute nothing.
+ *
+ * Must be called for every day in order, including missing days.
+ *
+ * @param {Array} catchments - Result from resolveCatchments()
+ * @param {number} runoffCoefficient - Runoff coefficient, for roofs without losses
+ * @param {number|null} gutterCapacity_Ls - Gutter/downpipe capacity of each roof in L/s (null = unlimited)
+ * @param {Object|null} firstFlush - First-flush diverter {mode, amount, resetDryDays} on each roof (null = none)
+ * @returns {Function} Takes a rainfall row, returns {inflow_L, gutterOverflow_L, firstFlush_L, byCatchment}
+ */
+function createCatchmentCapture(catchments, runoffCoefficient, gutterCapacity_Ls, firstFlush) {
+    const roofs = catchments.map(catchment => (catchment.connected
+        ? {
+            area_m2: catchment.area_m2,
+            runoff: createRunoffModel(runoffCoefficient, catchment.runoffLosses),
+            divert: createFirstFlushDiverter(firstFlush, catchment.area_m2)
+        }
+        : null));
+
+    return dayData => {
+        const day = { inflow_L: 0, gutterOverflow_L: 0, firstFlush_L: 0, byCatchment: [] };
+
+        for (const roof of roofs) {
+            if (!roof) {
+                day.byCatchment.push(0);
+                continue;
+            }
+
+            const { inflow_L: runoff_L, gutterOverflow_L } = captureDay(dayData, roof.area_m2, roof.runoff, gutterCapacity_Ls);
+            const firstFlush_L = roof.divert(runoff_L);
+
+            day.inflow_L += runoff_L - firstFlush_L;
+            day.gutterOverflow_L += gutterOverflow_L;
+            day.firstFlush_L += firstFlush_L;
+            day.byCatchment.push(runoff_L - firstFlush_L);
+        }
+
+        return day;
+    };
+}
+
+/**
+ * Create the roof's runoff response for a run of days
+ *
+ * With losses, the first rain of each event wets the roof (initial loss)
+ * and a share of the rest is lost (continuing loss), so light drizzle
+ * yields nothing. The roof dries out after any day without rain. Without
+ * losses, a flat coefficient applies to every millimetre.
+ *
+ * Must be called for every day in order, including missing days.
+ *
+ * @param {number} runoffCoefficient - Runoff coefficient, used without losses
+ * @param {Object|null} runoffLosses - {initialLoss_mm, continuingLoss}
+ * @returns {Function} Takes a day's rainfall amounts in mm (one per reading), returns the runoff depth of each
+ */
+function createRunoffModel(runoffCoefficient, runoffLosses) {
+    if (!runoffLosses) {
+        return amounts => amounts.map(amount_mm => amount_mm * runoffCoefficient);
+    }
+
+    const { initialLoss_mm, continuingLoss } = runoffLosses;
+    if (!(initialLoss_mm >= 0) || !(continuingLoss >= 0 && continuingLoss < 1)) {
+        throw new Error('Initial loss must be zero or more and continuing loss between 0 and 1');
+    }
+
+    let wetting_mm = initialLoss_mm;  // rain still needed to wet the roof
+
+    return amounts => {
+        if (!amounts.some(amount_mm => amount_mm > 0)) {
+            wetting_mm = initialLoss_mm;
+            return amounts.map(() => 0);
+        }
+
+        return amounts.map(amount_mm => {
+            const absorbed_mm = Math.min(wetting_mm, amount_mm);
+            wetting_mm -= absorbed_mm;
+            return (amount_mm - absorbed_mm) * (1 - continuingLoss);
+        });
+    };
+}
+
+/**
+ * Calculate one day's roof runoff reaching the tank
+ *
+ * Days with sub-daily amounts are capped interval by interval at what the
+ * gutters can carry; daily-only rows have no intensity to cap. Missing
+ * days are assumed to have no rain (conservative).
+ *
+ * @param {Object} dayData - Rainfall row, optionally with subDaily {interval_s, amounts}
+ * @param {number} roofArea_m2 - Roof area
+ * @param {Function} runoff - Result from createRunoffModel()
+ * @param {number|null} gutterCapacity_Ls - Gutter/downpipe capacity in L/s (null = unlimited)
+ * @returns {Object} {inflow_L, gutterOverflow_L}
+ */
+function captureDay(dayData, roofArea_m2, runoff, gutterCapacity_Ls) {
+    if (dayData.missing) {
+        runoff([]);
+        return { inflow_L: 0, gutterOverflow_L: 0 };
+    }
+
+    if (!gutterCapacity_Ls || !dayData.subDaily) {
+        return { inflow_L: runoff([dayData.rainfall_mm])[0] * roofArea_m2, gutterOverflow_L: 0 };
+    }
+
+    const intervalCapacity_L = gutterCapacity_Ls * dayData.subDaily.interval_s;
+    let runoff_L = 0;
+    let gutterOverflow_L = 0;
+
+    for (const depth_mm of runoff(dayData.subDaily.amounts)) {
+        runoff_L += depth_mm * roofArea_m2;
+        gutterOverflow_L += Math.max(0, depth_mm * roofArea_m2 - intervalCapacity_L);
+    }
+
+    return { inflow_L: runoff_L - gutterOverflow_L, gutterOverflow_L };
+}
+
+/**
+ * Create a first-flush diverter for a run of days
+ *
+ * The diverter fills with the first runoff of each rain event before any
+ * reaches the tank. It drains after a set number of days without runoff,
+ * so rain on consecutive days (or after a short break) counts as one event.
+ *
+ * @param {Object|null} firstFlush - {mode, amount, resetDryDays} (null = no diverter)
+ * @param {number} roofArea_m2 - Roof area
+ * @returns {Function} Takes a day's runoff in litres, returns the litres diverted
+ */
+function createFirstFlushDiverter(firstFlush, roofArea_m2) {
+    if (!firstFlush) {
+        return () => 0;
+    }
+
+    if (!FIRST_FLUSH_MODES[firstFlush.mode]) {
+        throw new Error(`Unknown first-flush mode: ${firstFlush.mode}`);
+    }
+
+    if (!(firstFlush.amount > 0) || !(firstFlush.resetDryDays >= 1)) {
+        throw new Error('First-flush volume and reset days must be positive');
+    }
+
+    const volume_L = firstFlush.mode === 'perArea' ? firstFlush.amount * roofArea_m2 : firstFlush.amount;
+    let room_L = volume_L;  // starts empty
+    let dryDays = 0;
+
+    return runoff_L => {
+        if (runoff_L <= 0) {
+            dryDays++;
+            if (dryDays >= firstFlush.resetDryDays) {
+                room_L = volume_L;
+            }
+            return 0;
+        }
+
+        dryDays = 0;
+        const diverted_L = Math.min(room_L, runoff_L);
+        room_L -= diverted_L;
+        return diverted_L;
     };
 }
 
 /**
  * Find the worst dry spell in the rainfall data
- * A dry spell is defined as consecutive days where cumulative inflow
- * is less than typical daily usage
+ * A dry spell is the longest run of days whose average roof runoff stays
+ * below what 2 mm/day of rain yields at the default coefficient, so light
+ * rain that never runs off under a loss model doesn't break a spell.
+ * Runoff is averaged over the connected roofs' area. A spell ends at a
+ * break in the record.
  *
  * @param {Array} rainfallData - Rainfall data array
- * @param {number} roofArea_m2 - Roof area
  * @param {number} runoffCoefficient - Runoff coefficient
+ * @param {Array} catchments - Result from resolveCatchments()
  * @returns {Object} Worst dry spell information
  */
-function findWorstDrySpell(rainfallData, roofArea_m2, runoffCoefficient) {
-    // Find the longest period where average daily inflow was below a threshold
-    const THRESHOLD_MM_PER_DAY = 2;  // Less than 2mm/day average is "dry"
+function findWorstDrySpell(rainfallData, runoffCoefficient, catchments) {
+    // Find the longest period where average daily runoff was below a threshold
+    const THRESHOLD_MM_PER_DAY = 2 * DEFAULTS.runoffCoefficient;  // Less than 2mm/day of rain is "dry"
 
+    const capture = createCatchmentCapture(catchments, runoffCoefficient, null, null);
+    const connectedArea_m2 = catchments.reduce((sum, roof) => sum + (roof.connected ? roof.area_m2 : 0), 0);
     let worstSpell = null;
     let currentSpell = null;
 
     for (let i = 0; i < rainfallData.length; i++) {
         const dayData = rainfallData[i];
         const rainfall = dayData.missing ? 0 : dayData.rainfall_mm;
+        const depth = capture(dayData).inflow_L / connectedArea_m2;
+        const afterBreak = i > 0 && !isNextDay(rainfallData[i - 1].date, dayData.date);
 
         if (!currentSpell) {
             currentSpell = {
                 startDate: dayData.date,
                 endDate: dayData.date,
                 totalRainfall: rainfall,
+                totalRunoff: depth,
                 duration: 1
             };
         } else {
             // Check if this day continues the dry spell
-            const newTotal = currentSpell.totalRainfall + rainfall;
+            const newRunoff = currentSpell.totalRunoff + depth;
             const newDuration = currentSpell.duration + 1;
-            const avgRainfall = newTotal / newDuration;
 
-            if (avgRainfall < THRESHOLD_MM_PER_DAY) {
+            if (!afterBreak && newRunoff / newDuration < THRESHOLD_MM_PER_DAY) {
                 // Continue the dry spell
                 currentSpell.endDate = dayData.date;
-                currentSpell.totalRainfall = newTotal;
+                currentSpell.totalRainfall += rainfall;
+                currentSpell.totalRunoff = newRunoff;
                 currentSpell.duration = newDuration;
             } else {
                 // End current spell, check if worst
@@ -237,6 +620,7 @@ function findWorstDrySpell(rainfallData, roofArea_m2, runoffCoefficient) {
                     startDate: dayData.date,
                     endDate: dayData.date,
                     totalRainfall: rainfall,
+                    totalRunoff: depth,
                     duration: 1
                 };
             }
@@ -252,6 +636,7 @@ function findWorstDrySpell(rainfallData, roofArea_m2, runoffCoefficient) {
         startDate: rainfallData[0].date,
         endDate: rainfallData[0].date,
         totalRainfall: 0,
+        totalRunoff: 0,
         duration: 0
     };
 }
@@ -277,21 +662,348 @@ export function runMultipleSizes(config, tankSizes = TANK_SIZES) {
     return results;
 }
 
+/**
+ * Run a water balance over several tanks
+ *
+ * Linked (parallel) tanks share one water level. Cascading tanks fill in
+ * order, each overflowing into the next, and supply comes from the first
+ * tank with water in it. Water moves freely between connected tanks within
+ * a day, so either way the system holds and supplies as one tank of the
+ * combined size; what differs is where the water sits. Separate tanks
+ * share nothing: each has its own roofs (catchments by tank number) and
+ * its own daily usage or demand series, optionally by use.
+ *
+ * Combined results treat a day as empty or stressed if any tank is.
+ *
+ * @param {Object} config - Simulation configuration, as for runWaterBalance() without tankSize_L
+ * @param {string} config.setup - Key of TANK_SETUPS
+ * @param {Array} config.tanks - Tanks of {name, size_L, dailyUsage_L, demand_L, demandByUse}; each tank's
+ *   usage is only used by separate tanks, from its demand series if it has one
+ * @returns {Object} Combined results shaped like runWaterBalance(), plus tanks of
+ *   {name, size_L, dailyUsage_L, levels_L, daysEmpty, totalUsage_L, totalOverflow_L, totalDeficit_L, averageLevel_L, minLevel_L}
+ */
+export function runTankSystem(config) {
+    const { rainfallData, setup, tanks } = config;
+
+    if (!TANK_SETUPS[setup]) {
+        throw new Error(`Unknown tank setup: ${setup}`);
+    }
+
+    if (!tanks || tanks.length === 0 || tanks.some(tank => !(tank.size_L > 0))) {
+        throw new Error('Every tank needs a size');
+    }
+
+    if (setup === 'separate') {
+        return runSeparateTanks(config);
+    }
+
+    const capacity_L = tanks.reduce((sum, tank) => sum + tank.size_L, 0);
+    const combined = runWaterBalance({ ...config, tankSize_L: capacity_L });
+    const levels = tanks.map(() => new Float64Array(rainfallData.length));
+    const overflows = tanks.map(() => 0);
+
+    // Cascading tanks start filled in order, like the inflow, and start again after a break
+    const startLevel_L = clamp(config.initialLevel_L === undefined ? capacity_L / 2 : config.initialLevel_L, 0, capacity_L);
+    const fillInOrder = () => {
+        let remaining_L = startLevel_L;
+        return tanks.map(tank => {
+            const level_L = Math.min(tank.size_L, remaining_L);
+            remaining_L -= level_L;
+            return level_L;
+        });
+    };
+    let current = fillInOrder();
+    let previous_L = current.reduce((sum, level_L) => sum + level_L, 0);
+
+    combined.dailyLevels.forEach((day, dayIndex) => {
+        if (day.afterBreak) {
+            current = fillInOrder();
+            previous_L = current.reduce((sum, level_L) => sum + level_L, 0);
+        }
+
+        if (setup === 'cascade') {
+            // Fill from the first tank, and draw from the first tank with water
+            let change_L = day.level_L - previous_L;
+            tanks.forEach((tank, index) => {
+                const moved_L = change_L > 0
+                    ? Math.min(tank.size_L - current[index], change_L)
+                    : -Math.min(current[index], -change_L);
+                current[index] += moved_L;
+                change_L -= moved_L;
+            });
+            overflows[tanks.length - 1] += day.overflow_L;
+        } else {
+            tanks.forEach((tank, index) => {
+                current[index] = day.level_L * tank.size_L / capacity_L;
+                overflows[index] += day.overflow_L * tank.size_L / capacity_L;
+            });
+        }
+
+        tanks.forEach((tank, index) => {
+            levels[index][dayIndex] = current[index];
+        });
+        previous_L = day.level_L;
+    });
+
+    return {
+        ...combined,
+        tanks: tanks.map((tank, index) => summarizeTank(tank, levels[index], combined.dailyLevels, overflows[index], combined.summary.totalDeficit_L))
+    };
+}
+
+/**
+ * Run separate tanks, each with its own roofs and usage, and combine the results
+ *
+ * @param {Object} config - Configuration for runTankSystem()
+ * @returns {Object} Combined results with per-tank results
+ */
+function runSeparateTanks(config) {
+    const { rainfallData, tanks, runoffCoefficient = DEFAULTS.runoffCoefficient } = config;
+    const roofs = resolveCatchments(config);
+    const { initialLevel_L, ...shared } = config;
+    const capacity_L = tanks.reduce((sum, tank) => sum + tank.size_L, 0);
+
+    const results = tanks.map((tank, index) => {
+        const own = roofs.map(roof => ({ ...roof, connected: roof.connected && (roof.tank || 0) === index }));
+        if (!own.some(roof => roof.connected)) {
+            throw new Error(`${tank.name} has no roof connected`);
+        }
+
+        return runWaterBalance({
+            ...shared,
+            tankSize_L: tank.size_L,
+            dailyUsage_L: tank.dailyUsage_L,
+            demand_L: tank.demand_L || null,
+            demandByUse: tank.demandByUse || null,
+            catchments: own,
+            initialLevel_L: initialLevel_L === undefined ? undefined : initialLevel_L * tank.size_L / capacity_L
+        });
+    });
+
+    const dailyLevels = rainfallData.map((dayData, dayIndex) => {
+        const days = results.map(result => result.dailyLevels[dayIndex]);
+        const total = field => days.reduce((sum, day) => sum + day[field], 0);
+
+        return {
+            date: dayData.date,
+            level_L: total('level_L'),
+            inflow_L: total('inflow_L'),
+            usage_L: total('usage_L'),
+            overflow_L: total('overflow_L'),
+            gutterOverflow_L: total('gutterOverflow_L'),
+            firstFlush_L: total('firstFlush_L'),
+            deficit_L: total('deficit_L'),
+            isEmpty: days.some(day => day.isEmpty),
+            isStressed: days.some(day => day.isStressed),
+            afterBreak: days[0].afterBreak
+        };
+    });
+
+    const { summary, emptyPeriods, stressPeriods } = summarizeDailyLevels(dailyLevels, capacity_L);
+    const sum = field => results.reduce((total, result) => total + result.summary[field], 0);
+
+    return {
+        dailyLevels,
+        summary: {
+            ...summary,
+            totalGutterOverflow_L: sum('totalGutterOverflow_L'),
+            totalFirstFlush_L: sum('totalFirstFlush_L'),
+            catchmentInflow_L: roofs.map((roof, index) => results.reduce((total, result) => total + result.summary.catchmentInflow_L[index], 0)),
+            supplyByUse: mergeSupplyByUse(results.map(result => result.summary.supplyByUse))
+        },
+        emptyPeriods,
+        stressPeriods,
+        worstDrySpell: findWorstDrySpell(rainfallData, runoffCoefficient, roofs),
+        tanks: tanks.map((tank, index) => summarizeTank(
+            tank,
+            Float64Array.from(results[index].dailyLevels, day => day.level_L),
+            results[index].dailyLevels,
+            results[index].summary.totalOverflow_L,
+            results[index].summary.totalDeficit_L
+        ))
+    };
+}
+
+/**
+ * Add up separate tanks' supply by use
+ *
+ * @param {Array} supplies - Each tank's supplyByUse, or null
+ * @returns {Object|null} Combined per use {demand_L, tank_L, mains_L}, or null if no tank splits by use
+ */
+function mergeSupplyByUse(supplies) {
+    if (supplies.every(supply => !supply)) {
+        return null;
+    }
+
+    const merged = {};
+    for (const supply of supplies.filter(Boolean)) {
+        for (const [use, totals] of Object.entries(supply)) {
+            merged[use] = merged[use] || { demand_L: 0, tank_L: 0, mains_L: 0 };
+            merged[use].demand_L += totals.demand_L;
+            merged[use].tank_L += totals.tank_L;
+            merged[use].mains_L += totals.mains_L;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Per-tank statistics for a tank system
+ *
+ * @param {Object} tank - Tank {name, size_L, dailyUsage_L, demand_L, demandByUse}
+ * @param {Float64Array} levels_L - The tank's level each day
+ * @param {Array} dailyLevels - Daily states of the tank (or its system), for the usage each day
+ * @param {number} totalOverflow_L - Water spilled from this tank
+ * @param {number} totalDeficit_L - Usage this tank (or its system) couldn't meet; like totalUsage_L,
+ *   it is the whole system's for linked and cascading tanks
+ * @returns {Object} Tank statistics; only days with usage count as empty
+ */
+function summarizeTank(tank, levels_L, dailyLevels, totalOverflow_L, totalDeficit_L) {
+    let daysEmpty = 0;
+    let totalUsage_L = 0;
+    let totalLevel_L = 0;
+    let minLevel_L = Infinity;
+
+    for (const [dayIndex, level_L] of levels_L.entries()) {
+        if (level_L === 0 && dailyLevels[dayIndex].usage_L > 0) {
+            daysEmpty++;
+        }
+        totalUsage_L += dailyLevels[dayIndex].usage_L;
+        totalLevel_L += level_L;
+        minLevel_L = Math.min(minLevel_L, level_L);
+    }
+
+    return {
+        ...tank,
+        levels_L,
+        daysEmpty,
+        totalUsage_L,
+        totalOverflow_L,
+        totalDeficit_L,
+        averageLevel_L: totalLevel_L / levels_L.length,
+        minLevel_L
+    };
+}
+
+/**
+ * Most identical tanks suggested for a linked or cascading system
+ */
+const MAX_SUGGESTED_TANKS = 6;
+
+/**
+ * Suggest identical standard tanks that together hold at least a capacity
+ *
+ * Picks the combination of up to MAX_SUGGESTED_TANKS tanks with the least
+ * total capacity, and fewer tanks when totals tie: 30 kL is 3 × 10 kL
+ * rather than 2 × 22.5 kL. Capacities beyond that many of the largest size
+ * take as many of the largest as needed.
+ *
+ * @param {number} capacity_L - Capacity needed
+ * @returns {Object} {count, size_L}
+ */
+export function suggestTankConfiguration(capacity_L) {
+    const options = STANDARD_TANK_SIZES
+        .map(size_L => ({ count: Math.max(1, Math.ceil(capacity_L / size_L)), size_L }))
+        .filter(option => option.count <= MAX_SUGGESTED_TANKS);
+
+    if (options.length === 0) {
+        const largest = STANDARD_TANK_SIZES[STANDARD_TANK_SIZES.length - 1];
+        return { count: Math.ceil(capacity_L / largest), size_L: largest };
+    }
+
+    return options.reduce((best, option) => {
+        const total_L = option.count * option.size_L;
+        const bestTotal_L = best.count * best.size_L;
+        return total_L < bestTotal_L || (total_L === bestTotal_L && option.count < best.count) ? option : best;
+    });
+}
+
+/**
+ * Describe a tank system, e.g. "2 × 22.5 kL linked"
+ *
+ * @param {string} setup - Key of TANK_SETUPS
+ * @param {Array} tanks - Tanks of {size_L}
+ * @returns {string} Human-readable description
+ */
+export function describeTankSystem(setup, tanks) {
+    const sameSize = tanks.every(tank => tank.size_L === tanks[0].size_L);
+    const sizes = sameSize && tanks.length > 1
+        ? `${tanks.length} × ${formatTankSize(tanks[0].size_L)}`
+        : tanks.map(tank => formatTankSize(tank.size_L)).join(' + ');
+
+    const arrangement = { parallel: ' linked', cascade: ' cascading', separate: ' separate' }[setup] || '';
+    return tanks.length > 1 ? `${sizes}${arrangement}` : sizes;
+}
+
+/**
+ * Estimate what each roof catchment adds to a tank's supply
+ *
+ * Re-runs the simulation with each catchment's connection switched, so a
+ * shed that mostly fills an already-full tank shows little benefit. A
+ * roof that is the only one on its tank supplies everything that tank
+ * does, with nothing to compare its empty days against.
+ *
+ * @param {Object} config - Simulation configuration, as for runWaterBalance() with catchments,
+ *   or for runTankSystem() with separate tanks
+ * @returns {Array} Per catchment {name, area_m2, connected, annualRunoff_L, annualSupply_L, emptyDaysAvoided}
+ */
+export function analyzeCatchments(config) {
+    const catchments = resolveCatchments(config);
+    const separate = config.setup === 'separate';
+    const years = config.rainfallData.length / 365.25;
+    const simulate = roofs => (separate ? runTankSystem({ ...config, catchments: roofs }) : runWaterBalance({ ...config, catchments: roofs }));
+    const supplied = result => result.dailyLevels.reduce((sum, day) => sum + day.usage_L, 0) - result.summary.totalDeficit_L;
+    const tankOf = catchment => (separate ? catchment.tank || 0 : 0);
+    const current = simulate(catchments);
+
+    return catchments.map((catchment, index) => {
+        const switched = catchments.map((other, otherIndex) => (
+            otherIndex === index ? { ...other, connected: !other.connected } : other
+        ));
+        const alone = catchments.map((other, otherIndex) => ({ ...other, connected: otherIndex === index }));
+        const runoff = calculateRoofPotential(config.rainfallData, alone, config.runoffCoefficient);
+
+        let annualSupply_L;
+        let emptyDaysAvoided = null;
+        if (switched.some(other => other.connected && tankOf(other) === tankOf(catchment))) {
+            const other = simulate(switched);
+            const [withRoof, withoutRoof] = catchment.connected ? [current, other] : [other, current];
+            annualSupply_L = (supplied(withRoof) - supplied(withoutRoof)) / years;
+            emptyDaysAvoided = withoutRoof.summary.daysEmpty - withRoof.summary.daysEmpty;
+        } else if (separate) {
+            const tank = current.tanks[tankOf(catchment)];
+            annualSupply_L = (tank.totalUsage_L - tank.totalDeficit_L) / years;
+        } else {
+            annualSupply_L = supplied(current) / years;
+        }
+
+        return {
+            name: catchment.name,
+            area_m2: catchment.area_m2,
+            connected: catchment.connected,
+            annualRunoff_L: runoff.annualCapture_L,
+            annualSupply_L,
+            emptyDaysAvoided
+        };
+    });
+}
+
 /**
  * Calculate total potential roof capture over the data period
  *
  * @param {Array} rainfallData - Rainfall data
- * @param {number} roofArea_m2 - Roof area
+ * @param {Array} catchments - Result from resolveCatchments(); only connected roofs count
  * @param {number} runoffCoefficient - Runoff coefficient
  * @returns {Object} Capture statistics
  */
-export function calculateRoofPotential(rainfallData, roofArea_m2, runoffCoefficient = DEFAULTS.runoffCoefficient) {
+export function calculateRoofPotential(rainfallData, catchments, runoffCoefficient = DEFAULTS.runoffCoefficient) {
+    const capture = createCatchmentCapture(catchments, runoffCoefficient, null, null);
     let totalCapture_L = 0;
     let validDays = 0;
 
     for (const day of rainfallData) {
+        totalCapture_L += capture(day).inflow_L;
         if (!day.missing) {
-            totalCapture_L += day.rainfall_mm * roofArea_m2 * runoffCoefficient;
             validDays++;
         }
     }
@@ -306,3 +1018,88 @@ export function calculateRoofPotential(rainfallData, roofArea_m2, runoffCoeffici
         years
     };
 }
+
+/**
+ * Calculate roof runoff lost to gutter overflow during intense bursts
+ *
+ * @param {Array} rainfallData - Rainfall data, with subDaily amounts on wet days
+ * @param {Array} catchments - Result from resolveCatchments(); only connected roofs count
+ * @param {number} gutterCapacity_Ls - Gutter/downpipe capacity of each roof in L/s
+ * @param {number} runoffCoefficient - Runoff coefficient
+ * @returns {Object} Gutter overflow statistics
+ */
+export function calculateGutterOverflow(rainfallData, catchments, gutterCapacity_Ls, runoffCoefficient = DEFAULTS.runoffCoefficient) {
+    const capture = createCatchmentCapture(catchments, runoffCoefficient, gutterCapacity_Ls, null);
+    let totalRunoff_L = 0;
+    let totalOverflow_L = 0;
+    let overflowDays = 0;
+
+    for (const day of rainfallData) {
+        const { inflow_L, gutterOverflow_L } = capture(day);
+        totalRunoff_L += inflow_L + gutterOverflow_L;
+        totalOverflow_L += gutterOverflow_L;
+        if (gutterOverflow_L > 0) {
+            overflowDays++;
+        }
+    }
+
+    const years = rainfallData.length / 365.25;
+
+    return {
+        totalOverflow_L,
+        annualOverflow_L: totalOverflow_L / years,
+        overflowDays,
+        sharePercent: totalRunoff_L > 0 ? (totalOverflow_L / totalRunoff_L) * 100 : 0
+    };
+}
+
+/**
+ * Calculate roof runoff dumped by first-flush diverters
+ *
+ * The diverters sit before the tank, so what they take doesn't depend on
+ * tank size. Each connected roof has its own.
+ *
+ * @param {Array} rainfallData - Rainfall data
+ * @param {Array} catchments - Result from resolveCatchments(); only connected roofs count
+ * @param {Object} firstFlush - First-flush diverter {mode, amount, resetDryDays}
+ * @param {number|null} [gutterCapacity_Ls=null] - Gutter/downpipe capacity of each roof in L/s (null = unlimited)
+ * @param {number} [runoffCoefficient=0.85] - Runoff coefficient
+ * @returns {Object} First-flush statistics
+ */
+export function calculateFirstFlush(rainfallData, catchments, firstFlush, gutterCapacity_Ls = null, runoffCoefficient = DEFAULTS.runoffCoefficient) {
+    const capture = createCatchmentCapture(catchments, runoffCoefficient, gutterCapacity_Ls, firstFlush);
+    const connected = catchments.filter(catchment => catchment.connected);
+    let totalRunoff_L = 0;
+    let totalDiverted_L = 0;
+    let events = 0;
+    let dryDays = Infinity;  // the diverters start empty
+
+    for (const day of rainfallData) {
+        const { inflow_L, firstFlush_L: diverted_L } = capture(day);
+        const runoff_L = inflow_L + diverted_L;
+
+        totalRunoff_L += runoff_L;
+        totalDiverted_L += diverted_L;
+
+        // An event starts with the first runoff after the diverter has drained
+        if (runoff_L > 0) {
+            if (dryDays >= firstFlush.resetDryDays) {
+                events++;
+            }
+            dryDays = 0;
+        } else {
+            dryDays++;
+        }
+    }
+
+    const years = rainfallData.length / 365.25;
+
+    return {
+        volume_L: connected.reduce((sum, catchment) => sum +
+            (firstFlush.mode === 'perArea' ? firstFlush.amount * catchment.area_m2 : firstFlush.amount), 0),
+        totalDiverted_L,
+        annualDiverted_L: totalDiverted_L / years,
+        eventsPerYear: events / years,
+        sharePercent: totalRunoff_L > 0 ? (totalDiverted_L / totalRunoff_L) * 100 : 0
+    };
+}
@@ -0,0 +1,175 @@
+/**
+ * BoM Zip Import
+ *
+ * Reads the zip produced by BoM Climate Data Online ("all years of data"),
+ * which holds IDCJAC0009_xxxxxx_1800_Data.csv and a matching _Note.txt.
+ * Extraction runs in the browser using the native DecompressionStream,
+ * so the file never leaves the device.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Whether a file looks like a zip archive
+ *
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for .zip names or zip MIME types
+ */
+export function isZipFile(file) {
+    return /\.zip$/i.test(file.name) || /zip/i.test(file.type);
+}
+
+/**
+ * Extract the rainfall CSV and station note from a BoM zip
+ *
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @returns {Promise<Object>} {csvName, csvText, noteText} (noteText null if absent)
+ */
+export async function extractBoMZip(buffer) {
+    const entries = listZipEntries(buffer);
+
+    const csvEntry = entries.find(entry => /_Data\.csv$/i.test(entry.name))
+        || entries.find(entry => /\.csv$/i.test(entry.name));
+    if (!csvEntry) {
+        throw new Error('Zip file does not contain a rainfall CSV');
+    }
+
+    const noteEntry = entries.find(entry => /_Note\.txt$/i.test(entry.name));
+
+    return {
+        csvName: baseName(csvEntry.name),
+        csvText: await readZipEntryText(buffer, csvEntry),
+        noteText: noteEntry ? await readZipEntryText(buffer, noteEntry) : null
+    };
+}
+
+/**
+ * Pull station details out of a BoM _Note.txt file
+ *
+ * @param {string} noteText - Note file contents
+ * @returns {Object} {stationName, latitude, longitude, elevation_m}, null where not found
+ */
+export function parseBoMNote(noteText) {
+    const match = pattern => {
+        const found = noteText.match(pattern);
+        return found ? found[1].trim() : null;
+    };
+    const number = pattern => {
+        const value = parseFloat(match(pattern));
+        return isNaN(value) ? null : value;
+    };
+
+    return {
+        stationName: match(/station name\s*:\s*(.+)/i),
+        latitude: number(/latitude[^:\n]*:\s*(-?[\d.]+)/i),
+        longitude: number(/longitude[^:\n]*:\s*(-?[\d.]+)/i),
+        elevation_m: number(/(?:height|elevation)[^:\n]*:\s*(-?[\d.]+)/i)
+    };
+}
+
+/**
+ * List the files in a zip archive from its central directory
+ *
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @returns {Array} Array of {name, method, compressedSize, localOffset}
+ */
+function listZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const eocd = findEndOfCentralDirectory(view);
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('Zip file is damaged (bad central directory)');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+
+        entries.push({
+            name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Locate the end-of-central-directory record
+ *
+ * @param {DataView} view - View over the zip contents
+ * @returns {number} Byte offset of the record
+ */
+function findEndOfCentralDirectory(view) {
+    const lowest = Math.max(0, view.byteLength - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+
+    for (let offset = view.byteLength - EOCD_MIN_SIZE; offset >= lowest; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+            return offset;
+        }
+    }
+
+    throw new Error('File is not a valid zip archive');
+}
+
+/**
+ * Decompress one zip entry to text
+ *
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @param {Object} entry - Entry from listZipEntries()
+ * @returns {Promise<string>} Entry contents decoded as UTF-8
+ */
+async function readZipEntryText(buffer, entry) {
+    const view = new DataView(buffer);
+    const offset = entry.localOffset;
+
+    if (view.getUint32(offset, true) !== LOCAL_SIGNATURE) {
+        throw new Error(`Zip file is damaged (bad entry header for ${entry.name})`);
+    }
+
+    // Local header name/extra lengths can differ from the central directory's
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const compressed = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) {
+        return new TextDecoder().decode(compressed);
+    }
+
+    if (entry.method !== METHOD_DEFLATE) {
+        throw new Error(`Unsupported zip compression method (${entry.method}) for ${entry.name}`);
+    }
+
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot open zip files - extract the CSV and upload it instead');
+    }
+
+    const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * Strip any folder path from a zip entry name
+ *
+ * @param {string} path - Entry path
+ * @returns {string} File name
+ */
+function baseName(path) {
+    return path.split('/').pop();
+}